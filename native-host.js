@@ -11,6 +11,7 @@
 
 const nativeMessage = require('chrome-native-messaging');
 const { spawn, execFileSync } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const http = require('http');
 const https = require('https');
@@ -21,30 +22,94 @@ const path = require('path');
 const WHISPER_CLI_ENV = 'WHOOPTIDO_WHISPER_CLI';
 const WHOOPTIDO_DIR = path.join(os.homedir(), '.whooptido');
 const MODELS_DIR = path.join(WHOOPTIDO_DIR, 'models');
-const DEFAULT_MODEL = path.join(MODELS_DIR, 'ggml-large-v3-turbo-q5_0.bin');
 const OLD_MODELS_DIR = path.join(os.homedir(), 'whisper-models');
 const HOST_VERSION = '1.0.0-beta.15';
 const SUPPORTED_RUNTIME_BACKENDS = new Set(['cuda', 'vulkan', 'metal']);
-const MODEL_QUALITY_RANK = Object.freeze({
-  'small': 100,
-  'medium': 200,
-  'large-v3': 300,
-  'large-v3-turbo': 400
-});
-const MODEL_FILENAME_TO_ID = Object.freeze({
-  'ggml-small.bin': 'small',
-  'ggml-small-q5_1.bin': 'small',
-  'ggml-medium.bin': 'medium',
-  'ggml-medium-q5_0.bin': 'medium',
-  'ggml-large-v3.bin': 'large-v3',
-  'ggml-large-v3-turbo.bin': 'large-v3-turbo',
-  'ggml-large-v3-turbo-q5_0.bin': 'large-v3-turbo'
-});
-const MODEL_ID_TO_FILENAMES = Object.freeze({
-  'small': ['ggml-small.bin', 'ggml-small-q5_1.bin'],
-  'medium': ['ggml-medium.bin', 'ggml-medium-q5_0.bin'],
-  'large-v3': ['ggml-large-v3.bin'],
-  'large-v3-turbo': ['ggml-large-v3-turbo-q5_0.bin', 'ggml-large-v3-turbo.bin']
+
+// Model catalog: the bundled copy ships with the host; a newer catalog can be
+// installed at MODEL_CATALOG_PATH, but it is only used when its detached
+// Ed25519 signature (.sig, base64) verifies against MODEL_CATALOG_PUBLIC_KEY.
+// Files are listed in preference order.
+const MODEL_CATALOG_PATH = path.join(WHOOPTIDO_DIR, 'model-catalog.json');
+const MODEL_CATALOG_SIGNATURE_PATH = `${MODEL_CATALOG_PATH}.sig`;
+// SPKI PEM of the release signing key. Catalog updates are refused while unset.
+const MODEL_CATALOG_PUBLIC_KEY = null;
+const MODEL_DOWNLOAD_BASE_URL = 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main';
+// approxSizeMb/memoryMb are whisper.cpp's published figures (rounded up) and
+// only drive recommendations. size (bytes) and sha1 are what downloads are
+// checked against: whisper.cpp publishes SHA-1 checksums (models/README.md),
+// so sha256 stays null until a signed catalog update supplies it. Files
+// without published values have null and are only checked against what the
+// caller passes.
+const BUNDLED_MODEL_CATALOG = Object.freeze({
+  version: 3,
+  models: [
+    {
+      id: 'small',
+      name: 'Small',
+      multilingual: true,
+      qualityRank: 100,
+      dtwPreset: 'small',
+      files: [
+        { filename: 'ggml-small.bin', url: `${MODEL_DOWNLOAD_BASE_URL}/ggml-small.bin`, quantization: 'f16', approxSizeMb: 488, memoryMb: 900, size: 487601967, sha1: '55356645c2b361a969dfd0ef2c5a50d530afd8d5', sha256: null },
+        { filename: 'ggml-small-q5_1.bin', url: `${MODEL_DOWNLOAD_BASE_URL}/ggml-small-q5_1.bin`, quantization: 'q5_1', approxSizeMb: 190, memoryMb: 600, size: null, sha1: null, sha256: null }
+      ]
+    },
+    {
+      id: 'small.en',
+      name: 'Small (English)',
+      multilingual: false,
+      qualityRank: 90,
+      dtwPreset: 'small.en',
+      files: [
+        { filename: 'ggml-small.en.bin', url: `${MODEL_DOWNLOAD_BASE_URL}/ggml-small.en.bin`, quantization: 'f16', approxSizeMb: 488, memoryMb: 900, size: 487614201, sha1: 'db8a495a91d927739e50b3fc1cc4c6b8f6c2d022', sha256: null },
+        { filename: 'ggml-small.en-q5_1.bin', url: `${MODEL_DOWNLOAD_BASE_URL}/ggml-small.en-q5_1.bin`, quantization: 'q5_1', approxSizeMb: 190, memoryMb: 600, size: null, sha1: null, sha256: null }
+      ]
+    },
+    {
+      id: 'medium',
+      name: 'Medium',
+      multilingual: true,
+      qualityRank: 200,
+      dtwPreset: 'medium',
+      files: [
+        { filename: 'ggml-medium.bin', url: `${MODEL_DOWNLOAD_BASE_URL}/ggml-medium.bin`, quantization: 'f16', approxSizeMb: 1534, memoryMb: 2200, size: 1533763059, sha1: 'fd9727b6e1217c2f614f9b698455c4ffd82463b4', sha256: null },
+        { filename: 'ggml-medium-q5_0.bin', url: `${MODEL_DOWNLOAD_BASE_URL}/ggml-medium-q5_0.bin`, quantization: 'q5_0', approxSizeMb: 540, memoryMb: 1200, size: null, sha1: null, sha256: null }
+      ]
+    },
+    {
+      id: 'medium.en',
+      name: 'Medium (English)',
+      multilingual: false,
+      qualityRank: 190,
+      dtwPreset: 'medium.en',
+      files: [
+        { filename: 'ggml-medium.en.bin', url: `${MODEL_DOWNLOAD_BASE_URL}/ggml-medium.en.bin`, quantization: 'f16', approxSizeMb: 1534, memoryMb: 2200, size: 1533774781, sha1: '8c30f0e44ce9560643ebd10bbe50cd20eafd3723', sha256: null },
+        { filename: 'ggml-medium.en-q5_0.bin', url: `${MODEL_DOWNLOAD_BASE_URL}/ggml-medium.en-q5_0.bin`, quantization: 'q5_0', approxSizeMb: 540, memoryMb: 1200, size: null, sha1: null, sha256: null }
+      ]
+    },
+    {
+      id: 'large-v3',
+      name: 'Large v3',
+      multilingual: true,
+      qualityRank: 300,
+      dtwPreset: 'large.v3',
+      files: [
+        { filename: 'ggml-large-v3.bin', url: `${MODEL_DOWNLOAD_BASE_URL}/ggml-large-v3.bin`, quantization: 'f16', approxSizeMb: 3100, memoryMb: 3900, size: 3095033483, sha1: 'ad82bf6a9043ceed055076d0fd39f5f186ff8062', sha256: null }
+      ]
+    },
+    {
+      id: 'large-v3-turbo',
+      name: 'Large v3 Turbo',
+      multilingual: true,
+      qualityRank: 400,
+      dtwPreset: 'large.v3.turbo',
+      files: [
+        { filename: 'ggml-large-v3-turbo-q5_0.bin', url: `${MODEL_DOWNLOAD_BASE_URL}/ggml-large-v3-turbo-q5_0.bin`, quantization: 'q5_0', approxSizeMb: 575, memoryMb: 1400, size: null, sha1: 'e050f7970618a659205450ad97eb95a18d69c9ee', sha256: null },
+        { filename: 'ggml-large-v3-turbo.bin', url: `${MODEL_DOWNLOAD_BASE_URL}/ggml-large-v3-turbo.bin`, quantization: 'f16', approxSizeMb: 1625, memoryMb: 2500, size: 1624555275, sha1: '4af2b29d7ec73d781377bfd1758ca957a807e941', sha256: null }
+      ]
+    }
+  ]
 });
 
 // Log file for debugging
@@ -234,12 +299,28 @@ function splitCommandLines(output) {
   return uniqueStrings(String(output || '').split(/\r?\n/g));
 }
 
+function parseMegabytes(value) {
+  const number = Number.parseInt(String(value || '').trim(), 10);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
 function detectNvidiaDevices() {
-  const output = safeExecFile('nvidia-smi', ['--query-gpu=name', '--format=csv,noheader'], 3000);
-  const nvidiaSmiDevices = splitCommandLines(output);
+  const output = safeExecFile('nvidia-smi', [
+    '--query-gpu=name,memory.total,memory.free',
+    '--format=csv,noheader,nounits'
+  ], 3000);
+  const nvidiaSmiDevices = splitCommandLines(output).map((line) => {
+    const fields = line.split(',').map((field) => field.trim());
+    // Names never contain commas in practice, but keep the memory columns anchored right
+    const memoryFreeMb = fields.length >= 3 ? parseMegabytes(fields.pop()) : null;
+    const memoryTotalMb = fields.length >= 2 ? parseMegabytes(fields.pop()) : null;
+    return { name: fields.join(', '), memoryTotalMb, memoryFreeMb };
+  });
   if (nvidiaSmiDevices.length > 0) return nvidiaSmiDevices;
   if (os.platform() === 'win32') {
-    return getWindowsVideoControllerNames().filter(line => /nvidia/i.test(line));
+    return getWindowsVideoControllerNames()
+      .filter(line => /nvidia/i.test(line))
+      .map(name => ({ name, memoryTotalMb: null, memoryFreeMb: null }));
   }
   return [];
 }
@@ -282,12 +363,19 @@ function detectAcceleratedHardware() {
   if (platform === 'darwin') {
     if (arch === 'arm64') {
       hardwareBackends.push('metal');
-      devices.push({ vendor: 'apple', backend: 'metal', name: 'Apple Silicon' });
+      devices.push({
+        vendor: 'apple',
+        backend: 'metal',
+        name: 'Apple Silicon',
+        unifiedMemory: true,
+        memoryTotalMb: Math.round(os.totalmem() / (1024 * 1024)),
+        memoryFreeMb: null
+      });
     }
   } else if (platform === 'win32' || platform === 'linux') {
-    for (const name of detectNvidiaDevices()) {
+    for (const device of detectNvidiaDevices()) {
       hardwareBackends.push('cuda');
-      devices.push({ vendor: 'nvidia', backend: 'cuda', name });
+      devices.push({ vendor: 'nvidia', backend: 'cuda', ...device });
     }
 
     for (const name of detectAmdDevices()) {
@@ -433,7 +521,11 @@ function resolveWhisperCli() {
     }
   }
 
-  for (const backend of hardwareInfo.supportedBackends) {
+  const { preferredBackend } = getHostConfig();
+  const backendOrder = preferredBackend !== 'auto' && hardwareInfo.supportedBackends.includes(preferredBackend)
+    ? [preferredBackend, ...hardwareInfo.supportedBackends.filter((backend) => backend !== preferredBackend)]
+    : hardwareInfo.supportedBackends;
+  for (const backend of backendOrder) {
     const match = resolved.find(info => info.runtimeStatus?.asrSupported && info.runtimeStatus.runtimeBackend === backend);
     if (match) return match;
   }
@@ -499,8 +591,300 @@ function getModelSource(dir) {
   return 'other';
 }
 
+const SHA256_HEX_PATTERN = /^[0-9a-f]{64}$/;
+
+const SHA1_HEX_PATTERN = /^[0-9a-f]{40}$/;
+
+function validateModelCatalog(catalog) {
+  if (!catalog || typeof catalog !== 'object') throw new Error('Model catalog must be an object');
+  if (!Number.isInteger(catalog.version) || catalog.version < 1) {
+    throw new Error('Model catalog version must be a positive integer');
+  }
+  if (!Array.isArray(catalog.models)) throw new Error('Model catalog models must be an array');
+
+  const seenIds = new Set();
+  for (const model of catalog.models) {
+    if (!model || typeof model.id !== 'string' || !model.id) throw new Error('Catalog model is missing an id');
+    if (seenIds.has(model.id)) throw new Error(`Duplicate catalog model id: ${model.id}`);
+    seenIds.add(model.id);
+    if (!Array.isArray(model.files) || model.files.length === 0) {
+      throw new Error(`Catalog model ${model.id} has no files`);
+    }
+    for (const file of model.files) {
+      if (typeof file?.filename !== 'string' || !/^[\w.-]+\.bin$/.test(file.filename)) {
+        throw new Error(`Catalog model ${model.id} has an invalid filename`);
+      }
+      if (file.url != null && !/^https?:\/\//.test(file.url)) {
+        throw new Error(`Catalog file ${file.filename} has an invalid url`);
+      }
+      if (file.size != null && !(Number.isInteger(file.size) && file.size > 0)) {
+        throw new Error(`Catalog file ${file.filename} has an invalid size`);
+      }
+      if (file.sha1 != null && !SHA1_HEX_PATTERN.test(file.sha1)) {
+        throw new Error(`Catalog file ${file.filename} has an invalid sha1`);
+      }
+      if (file.sha256 != null && !SHA256_HEX_PATTERN.test(file.sha256)) {
+        throw new Error(`Catalog file ${file.filename} has an invalid sha256`);
+      }
+    }
+  }
+  return catalog;
+}
+
+function verifyModelCatalogSignature(catalogText, signatureBase64, publicKey = MODEL_CATALOG_PUBLIC_KEY) {
+  if (!publicKey) throw new Error('Model catalog signing key is not configured');
+  if (typeof signatureBase64 !== 'string' || !signatureBase64.trim()) {
+    throw new Error('Model catalog signature is missing');
+  }
+  const signature = Buffer.from(signatureBase64.trim(), 'base64');
+  if (!crypto.verify(null, Buffer.from(catalogText, 'utf8'), publicKey, signature)) {
+    throw new Error('Model catalog signature does not verify');
+  }
+}
+
+let modelCatalogCache = null;
+
+function loadInstalledModelCatalog() {
+  if (!fs.existsSync(MODEL_CATALOG_PATH)) return null;
+  try {
+    const catalogText = fs.readFileSync(MODEL_CATALOG_PATH, 'utf8');
+    const signature = fs.existsSync(MODEL_CATALOG_SIGNATURE_PATH)
+      ? fs.readFileSync(MODEL_CATALOG_SIGNATURE_PATH, 'utf8')
+      : '';
+    verifyModelCatalogSignature(catalogText, signature);
+    return validateModelCatalog(JSON.parse(catalogText));
+  } catch (error) {
+    log('Ignoring installed model catalog: ' + error.message);
+    return null;
+  }
+}
+
+function getModelCatalog() {
+  if (!modelCatalogCache) {
+    const installed = loadInstalledModelCatalog();
+    modelCatalogCache = installed && installed.version > BUNDLED_MODEL_CATALOG.version
+      ? { ...installed, source: 'signed' }
+      : { ...BUNDLED_MODEL_CATALOG, source: 'bundled' };
+  }
+  return modelCatalogCache;
+}
+
+function getCatalogModel(modelId) {
+  return getModelCatalog().models.find((model) => model.id === modelId) || null;
+}
+
+function findCatalogFile(filename) {
+  for (const model of getModelCatalog().models) {
+    const file = model.files.find((entry) => entry.filename === filename);
+    if (file) return { model, file };
+  }
+  return null;
+}
+
+function getCatalogFilenames(modelId) {
+  return (getCatalogModel(modelId)?.files || []).map((file) => file.filename);
+}
+
 function getModelIdFromFilename(filename) {
-  return MODEL_FILENAME_TO_ID[filename] || filename.replace(/^ggml-/, '').replace(/\.bin$/, '');
+  return findCatalogFile(filename)?.model.id || filename.replace(/^ggml-/, '').replace(/\.bin$/, '');
+}
+
+// whisper.cpp ggml model files: uint32 magic, 11 int32 hyperparameters, the
+// mel filterbank, the vocabulary, then tensors stored back to back as
+// (n_dims, name_len, type, ne[n_dims], name, data). Walking the tensor headers
+// and summing their data sizes catches truncated downloads without reading
+// the weights themselves.
+const GGML_FILE_MAGIC = 0x67676d6c;
+const GGUF_FILE_MAGIC = 0x46554747;
+const GGML_QNT_VERSION_FACTOR = 1000;
+const GGML_HPARAM_NAMES = Object.freeze([
+  'n_vocab', 'n_audio_ctx', 'n_audio_state', 'n_audio_head', 'n_audio_layer',
+  'n_text_ctx', 'n_text_state', 'n_text_head', 'n_text_layer', 'n_mels', 'ftype'
+]);
+const GGML_FTYPE_NAMES = Object.freeze({
+  0: 'f32', 1: 'f16', 2: 'q4_0', 3: 'q4_1', 4: 'q4_1_some_f16', 7: 'q8_0', 8: 'q5_0', 9: 'q5_1',
+  10: 'q2_k', 11: 'q3_k', 12: 'q4_k', 13: 'q5_k', 14: 'q6_k'
+});
+// ggml tensor type id -> [elements per block, bytes per block]
+const GGML_TYPE_BLOCKS = Object.freeze({
+  0: [1, 4], 1: [1, 2], 2: [32, 18], 3: [32, 20], 6: [32, 22], 7: [32, 24], 8: [32, 34], 9: [32, 36],
+  10: [256, 84], 11: [256, 110], 12: [256, 144], 13: [256, 176], 14: [256, 210], 15: [256, 292]
+});
+// Encoder width -> architecture; vocab/mels/decoder depth refine it below
+const WHISPER_AUDIO_STATE_ARCHITECTURES = Object.freeze({
+  384: 'tiny', 512: 'base', 768: 'small', 1024: 'medium', 1280: 'large'
+});
+const GGML_READ_WINDOW_BYTES = 1024 * 1024;
+const GGML_MAX_TENSORS = 4096;
+
+function createFileReader(fd, fileSize) {
+  let window = Buffer.alloc(0);
+  let windowStart = 0;
+  let position = 0;
+
+  const ensure = (length) => {
+    if (position + length > fileSize) {
+      throw new Error(`file ends at byte ${fileSize}, expected at least ${position + length}`);
+    }
+    if (position >= windowStart && position + length <= windowStart + window.length) return;
+    window = Buffer.alloc(Math.min(Math.max(length, GGML_READ_WINDOW_BYTES), fileSize - position));
+    fs.readSync(fd, window, 0, window.length, position);
+    windowStart = position;
+  };
+
+  return {
+    get position() { return position; },
+    int32() {
+      ensure(4);
+      const value = window.readInt32LE(position - windowStart);
+      position += 4;
+      return value;
+    },
+    uint32() {
+      ensure(4);
+      const value = window.readUInt32LE(position - windowStart);
+      position += 4;
+      return value;
+    },
+    string(length) {
+      ensure(length);
+      const value = window.toString('utf8', position - windowStart, position - windowStart + length);
+      position += length;
+      return value;
+    },
+    skip(length) {
+      if (position + length > fileSize) {
+        throw new Error(`file ends at byte ${fileSize}, expected at least ${position + length}`);
+      }
+      position += length;
+    }
+  };
+}
+
+function inferWhisperArchitecture(hparams) {
+  const family = WHISPER_AUDIO_STATE_ARCHITECTURES[hparams.n_audio_state];
+  if (!family) return null;
+  if (family !== 'large') {
+    return hparams.n_vocab === 51864 ? `${family}.en` : family;
+  }
+  if (hparams.n_mels === 128) {
+    return hparams.n_text_layer < hparams.n_audio_layer ? 'large-v3-turbo' : 'large-v3';
+  }
+  // large-v1 and large-v2 share every hyperparameter; v2 is the one in use
+  return 'large-v2';
+}
+
+/**
+ * Parse and sanity-check a whisper.cpp ggml model file.
+ * @returns {{valid: boolean, invalidReason: string|null, architecture: string|null,
+ *   quantization: string|null, hparams: object|null}}
+ */
+function inspectGgmlModel(modelPath) {
+  const result = { valid: false, invalidReason: null, architecture: null, quantization: null, hparams: null };
+  let fd = null;
+  try {
+    const fileSize = fs.statSync(modelPath).size;
+    fd = fs.openSync(modelPath, 'r');
+    const reader = createFileReader(fd, fileSize);
+
+    const magic = reader.uint32();
+    if (magic === GGUF_FILE_MAGIC) throw new Error('GGUF files are not whisper.cpp models');
+    if (magic !== GGML_FILE_MAGIC) throw new Error('not a ggml model file (bad magic)');
+
+    const hparams = {};
+    for (const name of GGML_HPARAM_NAMES) hparams[name] = reader.int32();
+    result.hparams = hparams;
+    for (const name of GGML_HPARAM_NAMES.slice(0, -1)) {
+      if (!(hparams[name] > 0)) throw new Error(`invalid hyperparameter ${name}=${hparams[name]}`);
+    }
+
+    const ftype = hparams.ftype % GGML_QNT_VERSION_FACTOR;
+    result.quantization = GGML_FTYPE_NAMES[ftype] || `ftype-${ftype}`;
+    result.architecture = inferWhisperArchitecture(hparams);
+    if (!result.architecture) throw new Error(`unknown whisper architecture (n_audio_state=${hparams.n_audio_state})`);
+
+    const melCount = reader.int32();
+    const fftCount = reader.int32();
+    if (melCount !== hparams.n_mels || !(fftCount > 0)) throw new Error('invalid mel filterbank header');
+    reader.skip(melCount * fftCount * 4);
+
+    const vocabCount = reader.int32();
+    if (vocabCount <= 0 || vocabCount > hparams.n_vocab) throw new Error(`invalid vocabulary size ${vocabCount}`);
+    for (let i = 0; i < vocabCount; i++) {
+      const length = reader.uint32();
+      if (length > 1024) throw new Error(`invalid vocabulary token length ${length}`);
+      reader.skip(length);
+    }
+
+    let tensorCount = 0;
+    while (reader.position < fileSize) {
+      if (++tensorCount > GGML_MAX_TENSORS) throw new Error('too many tensors');
+      const dims = reader.int32();
+      const nameLength = reader.int32();
+      const type = reader.int32();
+      if (dims < 1 || dims > 4 || nameLength <= 0 || nameLength > 256) {
+        throw new Error(`corrupt tensor header at byte ${reader.position - 12}`);
+      }
+      let elements = 1;
+      for (let i = 0; i < dims; i++) elements *= reader.int32();
+      const name = reader.string(nameLength);
+      const block = GGML_TYPE_BLOCKS[type];
+      if (!block) {
+        // Newer tensor types: header checks passed, sizes can't be verified
+        log(`Model ${modelPath}: unknown tensor type ${type} for ${name}; skipping size check`);
+        break;
+      }
+      reader.skip(Math.ceil(elements / block[0]) * block[1]);
+    }
+    if (tensorCount === 0) throw new Error('model has no tensors');
+
+    result.valid = true;
+  } catch (error) {
+    result.invalidReason = error.message.startsWith('file ends') ? `truncated: ${error.message}` : error.message;
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+  return result;
+}
+
+const ggmlInspectionCache = new Map();
+
+function getModelInspection(modelPath) {
+  let stats;
+  try {
+    stats = fs.statSync(modelPath);
+  } catch (error) {
+    return { valid: false, invalidReason: error.message, architecture: null, quantization: null, hparams: null };
+  }
+  const stamp = `${stats.size}:${stats.mtimeMs}`;
+  const cached = ggmlInspectionCache.get(modelPath);
+  if (cached?.stamp === stamp) return cached.inspection;
+
+  const inspection = inspectGgmlModel(modelPath);
+  if (!inspection.valid) log(`Model ${modelPath} failed validation: ${inspection.invalidReason}`);
+  ggmlInspectionCache.set(modelPath, { stamp, inspection });
+  return inspection;
+}
+
+// Imported models carry a <model>.meta.json sidecar with the user-supplied id,
+// display name, base architecture, language restriction and quality rank.
+const MODEL_METADATA_SUFFIX = '.meta.json';
+const CUSTOM_MODEL_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+
+function getModelMetadataPath(modelPath) {
+  return `${modelPath}${MODEL_METADATA_SUFFIX}`;
+}
+
+function readModelMetadata(modelPath) {
+  const metadataPath = getModelMetadataPath(modelPath);
+  if (!modelPath || !fs.existsSync(metadataPath)) return null;
+  try {
+    const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    return metadata && typeof metadata.id === 'string' ? metadata : null;
+  } catch (error) {
+    log('Ignoring unreadable model metadata ' + metadataPath + ': ' + error.message);
+    return null;
+  }
 }
 
 function buildModelDescriptor(dir, filename) {
@@ -508,14 +892,27 @@ function buildModelDescriptor(dir, filename) {
   const stats = fs.statSync(modelPath);
   if (!stats.isFile()) return null;
 
-  const id = getModelIdFromFilename(filename);
+  const metadata = readModelMetadata(modelPath);
+  const inspection = getModelInspection(modelPath);
+  const id = metadata?.id || getModelIdFromFilename(filename);
   return {
     id,
-    name: id,
+    name: metadata?.name || id,
     fileName: filename,
     path: modelPath,
     size: stats.size,
-    qualityRank: getModelRank(id),
+    qualityRank: metadata ? (metadata.qualityRank || 0) : getModelRank(id, inspection.architecture),
+    valid: inspection.valid,
+    invalidReason: inspection.invalidReason,
+    architecture: inspection.architecture,
+    quantization: inspection.quantization,
+    ...(metadata ? {
+      custom: true,
+      baseModel: metadata.baseModel || null,
+      languages: metadata.languages || null
+    } : {}),
+    tinydiarize: modelSupportsTinydiarize(modelPath),
+    translation: getTranslationSupport(inspection),
     source: getModelSource(dir),
     modelsDir: dir,
     dirPriority: getModelDirPriority(dir)
@@ -524,7 +921,8 @@ function buildModelDescriptor(dir, filename) {
 
 function sortModels(models) {
   return models.sort((a, b) =>
-    (b.qualityRank || 0) - (a.qualityRank || 0)
+    Number(b.valid !== false) - Number(a.valid !== false)
+    || (b.qualityRank || 0) - (a.qualityRank || 0)
     || (b.dirPriority || 0) - (a.dirPriority || 0)
     || (b.size || 0) - (a.size || 0)
   );
@@ -543,22 +941,440 @@ function findInstalledModelById(modelId) {
 
 function getModelCandidateNames(modelId) {
   return new Set([
-    ...(MODEL_ID_TO_FILENAMES[modelId] || []),
+    ...getCatalogFilenames(modelId),
     `ggml-${modelId}.bin`
   ]);
 }
 
+// Decoding presets (the request `mode`) and per-request `decoding` overrides,
+// mapped to whisper-cli flags and whisper-server form fields; options left
+// unset keep whisper.cpp's defaults.
+// `dtw` turns on DTW token timestamps, which need flash attention disabled.
+const DECODING_PRESETS = Object.freeze({
+  accurate: Object.freeze({ dtw: true, decoding: Object.freeze({}) }),
+  fast: Object.freeze({ dtw: false, decoding: Object.freeze({}) }),
+  // Greedy decoding without fallback, for the lowest latency
+  draft: Object.freeze({ dtw: false, decoding: Object.freeze({ beamSize: 1, bestOf: 1, temperatureFallback: false }) })
+});
+const DECODING_OPTION_SCHEMA = Object.freeze({
+  beamSize: { type: 'integer', min: 1, max: 16, flag: '--beam-size', field: 'beam_size' },
+  bestOf: { type: 'integer', min: 1, max: 16, flag: '--best-of', field: 'best_of' },
+  temperature: { type: 'number', min: 0, max: 1, flag: '--temperature', field: 'temperature' },
+  temperatureIncrement: { type: 'number', min: 0, max: 1, flag: '--temperature-inc', field: 'temperature_inc' },
+  temperatureFallback: { type: 'boolean', flagWhenFalse: '--no-fallback', fieldWhenFalse: ['temperature_inc', '0'] },
+  entropyThreshold: { type: 'number', min: 0, max: 10, flag: '--entropy-thold', field: 'entropy_thold' },
+  logprobThreshold: { type: 'number', min: -10, max: 0, flag: '--logprob-thold', field: 'logprob_thold' },
+  maxSegmentLength: { type: 'integer', min: 0, max: 1000, flag: '--max-len', field: 'max_len' },
+  splitOnWord: { type: 'boolean', flagWhenTrue: '--split-on-word', field: 'split_on_word' },
+  noSpeechThreshold: { type: 'number', min: 0, max: 1, flag: '--no-speech-thold', field: 'no_speech_thold' },
+  suppressNonSpeech: { type: 'boolean', flagWhenTrue: '--suppress-nst', field: 'suppress_nst' }
+});
+
+function invalidDecodingOptionsError(issues) {
+  const error = new Error(`Invalid decoding options: ${issues.map((issue) => `${issue.field} ${issue.message}`).join('; ')}`);
+  error.code = 'invalid_decoding_options';
+  error.details = issues;
+  return error;
+}
+
+/**
+ * Validate a request's `decoding` object against DECODING_OPTION_SCHEMA.
+ * Every problem is collected, then thrown together as one error whose
+ * `details` lists { field, message, value }.
+ */
+function normalizeDecodingOptions(decoding) {
+  if (decoding == null) return {};
+  if (typeof decoding !== 'object' || Array.isArray(decoding)) {
+    throw invalidDecodingOptionsError([{ field: 'decoding', message: 'must be an object' }]);
+  }
+
+  const issues = [];
+  const options = {};
+  for (const [key, value] of Object.entries(decoding)) {
+    const field = `decoding.${key}`;
+    const schema = DECODING_OPTION_SCHEMA[key];
+    if (!schema) {
+      issues.push({ field, message: 'is not a supported option' });
+      continue;
+    }
+    if (value === null || value === undefined) continue;
+
+    if (schema.type === 'boolean') {
+      if (typeof value === 'boolean') {
+        options[key] = value;
+      } else {
+        issues.push({ field, message: 'must be a boolean', value });
+      }
+      continue;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+      issues.push({ field, message: schema.type === 'integer' ? 'must be an integer' : 'must be a number', value });
+      continue;
+    }
+    if (value < schema.min || value > schema.max) {
+      issues.push({ field, message: `must be between ${schema.min} and ${schema.max}`, value });
+      continue;
+    }
+    options[key] = value;
+  }
+
+  if (issues.length > 0) throw invalidDecodingOptionsError(issues);
+  return options;
+}
+
+function getDecodingPreset(mode) {
+  return DECODING_PRESETS[mode] || DECODING_PRESETS.accurate;
+}
+
+// Flags in schema order, so equal options always produce equal args
+function buildDecodingArgs(options) {
+  const args = [];
+  for (const [key, schema] of Object.entries(DECODING_OPTION_SCHEMA)) {
+    const value = options[key];
+    if (value === undefined) continue;
+    if (schema.type !== 'boolean') {
+      args.push(schema.flag, String(value));
+    } else if (value && schema.flagWhenTrue) {
+      args.push(schema.flagWhenTrue);
+    } else if (!value && schema.flagWhenFalse) {
+      args.push(schema.flagWhenFalse);
+    }
+  }
+  return args;
+}
+
+// Identifies decoding overrides in cache keys; null when there are none
+function getDecodingKey(options) {
+  const keys = Object.keys(DECODING_OPTION_SCHEMA).filter((key) => options?.[key] !== undefined);
+  return keys.length > 0 ? JSON.stringify(keys.map((key) => [key, options[key]])) : null;
+}
+
+function describeRequestError(error) {
+  return error.details ? { error: error.message, code: error.code, details: error.details } : { error: error.message };
+}
+
+// Host configuration persisted in ~/.whooptido/config.json. Keys missing from
+// the file fall back to DEFAULT_HOST_CONFIG; a null value resets a key.
+const HOST_CONFIG_PATH = path.join(WHOOPTIDO_DIR, 'config.json');
+const TRANSCRIPTION_MODES = Object.freeze(Object.keys(DECODING_PRESETS));
+const PREFERRED_BACKENDS = Object.freeze(['auto', ...SUPPORTED_RUNTIME_BACKENDS]);
+const TRANSCRIPTION_BACKENDS = Object.freeze(['cli', 'server']);
+const ENGINE_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+const MAX_THREAD_CAP = 64;
+const MIN_SERVER_IDLE_SECONDS = 10;
+const MAX_SERVER_IDLE_SECONDS = 24 * 60 * 60;
+const MAX_CONCURRENT_JOBS_CAP = 8;
+const MAX_TRANSCRIPT_CACHE_BYTES = 64 * 1024 * 1024 * 1024;
+const DEFAULT_HOST_CONFIG = Object.freeze({
+  defaultModel: null,        // null: highest ranked installed model
+  defaultLanguage: 'auto',
+  defaultMode: 'accurate',
+  maxThreads: 4,             // further capped at (cpu count - 1)
+  preferredBackend: 'auto',  // 'auto' follows detected hardware order
+  transcriptionBackend: 'cli', // 'server' keeps a whisper-server per model warm
+  serverIdleSeconds: 300,    // idle time before a whisper-server is stopped
+  maxConcurrentJobs: 1,      // whisper runs at once; queued jobs wait by priority
+  transcriptCacheMaxBytes: 256 * 1024 * 1024, // 0 disables the transcript cache
+  defaultEngine: 'whisper-cli',
+  engines: Object.freeze([]) // command engines, see normalizeEngineDefinitions
+});
+
+const HOST_CONFIG_VALIDATORS = {
+  defaultModel: (value) => {
+    if (typeof value !== 'string' || !value.trim()) throw new Error('defaultModel must be a model id');
+    const modelId = value.trim();
+    if (!findInstalledModelById(modelId)) throw new Error(`Model "${modelId}" is not installed`);
+    return modelId;
+  },
+  defaultLanguage: (value) => {
+    if (typeof value !== 'string' || !/^(auto|[a-z]{2,3})$/.test(value.trim().toLowerCase())) {
+      throw new Error('defaultLanguage must be "auto" or a language code such as "en"');
+    }
+    return value.trim().toLowerCase();
+  },
+  defaultMode: (value) => {
+    if (!TRANSCRIPTION_MODES.includes(value)) {
+      throw new Error(`defaultMode must be one of: ${TRANSCRIPTION_MODES.join(', ')}`);
+    }
+    return value;
+  },
+  maxThreads: (value) => {
+    if (!Number.isInteger(value) || value < 1 || value > MAX_THREAD_CAP) {
+      throw new Error(`maxThreads must be an integer between 1 and ${MAX_THREAD_CAP}`);
+    }
+    return value;
+  },
+  preferredBackend: (value) => {
+    if (!PREFERRED_BACKENDS.includes(value)) {
+      throw new Error(`preferredBackend must be one of: ${PREFERRED_BACKENDS.join(', ')}`);
+    }
+    return value;
+  },
+  transcriptionBackend: (value) => {
+    if (!TRANSCRIPTION_BACKENDS.includes(value)) {
+      throw new Error(`transcriptionBackend must be one of: ${TRANSCRIPTION_BACKENDS.join(', ')}`);
+    }
+    return value;
+  },
+  serverIdleSeconds: (value) => {
+    if (!Number.isInteger(value) || value < MIN_SERVER_IDLE_SECONDS || value > MAX_SERVER_IDLE_SECONDS) {
+      throw new Error(`serverIdleSeconds must be an integer between ${MIN_SERVER_IDLE_SECONDS} and ${MAX_SERVER_IDLE_SECONDS}`);
+    }
+    return value;
+  },
+  maxConcurrentJobs: (value) => {
+    if (!Number.isInteger(value) || value < 1 || value > MAX_CONCURRENT_JOBS_CAP) {
+      throw new Error(`maxConcurrentJobs must be an integer between 1 and ${MAX_CONCURRENT_JOBS_CAP}`);
+    }
+    return value;
+  },
+  transcriptCacheMaxBytes: (value) => {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_TRANSCRIPT_CACHE_BYTES) {
+      throw new Error(`transcriptCacheMaxBytes must be an integer between 0 and ${MAX_TRANSCRIPT_CACHE_BYTES}`);
+    }
+    return value;
+  },
+  // Checked against the registered engines when a request uses it
+  defaultEngine: (value) => {
+    if (typeof value !== 'string' || !ENGINE_ID_PATTERN.test(value.trim())) {
+      throw new Error('defaultEngine must be an engine id');
+    }
+    return value.trim();
+  }
+};
+
+// Keys only read from config.json as the user edited it. set_config refuses
+// them: a command engine runs an arbitrary program.
+const FILE_ONLY_HOST_CONFIG_VALIDATORS = {
+  engines: (value) => normalizeEngineDefinitions(value)
+};
+
+let hostConfigCache = null;
+
+function getHostConfig() {
+  if (hostConfigCache) return hostConfigCache;
+
+  let stored = {};
+  try {
+    if (fs.existsSync(HOST_CONFIG_PATH)) {
+      stored = JSON.parse(fs.readFileSync(HOST_CONFIG_PATH, 'utf8')) || {};
+    }
+  } catch (error) {
+    log('Ignoring unreadable host config: ' + error.message);
+  }
+
+  const config = { ...DEFAULT_HOST_CONFIG };
+  for (const [key, value] of Object.entries(stored)) {
+    const validate = HOST_CONFIG_VALIDATORS[key] || FILE_ONLY_HOST_CONFIG_VALIDATORS[key];
+    if (!validate || value === null) continue;
+    // defaultModel is kept even if the file was deleted since; resolveModelPath reports it
+    if (key === 'defaultModel') {
+      if (typeof value === 'string' && value.trim()) config.defaultModel = value.trim();
+      continue;
+    }
+    try {
+      config[key] = validate(value);
+    } catch (error) {
+      log(`Ignoring host config ${key}: ${error.message}`);
+    }
+  }
+
+  hostConfigCache = Object.freeze(config);
+  return hostConfigCache;
+}
+
+/**
+ * Validate and persist a partial config update. Throws on the first invalid
+ * key so a bad request leaves the stored config untouched.
+ */
+function updateHostConfig(updates) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    throw new Error('config must be an object');
+  }
+
+  const next = { ...getHostConfig() };
+  for (const [key, value] of Object.entries(updates)) {
+    if (FILE_ONLY_HOST_CONFIG_VALIDATORS[key]) {
+      throw new Error(`${key} can only be changed by editing ${HOST_CONFIG_PATH}`);
+    }
+    if (!HOST_CONFIG_VALIDATORS[key]) throw new Error(`Unknown config key: ${key}`);
+    next[key] = value === null ? DEFAULT_HOST_CONFIG[key] : HOST_CONFIG_VALIDATORS[key](value);
+  }
+
+  fs.mkdirSync(WHOOPTIDO_DIR, { recursive: true });
+  const tempPath = `${HOST_CONFIG_PATH}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(next, null, 2));
+  fs.renameSync(tempPath, HOST_CONFIG_PATH);
+  hostConfigCache = null;
+  return getHostConfig();
+}
+
+// A missing mode falls back to the configured default; an unknown one is an error
+function resolveTranscriptionMode(mode) {
+  if (mode === undefined || mode === null || mode === '') return getHostConfig().defaultMode;
+  if (!TRANSCRIPTION_MODES.includes(mode)) {
+    throw invalidDecodingOptionsError([{ field: 'mode', message: `must be one of: ${TRANSCRIPTION_MODES.join(', ')}`, value: mode }]);
+  }
+  return mode;
+}
+
+function resolveTranscriptionLanguage(language) {
+  return language || getHostConfig().defaultLanguage;
+}
+
+/**
+ * Apply an imported model's language restriction: "auto" becomes the model's
+ * only language, and languages outside the list are refused.
+ */
+function resolveModelLanguage(modelPath, language) {
+  const metadata = readModelMetadata(modelPath);
+  const languages = metadata?.languages;
+  if (!Array.isArray(languages) || languages.length === 0) return language;
+  if (language === 'auto') return languages.length === 1 ? languages[0] : language;
+  if (!languages.includes(language)) {
+    throw new Error(`Model "${metadata.id}" only supports: ${languages.join(', ')}`);
+  }
+  return language;
+}
+
+// Speaker diarization, opt-in per request via `diarize`: 'tdrz' runs
+// tinydiarize, which needs a -tdrz model and only marks speaker turns, so its
+// segments carry a `turn` index rather than a speaker id; 'stereo' runs
+// whisper-cli's -di, which labels each segment with the louder channel of a
+// two-channel recording. Only a `speaker` field names a speaker.
+// `true` picks tinydiarize when the model supports it and stereo otherwise.
+const DIARIZATION_MODES = ['tdrz', 'stereo'];
+const SPEAKER_TURN_MARKER = '>>';
+
+function modelSupportsTinydiarize(modelPath) {
+  const metadata = readModelMetadata(modelPath);
+  return metadata ? metadata.tinydiarize === true : /tdrz/i.test(path.basename(modelPath));
+}
+
+function getModelIdForPath(modelPath) {
+  return readModelMetadata(modelPath)?.id || getModelIdFromFilename(path.basename(modelPath));
+}
+
+function normalizeDiarizationName(diarize) {
+  return String(diarize).trim().toLowerCase().replace(/^tinydiarize$/, 'tdrz');
+}
+
+function resolveDiarizationMode(diarize, modelPath) {
+  if (!diarize) return null;
+  const supportsTdrz = modelSupportsTinydiarize(modelPath);
+  const requested = diarize === true
+    ? (supportsTdrz ? 'tdrz' : 'stereo')
+    : normalizeDiarizationName(diarize);
+  if (!DIARIZATION_MODES.includes(requested)) {
+    throw new Error(`diarize must be true or one of: ${DIARIZATION_MODES.join(', ')}`);
+  }
+  if (requested === 'tdrz' && !supportsTdrz) {
+    throw new Error(`Model "${getModelIdForPath(modelPath)}" does not support tinydiarize; use a -tdrz model or diarize: "stereo"`);
+  }
+  return requested;
+}
+
+// Whisper's translate task (speech to English text), selected via `task`.
+// English-only checkpoints cannot translate, and large-v3-turbo was fine-tuned
+// without translation data, so it tends to echo the source language instead.
+const TRANSCRIPTION_TASKS = ['transcribe', 'translate'];
+const POOR_TRANSLATION_ARCHITECTURES = new Set(['large-v3-turbo']);
+
+function getTranslationSupport(inspection) {
+  if (!inspection.valid || !inspection.architecture || inspection.architecture.endsWith('.en')) return 'unsupported';
+  return POOR_TRANSLATION_ARCHITECTURES.has(inspection.architecture) ? 'poor' : 'supported';
+}
+
+function getTranslationWarning(modelPath) {
+  const inspection = getModelInspection(modelPath);
+  if (getTranslationSupport(inspection) !== 'poor') return null;
+  return `Model "${getModelIdForPath(modelPath)}" (${inspection.architecture}) was not trained to translate; expect untranslated or low-quality output`;
+}
+
+// `dualTrack` adds a source-language pass next to the translation. Without a
+// model path (engines other than whisper-cli) only the request is checked.
+function resolveTranscriptionTask(task, modelPath, { dualTrack = false } = {}) {
+  const requested = task == null || task === '' ? 'transcribe' : String(task).trim().toLowerCase();
+  if (!TRANSCRIPTION_TASKS.includes(requested)) {
+    throw new Error(`task must be one of: ${TRANSCRIPTION_TASKS.join(', ')}`);
+  }
+  if (dualTrack && requested !== 'translate') {
+    throw new Error('dualTrack requires task: "translate"');
+  }
+  if (requested === 'translate' && modelPath && getTranslationSupport(getModelInspection(modelPath)) === 'unsupported') {
+    throw new Error(`Model "${getModelIdForPath(modelPath)}" cannot translate; use a multilingual model`);
+  }
+  return requested;
+}
+
+/**
+ * The installed model to use when none is requested: the configured default if
+ * it is still installed, otherwise the highest ranked installed model.
+ */
+function getActiveModel(models = listInstalledModels()) {
+  const { defaultModel } = getHostConfig();
+  return (defaultModel && models.find((model) => model.id === defaultModel && model.valid !== false))
+    || models.find((model) => model.valid !== false)
+    || null;
+}
+
+/**
+ * Resolve the model file for a request. Throws instead of guessing so
+ * whisper-cli is never pointed at a file that doesn't exist.
+ */
 function resolveModelPath(model, modelId) {
-  if (model) return model;
+  const ensureValid = (modelPath, label) => {
+    const inspection = getModelInspection(modelPath);
+    if (!inspection.valid) throw new Error(`${label} is not a usable whisper model: ${inspection.invalidReason}`);
+    return modelPath;
+  };
+
+  if (model) {
+    if (!fs.existsSync(model)) throw new Error(`Model file not found: ${model}`);
+    return ensureValid(model, `Model file ${model}`);
+  }
+
+  if (modelId) {
+    const installedModel = findInstalledModelById(modelId);
+    if (!installedModel?.path) throw new Error(`Model "${modelId}" is not installed`);
+    return ensureValid(installedModel.path, `Model "${modelId}"`);
+  }
 
-  const installedModel = findInstalledModelById(modelId);
-  if (installedModel?.path) return installedModel.path;
+  const { defaultModel } = getHostConfig();
+  if (defaultModel) {
+    const configuredModel = findInstalledModelById(defaultModel);
+    if (!configuredModel?.path) {
+      throw new Error(`Configured default model "${defaultModel}" is not installed; download it or change defaultModel`);
+    }
+    return ensureValid(configuredModel.path, `Configured default model "${defaultModel}"`);
+  }
 
-  return DEFAULT_MODEL;
+  const activeModel = getActiveModel();
+  if (!activeModel?.path) {
+    const installed = listInstalledModels();
+    throw new Error(installed.length > 0
+      ? `No valid whisper model is installed (${installed.map((entry) => `${entry.id}: ${entry.invalidReason}`).join('; ')})`
+      : 'No whisper model is installed');
+  }
+  return activeModel.path;
 }
 
-function getModelRank(modelId) {
-  return MODEL_QUALITY_RANK[modelId] || 0;
+// Ranks for architectures the catalog doesn't ship, used for files that are
+// neither catalog entries nor imported with metadata
+const ARCHITECTURE_QUALITY_RANK = Object.freeze({
+  'tiny.en': 5,
+  'tiny': 10,
+  'base.en': 45,
+  'base': 50,
+  'large-v2': 280
+});
+
+// The architecture read from the file wins over the id guessed from its name
+function getModelRank(modelId, architecture = null) {
+  if (architecture) {
+    return getCatalogModel(architecture)?.qualityRank || ARCHITECTURE_QUALITY_RANK[architecture] || 0;
+  }
+  return getCatalogModel(modelId)?.qualityRank || 0;
 }
 
 function getPlatformId() {
@@ -578,13 +1394,13 @@ function getPlatformId() {
 }
 
 function getDownloadFilename(modelId, url) {
-  const candidateNames = MODEL_ID_TO_FILENAMES[modelId] || [];
+  const candidateNames = getCatalogFilenames(modelId);
+  if (!url) return candidateNames[0] || `ggml-${modelId}.bin`;
 
   try {
     const downloadUrl = new URL(url);
     const filename = path.basename(downloadUrl.pathname || '');
-    const resolvedModelId = MODEL_FILENAME_TO_ID[filename]
-      || filename.replace(/^ggml-/, '').replace(/\.bin$/, '');
+    const resolvedModelId = getModelIdFromFilename(filename);
 
     if (filename.endsWith('.bin') && (resolvedModelId === modelId || candidateNames.includes(filename))) {
       return filename;
@@ -628,22 +1444,37 @@ function listInstalledModels() {
   }
 }
 
-// DTW preset mapping for token-level timestamps
-// Maps modelId to whisper-cli DTW preset name
-const DTW_PRESETS = {
+// Whisper base architectures an imported model can declare, mapped to the
+// whisper-cli DTW preset for that architecture
+const WHISPER_ARCHITECTURE_DTW_PRESETS = Object.freeze({
+  'tiny': 'tiny',
+  'tiny.en': 'tiny.en',
+  'base': 'base',
+  'base.en': 'base.en',
   'small': 'small',
   'small.en': 'small.en',
   'medium': 'medium',
   'medium.en': 'medium.en',
+  'large-v1': 'large.v1',
+  'large-v2': 'large.v2',
   'large-v3': 'large.v3',
   'large-v3-turbo': 'large.v3.turbo'
-};
+});
 
+// DTW preset for token-level timestamps: an imported model's declared base
+// architecture, the architecture read from the ggml header, the catalog
+// entry's preset, or a guess from the model path
 function getDtwPreset(modelPath, modelId) {
-  // Try to determine DTW preset from modelId first
-  if (modelId && DTW_PRESETS[modelId]) {
-    return DTW_PRESETS[modelId];
+  const baseModel = readModelMetadata(modelPath)?.baseModel;
+  if (baseModel && WHISPER_ARCHITECTURE_DTW_PRESETS[baseModel]) {
+    return WHISPER_ARCHITECTURE_DTW_PRESETS[baseModel];
   }
+  const architecture = modelPath && fs.existsSync(modelPath) ? getModelInspection(modelPath).architecture : null;
+  if (architecture && WHISPER_ARCHITECTURE_DTW_PRESETS[architecture]) {
+    return WHISPER_ARCHITECTURE_DTW_PRESETS[architecture];
+  }
+  const catalogPreset = modelId ? getCatalogModel(modelId)?.dtwPreset : null;
+  if (catalogPreset) return catalogPreset;
   // Fall back to checking model path
   if (modelPath) {
     if (modelPath.includes('large-v3-turbo')) return 'large.v3.turbo';
@@ -657,43 +1488,457 @@ function getDtwPreset(modelPath, modelId) {
   return 'large.v3.turbo';
 }
 
+// RIFF/WAVE parsing: chunks are walked rather than read at fixed offsets, so
+// LIST/fact/bext chunks and WAVE_FORMAT_EXTENSIBLE headers are handled.
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+const SUPPORTED_WAV_BIT_DEPTHS = Object.freeze({
+  [WAVE_FORMAT_PCM]: [8, 16, 24, 32],
+  [WAVE_FORMAT_IEEE_FLOAT]: [32, 64]
+});
+const MAX_WAV_CHANNELS = 8;
+const CANONICAL_WAV_HEADER_SIZE = 44;
+const MAX_WAV_HEADER_SCAN_BYTES = 64 * 1024;
+
+function parseWavFormatChunk(buffer, offset, size) {
+  let formatTag = buffer.readUInt16LE(offset);
+  const channels = buffer.readUInt16LE(offset + 2);
+  const sampleRate = buffer.readUInt32LE(offset + 4);
+  const bitsPerSample = buffer.readUInt16LE(offset + 14);
+
+  if (formatTag === WAVE_FORMAT_EXTENSIBLE) {
+    if (size < 40 || offset + 40 > buffer.length) {
+      throw new Error('WAV extensible fmt chunk is truncated');
+    }
+    // The first two bytes of the SubFormat GUID carry the actual format code
+    formatTag = buffer.readUInt16LE(offset + 24);
+  }
+
+  const supportedDepths = SUPPORTED_WAV_BIT_DEPTHS[formatTag];
+  if (!supportedDepths) {
+    throw new Error(`Unsupported WAV format tag 0x${formatTag.toString(16).padStart(4, '0')}; only PCM and IEEE float are supported`);
+  }
+  if (!supportedDepths.includes(bitsPerSample)) {
+    const kind = formatTag === WAVE_FORMAT_PCM ? 'PCM' : 'float';
+    throw new Error(`Unsupported WAV bit depth for ${kind}: ${bitsPerSample} (supported: ${supportedDepths.join(', ')})`);
+  }
+  if (channels < 1 || channels > MAX_WAV_CHANNELS) {
+    throw new Error(`Unsupported WAV channel count: ${channels}`);
+  }
+  if (!sampleRate) {
+    throw new Error('WAV sample rate is zero');
+  }
+
+  // blockAlign and byteRate are derived rather than trusted; some encoders get them wrong
+  const blockAlign = channels * (bitsPerSample / 8);
+  return {
+    formatTag,
+    sampleFormat: formatTag === WAVE_FORMAT_IEEE_FLOAT ? 'float' : 'pcm',
+    channels,
+    sampleRate,
+    bitsPerSample,
+    blockAlign,
+    byteRate: sampleRate * blockAlign
+  };
+}
+
+/**
+ * Locate the fmt and data chunks of a RIFF/WAVE buffer. Only the header region
+ * is needed: the data chunk may extend past the end of the buffer, as it does
+ * for the first payload of a chunked session. Throws on unsupported layouts.
+ */
 function parseWavHeader(buffer) {
-  if (!buffer || buffer.length < 44) return null;
-  try {
-    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
-    const byteRate = view.getUint32(28, true);
-    const sampleRate = view.getUint32(24, true);
-    const bitsPerSample = view.getUint16(34, true);
-    const channels = view.getUint16(22, true);
-    return {
-      headerSize: 44,
-      header: buffer.slice(0, 44),
-      byteRate,
-      sampleRate,
-      bitsPerSample,
-      channels
-    };
-  } catch (e) {
-    return null;
+  if (!buffer || buffer.length < 12) {
+    throw new Error('WAV data is too short to contain a RIFF header');
+  }
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Audio is not a RIFF/WAVE file');
+  }
+
+  let offset = 12;
+  let format = null;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const bodyOffset = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      if (chunkSize < 16 || bodyOffset + 16 > buffer.length) {
+        throw new Error('WAV fmt chunk is truncated');
+      }
+      format = parseWavFormatChunk(buffer, bodyOffset, chunkSize);
+    } else if (chunkId === 'data') {
+      if (!format) {
+        throw new Error('WAV data chunk appears before the fmt chunk');
+      }
+      return {
+        ...format,
+        headerSize: bodyOffset,
+        dataSize: chunkSize
+      };
+    }
+
+    // Chunk bodies are padded to an even length
+    offset = bodyOffset + chunkSize + (chunkSize % 2);
   }
+
+  throw new Error(format ? 'WAV data chunk not found in header' : 'WAV fmt chunk not found in header');
 }
 
-function buildWavHeader(templateHeader, dataLength) {
-  const header = Buffer.from(templateHeader);
-  const fileSize = dataLength + 36;
-  header.writeUInt32LE(fileSize, 4);
+// Minimal canonical header for a per-chunk file in the given format
+function buildWavHeader(format, dataLength) {
+  const header = Buffer.alloc(CANONICAL_WAV_HEADER_SIZE);
+  const blockAlign = format.channels * (format.bitsPerSample / 8);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(dataLength + CANONICAL_WAV_HEADER_SIZE - 8, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(format.sampleFormat === 'float' ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, 20);
+  header.writeUInt16LE(format.channels, 22);
+  header.writeUInt32LE(format.sampleRate, 24);
+  header.writeUInt32LE(format.sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(format.bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
   header.writeUInt32LE(dataLength, 40);
   return header;
 }
 
-function shiftSegments(segments, offsetSeconds) {
-  if (!Array.isArray(segments) || !offsetSeconds) return segments || [];
-  return segments.map((segment) => {
-    const shifted = { ...segment };
-    if (typeof shifted.start === 'number') shifted.start += offsetSeconds;
-    if (typeof shifted.end === 'number') shifted.end += offsetSeconds;
-    if (Array.isArray(shifted.words)) {
-      shifted.words = shifted.words.map((word) => {
+// whisper.cpp decodes 16 kHz mono; anything else is converted here in pure JS.
+// Resampling is a polyphase windowed-sinc filter, so output sample k lands
+// exactly at input time k / 16000 and timestamps need no remapping.
+const WHISPER_WAV_FORMAT = Object.freeze({
+  formatTag: WAVE_FORMAT_PCM,
+  sampleFormat: 'pcm',
+  channels: 1,
+  sampleRate: 16000,
+  bitsPerSample: 16,
+  blockAlign: 2,
+  byteRate: 32000
+});
+// Stereo diarization compares the two channels, so they are kept apart
+const WHISPER_STEREO_WAV_FORMAT = Object.freeze({
+  ...WHISPER_WAV_FORMAT,
+  channels: 2,
+  blockAlign: 4,
+  byteRate: 64000
+});
+const RESAMPLER_ZERO_CROSSINGS = 12;
+const AUDIO_CONVERSION_BLOCK_BYTES = 1024 * 1024;
+
+function getWhisperTargetFormat(stereo) {
+  return stereo ? WHISPER_STEREO_WAV_FORMAT : WHISPER_WAV_FORMAT;
+}
+
+function isWhisperNativeFormat(format, target = WHISPER_WAV_FORMAT) {
+  return format.sampleFormat === target.sampleFormat
+    && format.channels === target.channels
+    && format.sampleRate === target.sampleRate
+    && format.bitsPerSample === target.bitsPerSample;
+}
+
+function createSampleReader(pcm, format) {
+  const bytesPerSample = format.bitsPerSample / 8;
+  if (format.sampleFormat === 'float') {
+    return bytesPerSample === 8
+      ? (position) => pcm.readDoubleLE(position)
+      : (position) => pcm.readFloatLE(position);
+  }
+  if (bytesPerSample === 1) return (position) => (pcm[position] - 128) / 128;
+  if (bytesPerSample === 2) return (position) => pcm.readInt16LE(position) / 32768;
+  if (bytesPerSample === 3) return (position) => pcm.readIntLE(position, 3) / 8388608;
+  return (position) => pcm.readInt32LE(position) / 2147483648;
+}
+
+// Decodes interleaved samples and averages the channels into one
+function decodePcmToMono(pcm, format) {
+  const bytesPerSample = format.bitsPerSample / 8;
+  const blockAlign = format.channels * bytesPerSample;
+  const frameCount = Math.floor(pcm.length / blockAlign);
+  const mono = new Float32Array(frameCount);
+  const readSample = createSampleReader(pcm, format);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const base = frame * blockAlign;
+    let sum = 0;
+    for (let channel = 0; channel < format.channels; channel++) {
+      sum += readSample(base + channel * bytesPerSample);
+    }
+    mono[frame] = sum / format.channels;
+  }
+
+  return mono;
+}
+
+// Decodes the first two channels separately; callers check there are two
+function decodePcmToStereo(pcm, format) {
+  const bytesPerSample = format.bitsPerSample / 8;
+  const blockAlign = format.channels * bytesPerSample;
+  const frameCount = Math.floor(pcm.length / blockAlign);
+  const left = new Float32Array(frameCount);
+  const right = new Float32Array(frameCount);
+  const readSample = createSampleReader(pcm, format);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const base = frame * blockAlign;
+    left[frame] = readSample(base);
+    right[frame] = readSample(base + bytesPerSample);
+  }
+
+  return [left, right];
+}
+
+function interleaveChannels(channels) {
+  if (channels.length === 1) return channels[0];
+  const frameCount = Math.min(...channels.map((channel) => channel.length));
+  const interleaved = new Float32Array(frameCount * channels.length);
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (let channel = 0; channel < channels.length; channel++) {
+      interleaved[frame * channels.length + channel] = channels[channel][frame];
+    }
+  }
+  return interleaved;
+}
+
+function assertStereoInput(format) {
+  if (format.channels < 2) {
+    throw new Error('Stereo diarization needs two-channel audio');
+  }
+}
+
+function encodePcm16(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const clamped = Math.max(-1, Math.min(1, samples[i]));
+    buffer.writeInt16LE(Math.round(clamped < 0 ? clamped * 32768 : clamped * 32767), i * 2);
+  }
+  return buffer;
+}
+
+function greatestCommonDivisor(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+/**
+ * Streaming resampler: process() accepts consecutive blocks of mono samples and
+ * returns whatever output is fully determined so far; flush() returns the rest.
+ */
+function createResampler(fromRate, toRate) {
+  if (fromRate === toRate) {
+    return { process: (samples) => samples, flush: () => new Float32Array(0) };
+  }
+
+  const divisor = greatestCommonDivisor(fromRate, toRate);
+  const step = fromRate / divisor;
+  const phases = toRate / divisor;
+  const cutoff = Math.min(1, toRate / fromRate);
+  const halfWidth = Math.ceil(RESAMPLER_ZERO_CROSSINGS / cutoff);
+  const taps = halfWidth * 2;
+  const coefficients = new Float32Array(phases * taps);
+
+  // One filter per fractional input position, each normalized to unity DC gain
+  for (let phase = 0; phase < phases; phase++) {
+    const fraction = phase / phases;
+    let sum = 0;
+    for (let tap = 0; tap < taps; tap++) {
+      const x = fraction - (tap - halfWidth + 1);
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x * cutoff) / (Math.PI * x * cutoff);
+      const window = Math.abs(x) >= halfWidth ? 0 : 0.5 * (1 + Math.cos(Math.PI * x / halfWidth));
+      coefficients[phase * taps + tap] = sinc * window;
+      sum += sinc * window;
+    }
+    for (let tap = 0; tap < taps; tap++) {
+      coefficients[phase * taps + tap] /= sum;
+    }
+  }
+
+  let history = new Float32Array(0);
+  let historyStart = 0;
+  let inputLength = 0;
+  let outputIndex = 0;
+
+  const render = (final) => {
+    const maxOutputs = Math.max(0, Math.ceil((inputLength * toRate) / fromRate) - outputIndex);
+    const output = new Float32Array(maxOutputs);
+    let count = 0;
+
+    while (count < maxOutputs) {
+      const position = outputIndex * step;
+      const base = Math.floor(position / phases);
+      if (final ? base >= inputLength : base + halfWidth >= inputLength) break;
+
+      const offset = (position % phases) * taps;
+      const first = base - halfWidth + 1 - historyStart;
+      let sum = 0;
+      for (let tap = 0; tap < taps; tap++) {
+        const index = first + tap;
+        if (index >= 0 && index < history.length) {
+          sum += history[index] * coefficients[offset + tap];
+        }
+      }
+      output[count++] = sum;
+      outputIndex++;
+    }
+
+    const keepFrom = Math.max(0, Math.floor((outputIndex * step) / phases) - halfWidth + 1 - historyStart);
+    history = history.slice(keepFrom);
+    historyStart += keepFrom;
+    return output.subarray(0, count);
+  };
+
+  return {
+    process: (samples) => {
+      const next = new Float32Array(history.length + samples.length);
+      next.set(history, 0);
+      next.set(samples, history.length);
+      history = next;
+      inputLength += samples.length;
+      return render(false);
+    },
+    flush: () => render(true)
+  };
+}
+
+function convertPcmToWhisperFormat(pcm, format, { stereo = false } = {}) {
+  const target = getWhisperTargetFormat(stereo);
+  if (stereo) assertStereoInput(format);
+  if (isWhisperNativeFormat(format, target)) return pcm;
+  const decoded = stereo ? decodePcmToStereo(pcm, format) : [decodePcmToMono(pcm, format)];
+  const channels = decoded.map((channel) => {
+    const resampler = createResampler(format.sampleRate, target.sampleRate);
+    const head = resampler.process(channel);
+    const tail = resampler.flush();
+    const samples = new Float32Array(head.length + tail.length);
+    samples.set(head, 0);
+    samples.set(tail, head.length);
+    return samples;
+  });
+  return encodePcm16(interleaveChannels(channels));
+}
+
+/**
+ * Convert a WAV file to 16 kHz mono 16-bit PCM in blocks (or 16 kHz stereo for
+ * stereo diarization). Returns the path of the converted temp file, or null
+ * when the file is already in whisper's format or is not a WAV file
+ * (whisper-cli is left to decode those itself).
+ */
+async function convertWavFileForWhisper(filePath, { stereo = false } = {}) {
+  const source = await fs.promises.open(filePath, 'r');
+  let target = null;
+  let targetPath = null;
+
+  try {
+    const { size } = await source.stat();
+    const scan = Buffer.alloc(Math.min(size, MAX_WAV_HEADER_SCAN_BYTES));
+    await source.read(scan, 0, scan.length, 0);
+    if (scan.length < 12 || scan.toString('ascii', 0, 4) !== 'RIFF') return null;
+
+    const { headerSize, dataSize, ...format } = parseWavHeader(scan);
+    const targetFormat = getWhisperTargetFormat(stereo);
+    if (stereo) assertStereoInput(format);
+    if (isWhisperNativeFormat(format, targetFormat)) return null;
+
+    const available = size - headerSize;
+    const dataEnd = headerSize + (dataSize > 0 && dataSize <= available ? dataSize : available);
+    const blockBytes = Math.max(format.blockAlign, AUDIO_CONVERSION_BLOCK_BYTES - (AUDIO_CONVERSION_BLOCK_BYTES % format.blockAlign));
+    const resamplers = Array.from({ length: targetFormat.channels }, () =>
+      createResampler(format.sampleRate, targetFormat.sampleRate)
+    );
+    const decode = (pcm) => (stereo ? decodePcmToStereo(pcm, format) : [decodePcmToMono(pcm, format)]);
+    const block = Buffer.alloc(blockBytes);
+
+    targetPath = path.join(os.tmpdir(), `whooptido-audio-16k-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.wav`);
+    target = await fs.promises.open(targetPath, 'w');
+    await target.write(buildWavHeader(targetFormat, 0), 0, CANONICAL_WAV_HEADER_SIZE, 0);
+    let written = 0;
+
+    for (let position = headerSize; position < dataEnd; position += blockBytes) {
+      const length = Math.min(blockBytes, dataEnd - position);
+      const { bytesRead } = await source.read(block, 0, length, position);
+      if (bytesRead <= 0) break;
+      const channels = decode(block.subarray(0, bytesRead)).map((samples, channel) => resamplers[channel].process(samples));
+      const encoded = encodePcm16(interleaveChannels(channels));
+      await target.write(encoded, 0, encoded.length, CANONICAL_WAV_HEADER_SIZE + written);
+      written += encoded.length;
+    }
+
+    const encodedTail = encodePcm16(interleaveChannels(resamplers.map((resampler) => resampler.flush())));
+    await target.write(encodedTail, 0, encodedTail.length, CANONICAL_WAV_HEADER_SIZE + written);
+    written += encodedTail.length;
+    await target.write(buildWavHeader(targetFormat, written), 0, CANONICAL_WAV_HEADER_SIZE, 0);
+
+    log(`Converted ${filePath} (${format.sampleRate} Hz, ${format.channels} ch, ${format.bitsPerSample}-bit ${format.sampleFormat}) to 16 kHz ${stereo ? 'stereo' : 'mono'}: ${targetPath}`);
+    return targetPath;
+  } catch (e) {
+    if (targetPath) {
+      try { fs.unlinkSync(targetPath); } catch (cleanupErr) { /* ignore */ }
+    }
+    throw e;
+  } finally {
+    await source.close();
+    if (target) await target.close();
+  }
+}
+
+/**
+ * Write the first `seconds` of a WAV file as a 16 kHz mono temp file, for
+ * language detection. Returns null for non-WAV files, which whisper-cli then
+ * decodes itself (detection only ever reads the first 30 s).
+ */
+async function writeWhisperAudioSample(filePath, seconds) {
+  const source = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await source.stat();
+    const scan = Buffer.alloc(Math.min(size, MAX_WAV_HEADER_SCAN_BYTES));
+    await source.read(scan, 0, scan.length, 0);
+    if (scan.length < 12 || scan.toString('ascii', 0, 4) !== 'RIFF') return null;
+
+    const { headerSize, dataSize, ...format } = parseWavHeader(scan);
+    const available = size - headerSize;
+    const dataBytes = dataSize > 0 && dataSize <= available ? dataSize : available;
+    const sampleBytes = Math.min(dataBytes, Math.floor((seconds * format.byteRate) / format.blockAlign) * format.blockAlign);
+    const pcm = Buffer.alloc(sampleBytes);
+    await source.read(pcm, 0, sampleBytes, headerSize);
+
+    const whisperAudio = convertPcmToWhisperFormat(pcm, format);
+    const samplePath = path.join(os.tmpdir(), `whooptido-audio-sample-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.wav`);
+    await fs.promises.writeFile(samplePath, Buffer.concat([buildWavHeader(WHISPER_WAV_FORMAT, whisperAudio.length), whisperAudio]));
+    return samplePath;
+  } finally {
+    await source.close();
+  }
+}
+
+function getWavFileDurationSeconds(filePath) {
+  let fd = null;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const headerBuffer = Buffer.alloc(MAX_WAV_HEADER_SCAN_BYTES);
+    const bytesRead = fs.readSync(fd, headerBuffer, 0, headerBuffer.length, 0);
+    const headerInfo = parseWavHeader(headerBuffer.subarray(0, bytesRead));
+    const dataBytes = fs.fstatSync(fd).size - headerInfo.headerSize;
+    return dataBytes > 0 ? dataBytes / headerInfo.byteRate : null;
+  } catch (e) {
+    return null;
+  } finally {
+    if (fd !== null) {
+      try { fs.closeSync(fd); } catch (e) { /* ignore */ }
+    }
+  }
+}
+
+function shiftSegments(segments, offsetSeconds) {
+  if (!Array.isArray(segments) || !offsetSeconds) return segments || [];
+  return segments.map((segment) => {
+    const shifted = { ...segment };
+    if (typeof shifted.start === 'number') shifted.start += offsetSeconds;
+    if (typeof shifted.end === 'number') shifted.end += offsetSeconds;
+    if (Array.isArray(shifted.words)) {
+      shifted.words = shifted.words.map((word) => {
         const next = { ...word };
         if (typeof next.start === 'number') next.start += offsetSeconds;
         if (typeof next.end === 'number') next.end += offsetSeconds;
@@ -704,15 +1949,321 @@ function shiftSegments(segments, offsetSeconds) {
   });
 }
 
-function transcribeFileWithWhisper({
+// Chunk overlap: each chunk is transcribed with a tail of the previous chunk's
+// audio prepended, and the two word lists are reconciled inside the overlap.
+const DEFAULT_CHUNK_OVERLAP_SECONDS = 1.5;
+const MAX_CHUNK_OVERLAP_SECONDS = 10;
+const STITCH_TIME_TOLERANCE_SECONDS = 0.6;
+
+function normalizeStitchToken(word) {
+  return String(word || '').toLowerCase().replace(/[^\p{L}\p{N}']+/gu, '');
+}
+
+function getSegmentsWords(segments) {
+  const words = [];
+  for (const segment of segments || []) {
+    for (const word of segment.words || []) {
+      if (typeof word.start === 'number') words.push(word);
+    }
+  }
+  return words.sort((a, b) => a.start - b.start);
+}
+
+// Keeps only words starting in [from, to); segments without words are kept by midpoint
+function sliceSegmentsByTime(segments, from = -Infinity, to = Infinity) {
+  const inRange = (time) => time >= from && time < to;
+  const result = [];
+
+  for (const segment of segments || []) {
+    if (!Array.isArray(segment.words) || segment.words.length === 0) {
+      const start = typeof segment.start === 'number' ? segment.start : 0;
+      const end = typeof segment.end === 'number' ? segment.end : start;
+      if (inRange((start + end) / 2)) result.push(segment);
+      continue;
+    }
+
+    const words = segment.words.filter((word) => typeof word.start !== 'number' || inRange(word.start));
+    if (words.length === 0) continue;
+    if (words.length === segment.words.length) {
+      result.push(segment);
+      continue;
+    }
+
+    const { speakerTurnNext, ...rest } = segment;
+    result.push({
+      ...rest,
+      start: words[0].start ?? segment.start,
+      end: words[words.length - 1].end ?? segment.end,
+      text: ' ' + words.map((word) => word.word).join(' '),
+      words,
+      // The turn flag belongs to the segment's end, so only the tail keeps it
+      ...(speakerTurnNext && words[words.length - 1] === segment.words[segment.words.length - 1]
+        ? { speakerTurnNext }
+        : {})
+    });
+  }
+
+  return result;
+}
+
+// Longest run of words that agree on text and (roughly) on time
+function findWordAlignment(previousWords, nextWords, tolerance) {
+  let best = null;
+
+  for (let i = 0; i < previousWords.length; i++) {
+    for (let j = 0; j < nextWords.length; j++) {
+      let length = 0;
+      while (
+        i + length < previousWords.length
+        && j + length < nextWords.length
+        && normalizeStitchToken(previousWords[i + length].word)
+        && normalizeStitchToken(previousWords[i + length].word) === normalizeStitchToken(nextWords[j + length].word)
+        && Math.abs(previousWords[i + length].start - nextWords[j + length].start) <= tolerance
+      ) {
+        length++;
+      }
+      if (length > 0 && (!best || length > best.length)) {
+        best = { previousIndex: i, nextIndex: j, length };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Merge the segments of a new chunk into the segments already collected, given
+ * that the new chunk's audio re-covers [overlapStart, overlapEnd] of the old one.
+ * Words at either edge of a chunk are the ones whisper tends to truncate, so the
+ * cut is placed on an aligned word nearest the middle of the overlap; without an
+ * alignment it falls back to the midpoint itself.
+ */
+function stitchOverlappingSegments(previousSegments, nextSegments, overlapStart, overlapEnd, options = {}) {
+  const tolerance = options.tolerance ?? STITCH_TIME_TOLERANCE_SECONDS;
+  if (!(overlapEnd > overlapStart) || !Array.isArray(previousSegments) || previousSegments.length === 0) {
+    return { segments: [...(previousSegments || []), ...(nextSegments || [])], added: nextSegments || [], cutTime: null, matchedWords: 0 };
+  }
+
+  const midpoint = (overlapStart + overlapEnd) / 2;
+  const previousWords = getSegmentsWords(previousSegments).filter((word) => word.start >= overlapStart - tolerance);
+  const nextWords = getSegmentsWords(nextSegments).filter((word) => word.start < overlapEnd + tolerance);
+  const alignment = findWordAlignment(previousWords, nextWords, tolerance);
+
+  let previousCut = midpoint;
+  let nextCut = midpoint;
+  if (alignment) {
+    let bestOffset = 0;
+    for (let k = 1; k < alignment.length; k++) {
+      const candidate = previousWords[alignment.previousIndex + k].start;
+      const current = previousWords[alignment.previousIndex + bestOffset].start;
+      if (Math.abs(candidate - midpoint) < Math.abs(current - midpoint)) bestOffset = k;
+    }
+    previousCut = previousWords[alignment.previousIndex + bestOffset].start;
+    nextCut = nextWords[alignment.nextIndex + bestOffset].start;
+  }
+
+  const kept = sliceSegmentsByTime(previousSegments, -Infinity, previousCut);
+  const added = sliceSegmentsByTime(nextSegments, nextCut, Infinity);
+  return {
+    segments: [...kept, ...added],
+    added,
+    cutTime: previousCut,
+    matchedWords: alignment ? alignment.length : 0
+  };
+}
+
+// Voice activity detection over decoded PCM: short frames are voiced when their
+// RMS energy clears the threshold, or when quieter frames have the high
+// zero-crossing rate of unvoiced consonants. The threshold follows the noise
+// floor (the quietest frames heard so far in the session), so low-gain audio
+// still has pauses to cut at; energyThreshold only caps it. VAD picks chunk
+// cut points; spans are skipped as silence only when skipSilence is set.
+const VAD_FRAME_SECONDS = 0.03;
+const VAD_NOISE_FLOOR_PERCENTILE = 0.1;
+// About -66 dBFS; below this everything counts as silence
+const MIN_VAD_ENERGY_THRESHOLD = 0.0005;
+const DEFAULT_VAD_OPTIONS = Object.freeze({
+  energyThreshold: 0.01,
+  noiseFloorRatio: 4,
+  zcrThreshold: 0.3,
+  minSilenceSeconds: 0.35,
+  minSpeechSeconds: 0.1,
+  skipSilence: false
+});
+
+function normalizeVadOptions(vad) {
+  if (vad === false) return null;
+  const options = vad && typeof vad === 'object' ? vad : {};
+  const positiveNumber = (value, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+  };
+
+  return {
+    energyThreshold: positiveNumber(options.energyThreshold, DEFAULT_VAD_OPTIONS.energyThreshold),
+    noiseFloorRatio: positiveNumber(options.noiseFloorRatio, DEFAULT_VAD_OPTIONS.noiseFloorRatio),
+    zcrThreshold: positiveNumber(options.zcrThreshold, DEFAULT_VAD_OPTIONS.zcrThreshold),
+    minSilenceSeconds: positiveNumber(options.minSilenceSeconds, DEFAULT_VAD_OPTIONS.minSilenceSeconds),
+    minSpeechSeconds: positiveNumber(options.minSpeechSeconds, DEFAULT_VAD_OPTIONS.minSpeechSeconds),
+    skipSilence: options.skipSilence === true
+  };
+}
+
+// Per-session VAD state; the noise floor only ever moves down
+function createVadState() {
+  return { noiseFloor: null };
+}
+
+function getVadEnergyThreshold(frameLevels, options, state) {
+  const sorted = frameLevels.slice().sort((a, b) => a - b);
+  const bufferFloor = sorted[Math.floor((sorted.length - 1) * VAD_NOISE_FLOOR_PERCENTILE)];
+  const noiseFloor = state
+    ? (state.noiseFloor = state.noiseFloor === null ? bufferFloor : Math.min(state.noiseFloor, bufferFloor))
+    : bufferFloor;
+  return Math.min(options.energyThreshold, Math.max(MIN_VAD_ENERGY_THRESHOLD, noiseFloor * options.noiseFloorRatio));
+}
+
+function analyzeVoiceFrames(pcm, audioFormat, options, state = null) {
+  if (!pcm || !audioFormat?.sampleRate) return null;
+
+  const samples = decodePcmToMono(pcm, audioFormat);
+  const frameSamples = Math.max(1, Math.round(audioFormat.sampleRate * VAD_FRAME_SECONDS));
+  const levels = [];
+
+  for (let offset = 0; offset < samples.length; offset += frameSamples) {
+    const end = Math.min(samples.length, offset + frameSamples);
+    let sumSquares = 0;
+    let crossings = 0;
+
+    for (let i = offset; i < end; i++) {
+      sumSquares += samples[i] * samples[i];
+      if (i > offset && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+    }
+
+    const count = end - offset;
+    levels.push({
+      start: offset * audioFormat.blockAlign,
+      end: end * audioFormat.blockAlign,
+      rms: Math.sqrt(sumSquares / count),
+      zcr: count > 1 ? crossings / (count - 1) : 0
+    });
+  }
+  if (levels.length === 0) return [];
+
+  const threshold = getVadEnergyThreshold(levels.map((level) => level.rms), options, state);
+  return levels.map(({ start, end, rms, zcr }) => ({
+    start,
+    end,
+    voiced: rms >= threshold || (rms >= threshold / 2 && zcr >= options.zcrThreshold)
+  }));
+}
+
+function hasVoiceActivity(pcm, audioFormat, options, state = null) {
+  const frames = analyzeVoiceFrames(pcm, audioFormat, options, state);
+  if (!frames) return true;
+  const voicedFrames = frames.filter((frame) => frame.voiced).length;
+  return voicedFrames * VAD_FRAME_SECONDS >= options.minSpeechSeconds;
+}
+
+// Whether whisper can be skipped for this span; only when the caller opted in
+function isSkippableSilence(pcm, audioFormat, options, state = null) {
+  return Boolean(options?.skipSilence) && !hasVoiceActivity(pcm, audioFormat, options, state);
+}
+
+// Byte offset in the middle of the last long-enough pause, or null if there is none
+function findLastPauseOffset(pcm, audioFormat, options, state = null) {
+  const frames = analyzeVoiceFrames(pcm, audioFormat, options, state);
+  // Without any voiced frame there is no speech to keep apart
+  if (!frames || !frames.some((frame) => frame.voiced)) return null;
+
+  const minSilenceFrames = Math.ceil(options.minSilenceSeconds / VAD_FRAME_SECONDS);
+  const { blockAlign } = audioFormat;
+  let runEnd = -1;
+
+  for (let i = frames.length - 1; i >= -1; i--) {
+    const silent = i >= 0 && !frames[i].voiced;
+    if (silent && runEnd === -1) runEnd = i;
+    if (!silent && runEnd !== -1) {
+      const runStart = i + 1;
+      if (runEnd - runStart + 1 >= minSilenceFrames) {
+        const middle = (frames[runStart].start + frames[runEnd].end) / 2;
+        return Math.floor(middle / blockAlign) * blockAlign;
+      }
+      runEnd = -1;
+    }
+  }
+
+  return null;
+}
+
+function resolveUsableWhisperCli() {
+  const whisperInfo = resolveWhisperCli();
+  if (!whisperInfo.path || !whisperInfo.probe?.ok) {
+    throw new Error(`Whisper runtime not found. Checked: ${whisperInfo.candidates.join(', ')}`);
+  }
+
+  const runtimeStatus = whisperInfo.runtimeStatus || buildWhisperRuntimeStatus(whisperInfo);
+  if (!runtimeStatus.asrSupported) {
+    throw new Error(runtimeStatus.unsupportedReason || 'Whisper runtime is not configured for a supported accelerated backend.');
+  }
+  return whisperInfo;
+}
+
+function getWhisperThreadCount() {
+  const cpuCount = os.cpus()?.length || 4;
+  // Keep one core available by default to reduce machine lockups.
+  return Math.max(1, Math.min(getHostConfig().maxThreads, Math.max(1, cpuCount - 1)));
+}
+
+// Language detection: whisper-cli logs "auto-detected language: en (p = 0.973)"
+// to stderr. A chunked session locks onto a language detected at least this
+// confidently, so later chunks can't drift to another one.
+const DETECTED_LANGUAGE_PATTERN = /auto-detected language:\s*([a-z]+)\s*\(p\s*=\s*([\d.]+)\)/i;
+const LANGUAGE_LOCK_PROBABILITY = 0.8;
+const LANGUAGE_DETECTION_SAMPLE_SECONDS = 30;
+
+function parseDetectedLanguage(stderr, fallbackLanguage = null) {
+  const match = DETECTED_LANGUAGE_PATTERN.exec(stderr || '');
+  if (match) {
+    return { language: match[1].toLowerCase(), probability: Number(match[2]) };
+  }
+  return fallbackLanguage ? { language: fallbackLanguage, probability: null } : null;
+}
+
+/**
+ * Transcribe a WAV file with the configured backend, or the one a caller
+ * asks for with `backend`. Streaming requests (onSegment/onProgress) always
+ * use whisper-cli, which reports both as it runs; a whisper-server that can't
+ * be started falls back to whisper-cli.
+ */
+async function transcribeFileWithWhisper(options) {
+  const backend = options.backend || getHostConfig().transcriptionBackend;
+  if (backend !== 'server' || options.onSegment || options.onProgress) {
+    return transcribeFileWithWhisperCli(options);
+  }
+  try {
+    return await transcribeFileWithWhisperServer(options);
+  } catch (error) {
+    if (error.code !== 'whisper_server_unavailable') throw error;
+    log(`whisper-server unavailable, using whisper-cli: ${error.message}`);
+    return transcribeFileWithWhisperCli(options);
+  }
+}
+
+function transcribeFileWithWhisperCli({
   audioFilePath,
   language,
   modelId,
   modelPath,
   mode = 'accurate',
-  cleanupPaths = [],
+  decoding = {},
+  diarization = null,
+  task = 'transcribe',
+  prompt = null,
   operationKey = null,
-  isCancelled = () => false
+  isCancelled = () => false,
+  onSegment = null,
+  onProgress = null
 }) {
   return new Promise((resolve, reject) => {
     if (isCancelled()) {
@@ -720,67 +2271,104 @@ function transcribeFileWithWhisper({
       return;
     }
 
-    const lang = language || 'auto';
-    const resolvedModelPath = resolveModelPath(modelPath, modelId);
-    const whisperInfo = resolveWhisperCli();
-    if (!whisperInfo.path || !whisperInfo.probe?.ok) {
-      reject(new Error(`Whisper runtime not found. Checked: ${whisperInfo.candidates.join(', ')}`));
+    let lang;
+    let resolvedModelPath;
+    try {
+      resolvedModelPath = resolveModelPath(modelPath, modelId);
+      lang = resolveModelLanguage(resolvedModelPath, resolveTranscriptionLanguage(language));
+    } catch (error) {
+      reject(error);
       return;
     }
-
-    const runtimeStatus = whisperInfo.runtimeStatus || buildWhisperRuntimeStatus(whisperInfo);
-    if (!runtimeStatus.asrSupported) {
-      reject(new Error(runtimeStatus.unsupportedReason || 'Whisper runtime is not configured for a supported accelerated backend.'));
+    let whisperInfo;
+    try {
+      whisperInfo = resolveUsableWhisperCli();
+    } catch (error) {
+      reject(error);
       return;
     }
 
     const outputBase = path.join(os.tmpdir(), `whooptido-transcription-${Date.now()}`);
-    const cpuCount = os.cpus()?.length || 4;
-    const configuredMaxThreads = Math.max(
-      1,
-      Number.parseInt(process.env.WHOOPTIDO_MAX_THREADS || '', 10) || 4
-    );
-    // Keep one core available by default to reduce machine lockups.
-    const threadCount = Math.max(1, Math.min(configuredMaxThreads, Math.max(1, cpuCount - 1)));
-    const dtwPreset = getDtwPreset(resolvedModelPath, modelId);
-    const isFastMode = mode === 'fast';
+    const preset = getDecodingPreset(mode);
     const args = [
       '-m', resolvedModelPath,
       '-l', lang,
       '-ojf',
-      '-t', String(threadCount),
-      '--no-prints'
+      '-t', String(getWhisperThreadCount())
     ];
 
-    if (!isFastMode) {
+    // --no-prints would also hide the detected language line
+    if (lang !== 'auto') {
+      args.push('--no-prints');
+    }
+
+    if (preset.dtw) {
       args.push(
-        '--dtw', dtwPreset,      // Enable DTW for accurate token-level timestamps
-        '--no-flash-attn'        // DTW requires flash attention disabled
+        '--dtw', getDtwPreset(resolvedModelPath, modelId),  // Enable DTW for accurate token-level timestamps
+        '--no-flash-attn'                                   // DTW requires flash attention disabled
       );
     }
 
+    args.push(...buildDecodingArgs({ ...preset.decoding, ...decoding }));
+
+    if (task === 'translate') {
+      args.push('--translate');
+    }
+
+    if (prompt) {
+      args.push('--prompt', prompt);
+    }
+
+    if (diarization === 'tdrz') {
+      args.push('-tdrz');
+    } else if (diarization === 'stereo') {
+      args.push('-di');
+    }
+
+    if (onProgress) {
+      args.push('-pp');
+    }
+
     args.push('-of', outputBase, audioFilePath);
 
-    log(`Whisper args (${isFastMode ? 'fast' : 'accurate'}): ${args.join(' ')}`);
+    log(`Whisper args (${mode}): ${args.join(' ')}`);
 
     const startTime = Date.now();
     const whisper = spawn(whisperInfo.path, args, getWhisperExecutionOptions(whisperInfo.path));
     registerWhisperProcess(operationKey, whisper);
     let stderr = '';
+    let stdoutRemainder = '';
+
+    // Always drain stdout so whisper-cli never blocks on a full pipe
+    whisper.stdout.on('data', (data) => {
+      if (!onSegment) return;
+      const lines = (stdoutRemainder + data.toString()).split(/\r?\n/);
+      stdoutRemainder = lines.pop();
+      for (const line of lines) {
+        const segment = parseWhisperSegmentLine(line);
+        if (segment) onSegment(segment);
+      }
+    });
 
     whisper.stderr.on('data', (data) => {
-      stderr += data.toString();
+      const chunk = data.toString();
+      stderr += chunk;
+      if (onProgress) {
+        const matches = [...chunk.matchAll(/progress\s*=\s*(\d+)%/g)];
+        if (matches.length > 0) {
+          onProgress(Number(matches[matches.length - 1][1]));
+        }
+      }
     });
 
     whisper.on('close', (code) => {
       clearWhisperProcess(operationKey);
       const duration = Date.now() - startTime;
 
-      cleanupPaths.forEach((filePath) => {
-        if (filePath && fs.existsSync(filePath)) {
-          try { fs.unlinkSync(filePath); } catch (e) { /* ignore */ }
-        }
-      });
+      if (onSegment && stdoutRemainder) {
+        const segment = parseWhisperSegmentLine(stdoutRemainder);
+        if (segment) onSegment(segment);
+      }
 
       if (code !== 0) {
         if (isCancelled()) {
@@ -796,12 +2384,14 @@ function transcribeFileWithWhisper({
         log(`Reading transcription output: ${jsonPath}`);
         const result = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
         const rawSegments = result.transcription || result.segments || [];
-        const segments = normalizeWhisperSegments(rawSegments);
+        const normalized = normalizeWhisperSegments(rawSegments);
+        const segments = diarization === 'tdrz' ? assignSpeakerTurns(normalized).segments : normalized;
         const text = result.text || rawSegments.map(s => s.text).join(' ');
+        const detectedLanguage = lang === 'auto' ? parseDetectedLanguage(stderr, result.result?.language) : null;
 
         try { fs.unlinkSync(jsonPath); } catch (e) { /* ignore */ }
 
-        resolve({ segments, text, duration });
+        resolve({ segments, text, duration, detectedLanguage });
       } catch (e) {
         reject(new Error(`Failed to read transcription: ${e.message}`));
       }
@@ -809,120 +2399,2328 @@ function transcribeFileWithWhisper({
 
     whisper.on('error', (err) => {
       clearWhisperProcess(operationKey);
-      cleanupPaths.forEach((filePath) => {
-        if (filePath && fs.existsSync(filePath)) {
-          try { fs.unlinkSync(filePath); } catch (e) { /* ignore */ }
-        }
-      });
       reject(new Error(`Failed to start whisper: ${err.message}`));
     });
   });
 }
 
-function normalizeWhisperSegments(rawSegments) {
-  if (!Array.isArray(rawSegments)) return [];
-  return rawSegments.map((segment) => {
-    const offsets = segment.offsets || {};
-    const start = typeof offsets.from === 'number' ? offsets.from / 1000 : undefined;
-    const end = typeof offsets.to === 'number' ? offsets.to / 1000 : undefined;
-    const words = mergeWhisperTokens(segment.tokens || []);
-    return {
-      start,
-      end,
-      text: segment.text || '',
-      words
-    };
-  });
-}
-
-function mergeWhisperTokens(tokens) {
-  if (!Array.isArray(tokens) || tokens.length === 0) return [];
+/**
+ * Run whisper-cli's language detection only (-dl), which exits after the
+ * first 30 s window has been classified.
+ */
+function detectLanguageWithWhisper({ audioFilePath, modelPath, operationKey = null, isCancelled = () => false }) {
+  return new Promise((resolve, reject) => {
+    let whisperInfo;
+    try {
+      whisperInfo = resolveUsableWhisperCli();
+    } catch (error) {
+      reject(error);
+      return;
+    }
 
-  const words = [];
-  let current = null;
+    const args = ['-m', modelPath, '-l', 'auto', '-dl', '-t', String(getWhisperThreadCount()), audioFilePath];
+    log(`Whisper language detection args: ${args.join(' ')}`);
+    const whisper = spawn(whisperInfo.path, args, getWhisperExecutionOptions(whisperInfo.path));
+    registerWhisperProcess(operationKey, whisper);
+    let stderr = '';
 
-  for (const token of tokens) {
-    const rawText = String(token.text || '');
-    if (!rawText) continue;
+    whisper.stdout.on('data', () => {});
+    whisper.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
 
-    // Skip special tokens like [_BEG_]
-    if (/^\[_.*_\]$/.test(rawText)) continue;
+    whisper.on('close', (code) => {
+      clearWhisperProcess(operationKey);
+      if (code !== 0) {
+        reject(new Error(isCancelled() ? 'Language detection cancelled' : `Whisper failed with code ${code}: ${stderr}`));
+        return;
+      }
+      const detection = parseDetectedLanguage(stderr);
+      if (!detection) {
+        reject(new Error('Whisper did not report a detected language'));
+        return;
+      }
+      resolve(detection);
+    });
 
-    const offsets = token.offsets || {};
+    whisper.on('error', (err) => {
+      clearWhisperProcess(operationKey);
+      reject(new Error(`Failed to start whisper: ${err.message}`));
+    });
+  });
+}
+
+// Persistent whisper-server backend, selected with the host config
+// `transcriptionBackend: 'server'`. Each model gets one whisper-server on a
+// loopback port that keeps the model loaded between requests and is stopped
+// after `serverIdleSeconds` without work. DTW is fixed when the model loads,
+// so accurate and fast requests use separate servers. A crashed server is
+// restarted on the next request; one that keeps crashing is left alone and
+// requests go to whisper-cli until the restart window has passed.
+const WHISPER_SERVER_ENV = 'WHOOPTIDO_WHISPER_SERVER';
+const WHISPER_SERVER_HOST = '127.0.0.1';
+const WHISPER_SERVER_STARTUP_TIMEOUT_MS = 120 * 1000;
+const WHISPER_SERVER_POLL_INTERVAL_MS = 250;
+const WHISPER_SERVER_HEALTH_TIMEOUT_MS = 2000;
+const WHISPER_SERVER_HEALTH_MAX_AGE_MS = 30 * 1000;
+const WHISPER_SERVER_MAX_RESTARTS = 3;
+const WHISPER_SERVER_RESTART_WINDOW_MS = 5 * 60 * 1000;
+const whisperServers = new Map();
+const whisperServerCrashes = new Map();
+
+function whisperServerUnavailableError(message) {
+  const error = new Error(message);
+  error.code = 'whisper_server_unavailable';
+  return error;
+}
+
+// whisper-server ships next to whisper-cli in every runtime bundle
+function getWhisperServerPath(whisperCliPath) {
+  if (process.env[WHISPER_SERVER_ENV]) return process.env[WHISPER_SERVER_ENV];
+  const executableName = os.platform() === 'win32' ? 'whisper-server.exe' : 'whisper-server';
+  return isPathLike(whisperCliPath) ? path.join(path.dirname(whisperCliPath), executableName) : executableName;
+}
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = http.createServer();
+    probe.on('error', reject);
+    probe.listen(0, WHISPER_SERVER_HOST, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function requestWhisperServer(server, { method = 'GET', pathname, headers = {}, timeout = 0, send = (request) => request.end() }, onRequest = null) {
+  return new Promise((resolve, reject) => {
+    const request = http.request({ host: WHISPER_SERVER_HOST, port: server.port, method, path: pathname, headers, timeout }, (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => resolve({ statusCode: response.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+      response.on('error', reject);
+    });
+    request.on('timeout', () => request.destroy(new Error(`whisper-server did not answer within ${timeout} ms`)));
+    request.on('error', reject);
+    if (onRequest) onRequest(request);
+    send(request);
+  });
+}
+
+// whisper-server answers 503 while the model is still loading
+async function checkWhisperServerHealth(server) {
+  try {
+    const { statusCode } = await requestWhisperServer(server, { pathname: '/health', timeout: WHISPER_SERVER_HEALTH_TIMEOUT_MS });
+    if (statusCode === 200) {
+      server.lastHealthyAt = Date.now();
+      return true;
+    }
+  } catch (error) {
+    // Not listening yet, or gone
+  }
+  return false;
+}
+
+async function waitForWhisperServer(server) {
+  const deadline = Date.now() + WHISPER_SERVER_STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (server.exited) {
+      throw whisperServerUnavailableError(`whisper-server exited during startup: ${clampDiagnosticText(server.stderr, 500)}`);
+    }
+    if (await checkWhisperServerHealth(server)) return;
+    await new Promise((resolve) => setTimeout(resolve, WHISPER_SERVER_POLL_INTERVAL_MS));
+  }
+  throw whisperServerUnavailableError(`whisper-server did not become healthy within ${WHISPER_SERVER_STARTUP_TIMEOUT_MS / 1000} s`);
+}
+
+function getRecentWhisperServerCrashes(key) {
+  const now = Date.now();
+  const crashes = (whisperServerCrashes.get(key) || []).filter((time) => now - time < WHISPER_SERVER_RESTART_WINDOW_MS);
+  whisperServerCrashes.set(key, crashes);
+  return crashes;
+}
+
+function recordWhisperServerCrash(key) {
+  getRecentWhisperServerCrashes(key).push(Date.now());
+}
+
+function stopWhisperServer(server, reason) {
+  clearTimeout(server.idleTimer);
+  if (whisperServers.get(server.key) === server) whisperServers.delete(server.key);
+  if (server.exited || server.stopping) return;
+  server.stopping = true;
+  log(`Stopping whisper-server for ${path.basename(server.modelPath)} (${reason})`);
+  try {
+    server.proc.kill('SIGTERM');
+    setTimeout(() => {
+      try {
+        if (!server.exited) server.proc.kill('SIGKILL');
+      } catch (error) {
+        // ignore
+      }
+    }, 3000).unref();
+  } catch (error) {
+    logError(`Failed to stop whisper-server: ${error.message}`);
+  }
+}
+
+function stopAllWhisperServers(reason) {
+  for (const server of Array.from(whisperServers.values())) {
+    stopWhisperServer(server, reason);
+  }
+}
+
+function scheduleWhisperServerIdleStop(server) {
+  clearTimeout(server.idleTimer);
+  if (server.exited || server.activeRequests > 0) return;
+  server.idleTimer = setTimeout(() => stopWhisperServer(server, 'idle'), getHostConfig().serverIdleSeconds * 1000);
+}
+
+function startWhisperServer(key, { modelPath, dtwPreset }) {
+  const whisperInfo = resolveUsableWhisperCli();
+  const serverPath = getWhisperServerPath(whisperInfo.path);
+  if (isPathLike(serverPath) && !fs.existsSync(serverPath)) {
+    throw whisperServerUnavailableError(`whisper-server not found at ${serverPath}`);
+  }
+
+  // Only one model stays loaded, so an idle server for another one makes room
+  for (const other of Array.from(whisperServers.values())) {
+    if (other.activeRequests === 0) stopWhisperServer(other, 'replaced');
+  }
+
+  const server = {
+    key,
+    modelPath,
+    dtwPreset,
+    port: null,
+    proc: null,
+    exited: false,
+    stopping: false,
+    stderr: '',
+    activeRequests: 0,
+    idleTimer: null,
+    startedAt: Date.now(),
+    lastHealthyAt: 0,
+    ready: null
+  };
+  whisperServers.set(key, server);
+
+  const launch = async () => {
+    server.port = await findFreePort();
+    const args = [
+      '-m', modelPath,
+      '--host', WHISPER_SERVER_HOST,
+      '--port', String(server.port),
+      '-t', String(getWhisperThreadCount())
+    ];
+    if (dtwPreset) {
+      args.push('--dtw', dtwPreset, '--no-flash-attn');
+    }
+    log(`Starting whisper-server: ${args.join(' ')}`);
+
+    const proc = spawn(serverPath, args, getWhisperExecutionOptions(serverPath));
+    server.proc = proc;
+    const onExit = (detail) => {
+      if (server.exited) return;
+      server.exited = true;
+      clearTimeout(server.idleTimer);
+      if (whisperServers.get(key) === server) whisperServers.delete(key);
+      if (!server.stopping) {
+        recordWhisperServerCrash(key);
+        logError(`whisper-server for ${path.basename(modelPath)} exited unexpectedly (${detail})`);
+      }
+    };
+    proc.stdout.on('data', () => {});
+    proc.stderr.on('data', (data) => {
+      server.stderr = (server.stderr + data.toString()).slice(-4000);
+    });
+    proc.on('exit', (code, signal) => onExit(`code=${code}, signal=${signal}`));
+    proc.on('error', (error) => {
+      server.stderr += error.message;
+      onExit(error.message);
+    });
+
+    await waitForWhisperServer(server);
+    log(`whisper-server ready on port ${server.port} after ${Date.now() - server.startedAt} ms`);
+  };
+
+  server.ready = launch().catch((error) => {
+    stopWhisperServer(server, 'startup failed');
+    throw error.code ? error : whisperServerUnavailableError(error.message);
+  });
+  return server;
+}
+
+/**
+ * Return a healthy server for the model, starting or restarting one as
+ * needed. A server that hasn't answered recently is health-checked first.
+ */
+async function acquireWhisperServer({ modelPath, dtwPreset }) {
+  const key = `${modelPath}|${dtwPreset || 'no-dtw'}`;
+  if (getRecentWhisperServerCrashes(key).length > WHISPER_SERVER_MAX_RESTARTS) {
+    throw whisperServerUnavailableError(`whisper-server for ${path.basename(modelPath)} crashed ${WHISPER_SERVER_MAX_RESTARTS + 1} times in ${WHISPER_SERVER_RESTART_WINDOW_MS / 60000} min`);
+  }
+
+  let server = whisperServers.get(key);
+  if (server) {
+    await server.ready;
+    if (Date.now() - server.lastHealthyAt > WHISPER_SERVER_HEALTH_MAX_AGE_MS && !(await checkWhisperServerHealth(server))) {
+      recordWhisperServerCrash(key);
+      stopWhisperServer(server, 'failed health check');
+      server = null;
+    }
+  }
+  if (!server || server.exited) {
+    server = startWhisperServer(key, { modelPath, dtwPreset });
+    await server.ready;
+  }
+  return server;
+}
+
+// Lets cancelWhisperOperation abort an inference request like a process.
+// whisper-server can't interrupt a running inference, so it finishes in the
+// background, and there is nothing to pause.
+function createInferenceRequestHandle(request) {
+  return {
+    killed: false,
+    kill(signal) {
+      if (signal === 'SIGSTOP' || signal === 'SIGCONT') return false;
+      this.killed = true;
+      request.destroy(new Error('Transcription cancelled'));
+      return true;
+    }
+  };
+}
+
+function postWhisperInference(server, audioFilePath, fields, operationKey) {
+  const boundary = `----whooptido-${crypto.randomBytes(12).toString('hex')}`;
+  const head = Buffer.from(
+    Object.entries(fields)
+      .map(([name, value]) => `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`)
+      .join('') +
+    `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${path.basename(audioFilePath)}"\r\n` +
+    'Content-Type: audio/wav\r\n\r\n'
+  );
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+  return requestWhisperServer(server, {
+    method: 'POST',
+    pathname: '/inference',
+    headers: {
+      'Content-Type': `multipart/form-data; boundary=${boundary}`,
+      'Content-Length': head.length + fs.statSync(audioFilePath).size + tail.length
+    },
+    send: (request) => {
+      request.write(head);
+      const file = fs.createReadStream(audioFilePath);
+      file.on('error', (error) => request.destroy(error));
+      file.on('end', () => request.end(tail));
+      file.pipe(request, { end: false });
+    }
+  }, (request) => registerWhisperProcess(operationKey, createInferenceRequestHandle(request)));
+}
+
+function buildWhisperServerFields({ lang, task, prompt, diarization, decoding }) {
+  const fields = {
+    response_format: 'verbose_json',
+    language: lang,
+    translate: String(task === 'translate')
+  };
+  if (prompt) fields.prompt = prompt;
+  if (diarization === 'tdrz') fields.tinydiarize = 'true';
+  if (diarization === 'stereo') fields.diarize = 'true';
+
+  for (const [key, schema] of Object.entries(DECODING_OPTION_SCHEMA)) {
+    const value = decoding[key];
+    if (value === undefined) continue;
+    if (schema.field) {
+      fields[schema.field] = String(value);
+    } else if (!value && schema.fieldWhenFalse) {
+      fields[schema.fieldWhenFalse[0]] = schema.fieldWhenFalse[1];
+    }
+  }
+  return fields;
+}
+
+// Reshape a verbose_json segment into whisper-cli's -ojf layout so both
+// backends share normalizeWhisperSegments; its "words" are really tokens.
+function toWhisperJsonSegment(segment) {
+  const toMs = (seconds) => (typeof seconds === 'number' ? Math.round(seconds * 1000) : undefined);
+  return {
+    ...segment,
+    offsets: { from: toMs(segment.start), to: toMs(segment.end) },
+    tokens: (segment.words || []).map((token) => ({
+      text: token.word,
+      offsets: { from: toMs(token.start), to: toMs(token.end) },
+      p: token.probability
+    }))
+  };
+}
+
+function getServerDetectedLanguage(result) {
+  const language = [result.detected_language, result.language]
+    .find((value) => typeof value === 'string' && /^[a-z]{2,3}$/i.test(value));
+  if (!language) return null;
+  const probability = result.detected_language_probability;
+  return { language: language.toLowerCase(), probability: typeof probability === 'number' ? probability : null };
+}
+
+async function transcribeFileWithWhisperServer({
+  audioFilePath,
+  language,
+  modelId,
+  modelPath,
+  mode = 'accurate',
+  decoding = {},
+  diarization = null,
+  task = 'transcribe',
+  prompt = null,
+  operationKey = null,
+  isCancelled = () => false
+}) {
+  if (isCancelled()) {
+    throw new Error('Transcription cancelled before start');
+  }
+
+  const resolvedModelPath = resolveModelPath(modelPath, modelId);
+  const lang = resolveModelLanguage(resolvedModelPath, resolveTranscriptionLanguage(language));
+  const preset = getDecodingPreset(mode);
+  const dtwPreset = preset.dtw ? getDtwPreset(resolvedModelPath, modelId) : null;
+  const fields = buildWhisperServerFields({ lang, task, prompt, diarization, decoding: { ...preset.decoding, ...decoding } });
+  log(`whisper-server request (${mode}): ${JSON.stringify(fields)}`);
+
+  const startTime = Date.now();
+  let result;
+  for (let attempt = 0; !result; attempt++) {
+    const server = await acquireWhisperServer({ modelPath: resolvedModelPath, dtwPreset });
+    clearTimeout(server.idleTimer);
+    server.activeRequests++;
+    let response;
+    try {
+      response = await postWhisperInference(server, audioFilePath, fields, operationKey);
+    } catch (error) {
+      if (isCancelled()) throw new Error('Transcription cancelled');
+      if (attempt > 0 || (!server.exited && await checkWhisperServerHealth(server))) throw error;
+      // The server died mid-request: retry once on a fresh one
+      if (!server.exited) {
+        recordWhisperServerCrash(server.key);
+        stopWhisperServer(server, 'unresponsive');
+      }
+      log(`whisper-server request failed (${error.message}), retrying on a restarted server`);
+      continue;
+    } finally {
+      clearWhisperProcess(operationKey);
+      server.activeRequests--;
+      scheduleWhisperServerIdleStop(server);
+    }
+
+    let body;
+    try {
+      body = JSON.parse(response.body);
+    } catch (error) {
+      body = null;
+    }
+    if (response.statusCode !== 200 || !body || body.error) {
+      throw new Error(`whisper-server failed with status ${response.statusCode}: ${clampDiagnosticText(body?.error || response.body, 500)}`);
+    }
+    result = body;
+  }
+
+  const rawSegments = (result.segments || []).map(toWhisperJsonSegment);
+  const normalized = normalizeWhisperSegments(rawSegments);
+  const segments = diarization === 'tdrz' ? assignSpeakerTurns(normalized).segments : normalized;
+  const text = result.text || rawSegments.map(s => s.text).join(' ');
+  const detectedLanguage = lang === 'auto' ? getServerDetectedLanguage(result) : null;
+  return { segments, text, duration: Date.now() - startTime, detectedLanguage };
+}
+
+// ASR engines. Each engine is a plain object:
+//   id, label     how requests (`engine`) and `status` refer to it
+//   capabilities  { translate, diarization: [modes], languageDetection,
+//                 wordTimestamps, decoding, prompt, streaming, languages }
+//   probe()       -> { available, path, reason }
+//   transcribe(options) -> Promise<{ segments, text, duration, detectedLanguage }>
+//   detectLanguage(options), when capabilities.languageDetection is set
+// Cancel, pause and resume go through the operation registry: an engine
+// registers its child process, or any handle with kill(signal), under the
+// operationKey it is given. kill('SIGSTOP') returning false means the engine
+// can't pause mid-file; the scheduler still holds its queued work.
+const WHISPER_CLI_ENGINE_ID = 'whisper-cli';
+const FAKE_ENGINE_ID = 'fake';
+const FAKE_ENGINE_ENV = 'WHOOPTIDO_FAKE_ENGINE';
+const FAKE_ENGINE_DELAY_ENV = 'WHOOPTIDO_FAKE_ENGINE_DELAY_MS';
+const FAKE_ENGINE_LANGUAGE_ENV = 'WHOOPTIDO_FAKE_ENGINE_LANGUAGE';
+const BUILTIN_ENGINE_IDS = Object.freeze([WHISPER_CLI_ENGINE_ID, FAKE_ENGINE_ID]);
+const MAX_COMMAND_ENGINES = 16;
+
+const whisperCliEngine = Object.freeze({
+  id: WHISPER_CLI_ENGINE_ID,
+  label: 'whisper.cpp',
+  capabilities: Object.freeze({
+    translate: true,
+    diarization: DIARIZATION_MODES,
+    languageDetection: true,
+    wordTimestamps: true,
+    decoding: true,
+    prompt: true,
+    streaming: true,
+    languages: null
+  }),
+  probe(whisperInfo = resolveWhisperCli()) {
+    const runtimeStatus = whisperInfo.runtimeStatus || buildWhisperRuntimeStatus(whisperInfo);
+    const available = Boolean(whisperInfo.path && whisperInfo.probe?.ok && runtimeStatus.asrSupported);
+    const reason = available
+      ? null
+      : (!whisperInfo.path ? 'Whisper runtime not found' : runtimeStatus.unsupportedReason || whisperInfo.probe?.message || 'Whisper runtime failed health check');
+    return { available, path: whisperInfo.path || null, reason };
+  },
+  transcribe: (options) => transcribeFileWithWhisper(options),
+  detectLanguage: (options) => detectLanguageWithWhisper(options)
+});
+
+// Command engines (`engines` in ~/.whooptido/config.json, never set_config)
+// run a local program once per file, e.g. a Python wrapper around faster-whisper:
+//   { "id": "faster-whisper", "command": "/usr/bin/python3",
+//     "args": ["/opt/fw/transcribe.py"], "capabilities": { "translate": true } }
+// The program reads one JSON request from stdin:
+//   { "audioPath": "/tmp/x.wav",       16 kHz 16-bit WAV, two channels for "stereo"
+//     "language": "en" | "auto", "task": "transcribe" | "translate",
+//     "model": <request modelId or null>, "prompt": <string or null>,
+//     "diarization": "tdrz" | "stereo" | null, "decoding": { ...decoding options } }
+// and prints one JSON object to stdout before exiting with code 0:
+//   { "language": "en", "languageProbability": 0.97,     both optional
+//     "segments": [{ "start": 0.0, "end": 2.4, "text": " Hello there",
+//                    "speaker": "SPEAKER_0",             optional
+//                    "words": [{ "word": "Hello", "start": 0.0, "end": 0.5, "probability": 0.93 }] }] }
+// Times are in seconds. stderr is logged.
+const COMMAND_ENGINE_CAPABILITIES = Object.freeze({
+  translate: false,
+  diarization: Object.freeze([]),
+  languageDetection: false,
+  wordTimestamps: true,
+  decoding: false,
+  prompt: false,
+  streaming: false,
+  languages: null
+});
+const COMMAND_ENGINE_FLAGS = Object.freeze(['translate', 'wordTimestamps', 'decoding', 'prompt']);
+
+function normalizeEngineCapabilities(capabilities, where) {
+  if (capabilities == null) return { ...COMMAND_ENGINE_CAPABILITIES };
+  if (typeof capabilities !== 'object' || Array.isArray(capabilities)) {
+    throw new Error(`${where}.capabilities must be an object`);
+  }
+
+  const normalized = { ...COMMAND_ENGINE_CAPABILITIES };
+  for (const [key, value] of Object.entries(capabilities)) {
+    if (COMMAND_ENGINE_FLAGS.includes(key)) {
+      if (typeof value !== 'boolean') throw new Error(`${where}.capabilities.${key} must be a boolean`);
+      normalized[key] = value;
+    } else if (key === 'diarization') {
+      if (!Array.isArray(value) || !value.every((mode) => DIARIZATION_MODES.includes(mode))) {
+        throw new Error(`${where}.capabilities.diarization must list modes from: ${DIARIZATION_MODES.join(', ')}`);
+      }
+      normalized.diarization = [...new Set(value)];
+    } else if (key === 'languages') {
+      if (value !== null && (!Array.isArray(value) || value.length === 0 || !value.every((code) => typeof code === 'string' && /^[a-z]{2,3}$/.test(code)))) {
+        throw new Error(`${where}.capabilities.languages must be null or a list of language codes`);
+      }
+      normalized.languages = value;
+    } else if (key in COMMAND_ENGINE_CAPABILITIES) {
+      // Language detection requests and partial results need protocol support
+      // that command engines don't have
+      if (value !== COMMAND_ENGINE_CAPABILITIES[key]) {
+        throw new Error(`${where}.capabilities.${key} is not supported for command engines`);
+      }
+    } else {
+      throw new Error(`${where}.capabilities.${key} is not a known capability`);
+    }
+  }
+  return normalized;
+}
+
+function normalizeEngineDefinitions(value) {
+  if (!Array.isArray(value)) throw new Error('engines must be an array');
+  if (value.length > MAX_COMMAND_ENGINES) throw new Error(`engines can list at most ${MAX_COMMAND_ENGINES} entries`);
+
+  const seen = new Set(BUILTIN_ENGINE_IDS);
+  return value.map((definition, index) => {
+    const where = `engines[${index}]`;
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error(`${where} must be an object`);
+    }
+    const id = typeof definition.id === 'string' ? definition.id.trim() : '';
+    if (!ENGINE_ID_PATTERN.test(id)) {
+      throw new Error(`${where}.id must be 1-64 letters, digits, ".", "_" or "-"`);
+    }
+    if (seen.has(id)) throw new Error(`${where}.id "${id}" is already in use`);
+    seen.add(id);
+    if (typeof definition.command !== 'string' || !definition.command.trim()) {
+      throw new Error(`${where}.command must be a non-empty string`);
+    }
+    const args = definition.args ?? [];
+    if (!Array.isArray(args) || !args.every((arg) => typeof arg === 'string')) {
+      throw new Error(`${where}.args must be an array of strings`);
+    }
+    return {
+      id,
+      label: typeof definition.label === 'string' && definition.label.trim() ? definition.label.trim() : id,
+      command: definition.command.trim(),
+      args,
+      capabilities: normalizeEngineCapabilities(definition.capabilities, where)
+    };
+  });
+}
+
+function findExecutable(command) {
+  if (isPathLike(command)) {
+    try {
+      fs.accessSync(command, fs.constants.X_OK);
+      return command;
+    } catch (error) {
+      return null;
+    }
+  }
+  const names = os.platform() === 'win32' ? [command, `${command}.exe`, `${command}.cmd`] : [command];
+  for (const dir of (process.env.PATH || process.env.Path || '').split(path.delimiter).filter(Boolean)) {
+    for (const name of names) {
+      const candidate = path.join(dir, name);
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        return candidate;
+      } catch (error) {
+        // keep looking
+      }
+    }
+  }
+  return null;
+}
+
+function parseCommandEngineOutput(result) {
+  if (!result || typeof result !== 'object' || !Array.isArray(result.segments)) {
+    throw new Error('expected an object with a segments array');
+  }
+  const toSeconds = (value, field) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`${field} must be a non-negative number of seconds`);
+    }
+    return value;
+  };
+
+  const segments = result.segments.map((segment, index) => {
+    const field = `segments[${index}]`;
+    const words = (Array.isArray(segment?.words) ? segment.words : [])
+      .filter((word) => typeof word?.word === 'string' && word.word.trim())
+      .map((word, wordIndex) => ({
+        word: word.word.trim(),
+        start: toSeconds(word.start, `${field}.words[${wordIndex}].start`),
+        end: toSeconds(word.end, `${field}.words[${wordIndex}].end`),
+        confidence: typeof word.probability === 'number' ? word.probability : 1.0
+      }));
+    const normalized = {
+      start: toSeconds(segment?.start, `${field}.start`),
+      end: toSeconds(segment?.end, `${field}.end`),
+      text: typeof segment.text === 'string' ? segment.text : words.map((word) => word.word).join(' '),
+      words
+    };
+    return typeof segment.speaker === 'string' && segment.speaker ? withSpeaker(normalized, segment.speaker) : normalized;
+  });
+
+  const detectedLanguage = typeof result.language === 'string' && result.language
+    ? { language: result.language.toLowerCase(), probability: typeof result.languageProbability === 'number' ? result.languageProbability : null }
+    : null;
+  return { segments, text: buildTranscriptText(segments), detectedLanguage };
+}
+
+function transcribeWithCommandEngine(definition, {
+  audioFilePath,
+  language,
+  modelId = null,
+  decoding = {},
+  diarization = null,
+  task = 'transcribe',
+  prompt = null,
+  operationKey = null,
+  isCancelled = () => false
+}) {
+  return new Promise((resolve, reject) => {
+    if (isCancelled()) {
+      reject(new Error('Transcription cancelled before start'));
+      return;
+    }
+
+    const request = {
+      audioPath: audioFilePath,
+      language,
+      task,
+      model: modelId || null,
+      prompt: definition.capabilities.prompt ? prompt : null,
+      diarization,
+      decoding
+    };
+    log(`Engine ${definition.id}: ${definition.command} ${definition.args.join(' ')} <- ${JSON.stringify(request)}`);
+
+    const startTime = Date.now();
+    const proc = spawn(definition.command, definition.args, getWhisperExecutionOptions(definition.command));
+    registerWhisperProcess(operationKey, proc);
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    proc.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    // The program may exit without reading its request
+    proc.stdin.on('error', () => {});
+    proc.stdin.end(JSON.stringify(request));
+
+    proc.on('close', (code) => {
+      clearWhisperProcess(operationKey);
+      if (stderr) log(`Engine ${definition.id} stderr: ${clampDiagnosticText(stderr)}`);
+      if (code !== 0) {
+        reject(new Error(isCancelled() ? 'Transcription cancelled' : `Engine "${definition.id}" failed with code ${code}: ${clampDiagnosticText(stderr, 500)}`));
+        return;
+      }
+      try {
+        const result = parseCommandEngineOutput(JSON.parse(stdout));
+        resolve({
+          segments: result.segments,
+          text: result.text,
+          duration: Date.now() - startTime,
+          detectedLanguage: language === 'auto' ? result.detectedLanguage : null
+        });
+      } catch (error) {
+        reject(new Error(`Engine "${definition.id}" returned invalid output: ${error.message}`));
+      }
+    });
+
+    proc.on('error', (err) => {
+      clearWhisperProcess(operationKey);
+      reject(new Error(`Failed to start engine "${definition.id}": ${err.message}`));
+    });
+  });
+}
+
+function createCommandEngine(definition) {
+  return Object.freeze({
+    id: definition.id,
+    label: definition.label,
+    capabilities: definition.capabilities,
+    probe() {
+      const resolved = findExecutable(definition.command);
+      return { available: Boolean(resolved), path: resolved, reason: resolved ? null : `Command not found: ${definition.command}` };
+    },
+    transcribe: (options) => transcribeWithCommandEngine(definition, options)
+  });
+}
+
+// Deterministic stand-in needing no GPU, model or runtime, so the protocol can
+// be exercised end to end. Registered only when WHOOPTIDO_FAKE_ENGINE=1; it
+// emits one four-word segment per two seconds of audio.
+const FAKE_ENGINE_SEGMENT_SECONDS = 2;
+const FAKE_ENGINE_WORDS = Object.freeze(['alpha', 'beta', 'gamma', 'delta']);
+const FAKE_ENGINE_TRANSLATED_WORDS = Object.freeze(['one', 'two', 'three', 'four']);
+
+function isFakeEngineEnabled() {
+  return process.env[FAKE_ENGINE_ENV] === '1';
+}
+
+function getFakeEngineLanguage() {
+  return { language: process.env[FAKE_ENGINE_LANGUAGE_ENV] || 'en', probability: 0.99 };
+}
+
+// Settles after WHOOPTIDO_FAKE_ENGINE_DELAY_MS unless cancelled first
+function runFakeEngineOperation(operationKey, isCancelled, produce) {
+  return new Promise((resolve, reject) => {
+    if (isCancelled()) {
+      reject(new Error('Transcription cancelled before start'));
+      return;
+    }
+    const timer = setTimeout(() => {
+      clearWhisperProcess(operationKey);
+      try {
+        resolve(produce());
+      } catch (error) {
+        reject(error);
+      }
+    }, Number(process.env[FAKE_ENGINE_DELAY_ENV]) || 0);
+    registerWhisperProcess(operationKey, {
+      killed: false,
+      kill(signal) {
+        if (signal === 'SIGSTOP' || signal === 'SIGCONT') return false;
+        this.killed = true;
+        clearTimeout(timer);
+        clearWhisperProcess(operationKey);
+        reject(new Error('Transcription cancelled'));
+        return true;
+      }
+    });
+  });
+}
+
+function transcribeWithFakeEngine({ audioFilePath, language, diarization = null, task = 'transcribe', operationKey = null, isCancelled = () => false }) {
+  const startTime = Date.now();
+  return runFakeEngineOperation(operationKey, isCancelled, () => {
+    const audioDuration = getWavFileDurationSeconds(audioFilePath);
+    if (audioDuration === null) throw new Error(`Fake engine could not read ${audioFilePath}`);
+    const vocabulary = task === 'translate' ? FAKE_ENGINE_TRANSLATED_WORDS : FAKE_ENGINE_WORDS;
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    let segments = [];
+    for (let index = 0; index * FAKE_ENGINE_SEGMENT_SECONDS < audioDuration; index++) {
+      const start = index * FAKE_ENGINE_SEGMENT_SECONDS;
+      const end = Math.min(audioDuration, start + FAKE_ENGINE_SEGMENT_SECONDS);
+      const step = (end - start) / vocabulary.length;
+      const segment = {
+        start: round(start),
+        end: round(end),
+        text: ` ${vocabulary.join(' ')}`,
+        words: vocabulary.map((word, i) => ({ word, start: round(start + i * step), end: round(start + (i + 1) * step), confidence: 0.9 })),
+        ...(diarization === 'tdrz' ? { speakerTurnNext: true } : {})
+      };
+      segments.push(diarization === 'stereo' ? withSpeaker(segment, getSpeakerLabel(index % 2)) : segment);
+    }
+    if (diarization === 'tdrz') segments = assignSpeakerTurns(segments).segments;
+
+    return {
+      segments,
+      text: buildTranscriptText(segments),
+      duration: Date.now() - startTime,
+      detectedLanguage: language === 'auto' ? getFakeEngineLanguage() : null
+    };
+  });
+}
+
+const fakeEngine = Object.freeze({
+  id: FAKE_ENGINE_ID,
+  label: 'Fake engine (testing)',
+  capabilities: Object.freeze({
+    translate: true,
+    diarization: DIARIZATION_MODES,
+    languageDetection: true,
+    wordTimestamps: true,
+    decoding: true,
+    prompt: true,
+    streaming: false,
+    languages: null
+  }),
+  probe: () => ({
+    available: isFakeEngineEnabled(),
+    path: null,
+    reason: isFakeEngineEnabled() ? null : `Set ${FAKE_ENGINE_ENV}=1 to enable`
+  }),
+  transcribe: transcribeWithFakeEngine,
+  detectLanguage: ({ operationKey = null, isCancelled = () => false }) =>
+    runFakeEngineOperation(operationKey, isCancelled, getFakeEngineLanguage)
+});
+
+function getEngines() {
+  return [
+    whisperCliEngine,
+    ...getHostConfig().engines.map(createCommandEngine),
+    ...(isFakeEngineEnabled() ? [fakeEngine] : [])
+  ];
+}
+
+// whisper-cli is not probed here: transcription reports its own runtime errors
+function resolveEngine(engineId) {
+  const id = engineId || getHostConfig().defaultEngine;
+  const engines = getEngines();
+  const engine = engines.find((candidate) => candidate.id === id);
+  if (!engine) {
+    throw new Error(`Unknown engine "${id}". Available: ${engines.map((candidate) => candidate.id).join(', ')}`);
+  }
+  if (engine.id !== WHISPER_CLI_ENGINE_ID) {
+    const probe = engine.probe();
+    if (!probe.available) throw new Error(`Engine "${id}" is not available: ${probe.reason}`);
+  }
+  return engine;
+}
+
+/**
+ * Resolve the engine for a request and everything that depends on it.
+ * whisper-cli resolves a ggml model and checks the request against it; other
+ * engines manage their own models and are checked against their capabilities.
+ */
+function resolveTranscriptionTarget({ engine: engineId, model, modelId, language, diarize, task, dualTrack, decoding }) {
+  const engine = resolveEngine(engineId);
+  if (engine.id === WHISPER_CLI_ENGINE_ID) {
+    const modelPath = resolveModelPath(model, modelId);
+    const resolvedTask = resolveTranscriptionTask(task, modelPath, { dualTrack });
+    return {
+      engine,
+      modelPath,
+      modelKey: modelId || path.basename(modelPath),
+      language: resolveModelLanguage(modelPath, resolveTranscriptionLanguage(language)),
+      diarization: resolveDiarizationMode(diarize, modelPath),
+      task: resolvedTask,
+      warning: resolvedTask === 'translate' ? getTranslationWarning(modelPath) : null
+    };
+  }
+
+  const { capabilities } = engine;
+  const resolvedTask = resolveTranscriptionTask(task, null, { dualTrack });
+  if (resolvedTask === 'translate' && !capabilities.translate) {
+    throw new Error(`Engine "${engine.id}" cannot translate`);
+  }
+
+  let diarization = null;
+  if (diarize) {
+    diarization = diarize === true ? capabilities.diarization[0] : normalizeDiarizationName(diarize);
+    if (!diarization || !capabilities.diarization.includes(diarization)) {
+      throw new Error(capabilities.diarization.length > 0
+        ? `Engine "${engine.id}" only supports diarize: ${capabilities.diarization.join(', ')}`
+        : `Engine "${engine.id}" does not support diarization`);
+    }
+  }
+
+  if (!capabilities.decoding && Object.keys(decoding || {}).length > 0) {
+    throw invalidDecodingOptionsError([{ field: 'decoding', message: `is not supported by engine "${engine.id}"` }]);
+  }
+
+  let resolvedLanguage = resolveTranscriptionLanguage(language);
+  const { languages } = capabilities;
+  if (languages) {
+    if (resolvedLanguage === 'auto' && languages.length === 1) {
+      resolvedLanguage = languages[0];
+    } else if (resolvedLanguage !== 'auto' && !languages.includes(resolvedLanguage)) {
+      throw new Error(`Engine "${engine.id}" only supports: ${languages.join(', ')}`);
+    }
+  }
+
+  return {
+    engine,
+    modelPath: null,
+    modelKey: `${engine.id}:${modelId || 'default'}`,
+    language: resolvedLanguage,
+    diarization,
+    task: resolvedTask,
+    warning: null
+  };
+}
+
+function describeEngine(engine, probe = engine.probe()) {
+  return {
+    id: engine.id,
+    label: engine.label,
+    available: probe.available,
+    path: probe.path,
+    ...(probe.reason ? { reason: probe.reason } : {}),
+    capabilities: engine.capabilities
+  };
+}
+
+// Parses whisper-cli's realtime segment lines, e.g. "[00:00:01.000 --> 00:00:04.500]  Hello there"
+function parseWhisperSegmentLine(line) {
+  const match = /^\s*\[(\d+):(\d{2}):(\d{2})[.,](\d{3})\s*-->\s*(\d+):(\d{2}):(\d{2})[.,](\d{3})\]\s?(.*)$/.exec(line);
+  if (!match) return null;
+  const toSeconds = (h, m, sec, ms) => Number(h) * 3600 + Number(m) * 60 + Number(sec) + Number(ms) / 1000;
+  return {
+    start: toSeconds(match[1], match[2], match[3], match[4]),
+    end: toSeconds(match[5], match[6], match[7], match[8]),
+    text: match[9]
+  };
+}
+
+function normalizeWhisperSegments(rawSegments) {
+  if (!Array.isArray(rawSegments)) return [];
+  return rawSegments.map((segment) => {
+    const offsets = segment.offsets || {};
+    const start = typeof offsets.from === 'number' ? offsets.from / 1000 : undefined;
+    const end = typeof offsets.to === 'number' ? offsets.to / 1000 : undefined;
+    const words = mergeWhisperTokens(segment.tokens || []);
+    const normalized = {
+      start,
+      end,
+      text: segment.text || '',
+      words,
+      ...(typeof segment.no_speech_prob === 'number' ? { noSpeechProb: segment.no_speech_prob } : {}),
+      ...(segment.speaker_turn_next === true ? { speakerTurnNext: true } : {})
+    };
+    // -di labels segments with the louder channel ("0"/"1") or "?" when unsure
+    if (typeof segment.speaker === 'string') {
+      return withSpeaker(normalized, /^\d+$/.test(segment.speaker) ? getSpeakerLabel(Number(segment.speaker)) : null);
+    }
+    return normalized;
+  });
+}
+
+function getSpeakerLabel(index) {
+  return `SPEAKER_${index}`;
+}
+
+function withSpeaker(segment, speaker) {
+  return {
+    ...segment,
+    speaker,
+    words: (segment.words || []).map((word) => ({ ...word, speaker }))
+  };
+}
+
+function withTurn(segment, turn) {
+  return {
+    ...segment,
+    turn,
+    words: (segment.words || []).map((word) => ({ ...word, turn }))
+  };
+}
+
+/**
+ * Number tinydiarize speaker turns: each segment flagged speakerTurnNext ends
+ * a turn, so the following segment gets the next turn index. Turns say only
+ * that the speaker changed, not who is speaking.
+ */
+function assignSpeakerTurns(segments, firstTurn = 0) {
+  let turn = firstTurn;
+  const numbered = (segments || []).map((segment) => {
+    const next = withTurn(segment, turn);
+    if (segment.speakerTurnNext) turn++;
+    return next;
+  });
+  return { segments: numbered, nextTurn: turn };
+}
+
+// Renumber a chunk's turns so its first kept segment continues the session's
+// last turn: turn numbering in each chunk restarts at zero.
+function continueSpeakerTurns(keptSegments, addedSegments) {
+  if (addedSegments.length === 0) return addedSegments;
+  const lastKept = keptSegments[keptSegments.length - 1];
+  const lastTurn = lastKept && typeof lastKept.turn === 'number' ? lastKept.turn : null;
+  const baseTurn = lastTurn === null ? 0 : lastTurn + (lastKept.speakerTurnNext ? 1 : 0);
+  const offset = baseTurn - (addedSegments[0].turn || 0);
+  if (offset === 0) return addedSegments;
+  return addedSegments.map((segment) =>
+    (typeof segment.turn === 'number' ? withTurn(segment, segment.turn + offset) : segment)
+  );
+}
+
+// What a turn marker tracks: the speaker id when there is one (-di or an
+// engine), else the tinydiarize turn index
+function getVoiceKey(item) {
+  if (item.speaker != null) return `speaker:${item.speaker}`;
+  if (typeof item.turn === 'number') return `turn:${item.turn}`;
+  return null;
+}
+
+// Joined transcript text, with a turn marker wherever the speaker changes
+function buildTranscriptText(segments) {
+  let previousVoice = null;
+  return segments.map((segment) => {
+    const voice = getVoiceKey(segment);
+    if (voice === null || voice === previousVoice) return segment.text;
+    previousVoice = voice;
+    return `${SPEAKER_TURN_MARKER} ${segment.text}`;
+  }).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+function mergeWhisperTokens(tokens) {
+  if (!Array.isArray(tokens) || tokens.length === 0) return [];
+
+  const words = [];
+  let current = null;
+
+  for (const token of tokens) {
+    const rawText = String(token.text || '');
+    if (!rawText) continue;
+
+    // Skip special tokens like [_BEG_]
+    if (/^\[_.*_\]$/.test(rawText)) continue;
+
+    const offsets = token.offsets || {};
     const tokenStart = typeof offsets.from === 'number' ? offsets.from / 1000 : undefined;
     const tokenEnd = typeof offsets.to === 'number' ? offsets.to / 1000 : undefined;
 
-    const hasLeadingSpace = /^\s/.test(rawText);
-    let trimmed = rawText.trim();
-    if (!trimmed) continue;
+    const hasLeadingSpace = /^\s/.test(rawText);
+    let trimmed = rawText.trim();
+    if (!trimmed) continue;
+
+    // Remove metadata markers like [_TT_700]
+    trimmed = trimmed.replace(/\[_TT_\d+\]/g, '');
+    // Strip leading/trailing music/noise markers
+    trimmed = trimmed.replace(/^[♪*#]+|[♪*#]+$/g, '');
+    if (!trimmed) continue;
+
+    const isPunctuation = /^\p{P}+$/u.test(trimmed);
+
+    if (!current) {
+      current = {
+        word: trimmed,
+        start: tokenStart,
+        end: tokenEnd,
+        confidence: typeof token.p === 'number' ? token.p : 1.0,
+        _logProbSum: typeof token.p === 'number' ? Math.log(Math.max(token.p, 1e-10)) : 0,
+        _pieceCount: 1
+      };
+      continue;
+    }
+
+    if (hasLeadingSpace && !isPunctuation) {
+      // Finalize geometric mean probability before pushing
+      if (current._pieceCount > 1) {
+        current.confidence = Math.exp(current._logProbSum / current._pieceCount);
+      }
+      delete current._logProbSum;
+      delete current._pieceCount;
+      words.push(current);
+      current = {
+        word: trimmed,
+        start: tokenStart,
+        end: tokenEnd,
+        confidence: typeof token.p === 'number' ? token.p : 1.0,
+        _logProbSum: typeof token.p === 'number' ? Math.log(Math.max(token.p, 1e-10)) : 0,
+        _pieceCount: 1
+      };
+      continue;
+    }
+
+    // Append to current word (BPE continuation token)
+    current.word += trimmed;
+    if (typeof tokenEnd === 'number') current.end = tokenEnd;
+    if (typeof token.p === 'number') {
+      current._logProbSum += Math.log(Math.max(token.p, 1e-10));
+      current._pieceCount++;
+    }
+  }
+
+  if (current) {
+    // Finalize geometric mean probability for last word
+    if (current._pieceCount > 1) {
+      current.confidence = Math.exp(current._logProbSum / current._pieceCount);
+    }
+    delete current._logProbSum;
+    delete current._pieceCount;
+    words.push(current);
+  }
+  return words;
+}
+
+// Confidence post-processing, opt-in per request via `postProcessing`: flags
+// low-confidence words, collapses Whisper's looping and stock-phrase
+// hallucinations, and drops segments that look like non-speech. Every removed
+// or flagged item is listed in the report returned alongside the segments.
+const KNOWN_HALLUCINATION_PHRASES = Object.freeze([
+  'thanks for watching',
+  'thank you for watching',
+  'thank you so much for watching',
+  'thanks for watching and see you next time',
+  'please subscribe',
+  'please like and subscribe',
+  'like and subscribe',
+  'subscribe to my channel',
+  'see you in the next video',
+  'subtitles by the amara org community',
+  'subtitles by amara org'
+]);
+const DEFAULT_POST_PROCESSING_OPTIONS = Object.freeze({
+  lowConfidenceThreshold: 0.5,     // words below are flagged lowConfidence
+  minSegmentConfidence: 0.25,      // segments with a lower mean are non-speech candidates
+  noSpeechThreshold: 0.6,          // ...dropped when whisper's no-speech prob is at least this, only flagged when unreported
+  maxRepeats: 3,                   // runs of a word/phrase/segment longer than this collapse to one
+  maxRepeatPhraseWords: 8,
+  hallucinationMaxConfidence: 0.85 // stock phrases are only dropped below this mean confidence
+});
+
+function normalizePhraseText(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s']+/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function normalizePostProcessingOptions(options) {
+  if (!options) return null;
+  const source = typeof options === 'object' ? options : {};
+  const probability = (value, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 && number <= 1 ? number : fallback;
+  };
+  const positiveInteger = (value, fallback) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+  };
+  const extraPhrases = Array.isArray(source.hallucinationPhrases)
+    ? source.hallucinationPhrases.map(normalizePhraseText).filter(Boolean)
+    : [];
+
+  return {
+    lowConfidenceThreshold: probability(source.lowConfidenceThreshold, DEFAULT_POST_PROCESSING_OPTIONS.lowConfidenceThreshold),
+    minSegmentConfidence: probability(source.minSegmentConfidence, DEFAULT_POST_PROCESSING_OPTIONS.minSegmentConfidence),
+    noSpeechThreshold: probability(source.noSpeechThreshold, DEFAULT_POST_PROCESSING_OPTIONS.noSpeechThreshold),
+    maxRepeats: positiveInteger(source.maxRepeats, DEFAULT_POST_PROCESSING_OPTIONS.maxRepeats),
+    maxRepeatPhraseWords: positiveInteger(source.maxRepeatPhraseWords, DEFAULT_POST_PROCESSING_OPTIONS.maxRepeatPhraseWords),
+    hallucinationMaxConfidence: probability(source.hallucinationMaxConfidence, DEFAULT_POST_PROCESSING_OPTIONS.hallucinationMaxConfidence),
+    hallucinationPhrases: uniqueStrings([...KNOWN_HALLUCINATION_PHRASES, ...extraPhrases])
+  };
+}
+
+function getMeanWordConfidence(words) {
+  const scored = (words || []).filter((word) => typeof word.confidence === 'number');
+  if (scored.length === 0) return null;
+  return scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length;
+}
+
+/**
+ * Collapse a word or phrase (up to maxPhraseWords long) repeated more than
+ * maxRepeats times in a row down to its first occurrence, e.g. Whisper's
+ * "the the the the the" or "I'm sorry. I'm sorry. I'm sorry. I'm sorry."
+ */
+function collapseRepeatedWords(words, maxRepeats, maxPhraseWords) {
+  const keys = words.map((word) => normalizeStitchToken(word.word));
+  const runMatches = (from, to, length) => {
+    for (let k = 0; k < length; k++) {
+      if (!keys[from + k] || keys[from + k] !== keys[to + k]) return false;
+    }
+    return true;
+  };
+
+  const kept = [];
+  const collapsed = [];
+  let index = 0;
+  while (index < words.length) {
+    let best = null;
+    for (let length = 1; length <= maxPhraseWords && index + length * (maxRepeats + 1) <= words.length; length++) {
+      let count = 1;
+      while (index + (count + 1) * length <= words.length && runMatches(index, index + count * length, length)) {
+        count++;
+      }
+      if (count > maxRepeats && (!best || count * length > best.count * best.length)) {
+        best = { length, count };
+      }
+    }
+
+    if (!best) {
+      kept.push(words[index]);
+      index++;
+      continue;
+    }
+
+    const runEnd = index + best.count * best.length;
+    kept.push(...words.slice(index, index + best.length));
+    collapsed.push({
+      text: words.slice(index, index + best.length).map((word) => word.word).join(' '),
+      repeats: best.count,
+      start: words[index + best.length].start,
+      end: words[runEnd - 1].end,
+      removedWords: (best.count - 1) * best.length
+    });
+    index = runEnd;
+  }
+  return { words: kept, collapsed };
+}
+
+/**
+ * Apply confidence post-processing to merged segments.
+ * @returns {{segments: Array, report: {flaggedWords: Array, flaggedSegments: Array, removed: Array}}}
+ */
+function postProcessSegments(segments, options) {
+  const removed = [];
+  const flaggedSegments = [];
+  const hallucinationPhrases = new Set(options.hallucinationPhrases);
+  const result = [];
+
+  for (const segment of segments || []) {
+    let current = segment;
+
+    if (current.words?.length > options.maxRepeats) {
+      const { words, collapsed } = collapseRepeatedWords(current.words, options.maxRepeats, options.maxRepeatPhraseWords);
+      if (collapsed.length > 0) {
+        current = { ...current, words, text: ` ${words.map((word) => word.word).join(' ')}` };
+        collapsed.forEach((entry) => removed.push({ reason: 'repeated_phrase', ...entry }));
+      }
+    }
+
+    const confidence = getMeanWordConfidence(current.words);
+    const noSpeechProb = typeof current.noSpeechProb === 'number' ? current.noSpeechProb : null;
+    const details = { text: current.text, start: current.start, end: current.end, confidence, noSpeechProb };
+
+    if (hallucinationPhrases.has(normalizePhraseText(current.text))
+      && (confidence === null || confidence < options.hallucinationMaxConfidence
+        || (noSpeechProb !== null && noSpeechProb >= options.noSpeechThreshold))) {
+      removed.push({ reason: 'hallucination_phrase', ...details });
+      continue;
+    }
+
+    if (confidence !== null && confidence < options.minSegmentConfidence) {
+      if (noSpeechProb !== null && noSpeechProb >= options.noSpeechThreshold) {
+        removed.push({ reason: 'non_speech', ...details });
+        continue;
+      }
+      // whisper-cli's JSON has no no-speech probability; low confidence alone
+      // is not enough to drop what may be quiet or accented speech
+      if (noSpeechProb === null) {
+        flaggedSegments.push({ reason: 'possible_non_speech', ...details });
+        current = { ...current, possibleNonSpeech: true };
+      }
+    }
+
+    result.push(confidence === null ? current : { ...current, confidence });
+  }
+
+  // Whisper loops by emitting the same segment over and over on silence
+  const deduped = [];
+  for (let index = 0; index < result.length;) {
+    const key = normalizePhraseText(result[index].text);
+    let runEnd = index + 1;
+    while (key && runEnd < result.length && normalizePhraseText(result[runEnd].text) === key) runEnd++;
+    deduped.push(result[index]);
+    if (runEnd - index > options.maxRepeats) {
+      for (const repeat of result.slice(index + 1, runEnd)) {
+        removed.push({ reason: 'repeated_segment', text: repeat.text, start: repeat.start, end: repeat.end });
+      }
+    } else {
+      deduped.push(...result.slice(index + 1, runEnd));
+    }
+    index = runEnd;
+  }
+
+  const processed = deduped.map((segment) => {
+    if (!segment.words?.length) return segment;
+    const words = segment.words.map((word) =>
+      typeof word.confidence === 'number' && word.confidence < options.lowConfidenceThreshold
+        ? { ...word, lowConfidence: true }
+        : word
+    );
+    return { ...segment, words };
+  });
+
+  return { segments: processed, report: { flaggedWords: collectFlaggedWords(processed), flaggedSegments, removed } };
+}
+
+function collectFlaggedWords(segments) {
+  const flaggedWords = [];
+  segments.forEach((segment, segmentIndex) => {
+    (segment.words || []).forEach((word, wordIndex) => {
+      if (!word.lowConfidence) return;
+      flaggedWords.push({
+        segmentIndex,
+        wordIndex,
+        word: word.word,
+        start: word.start,
+        end: word.end,
+        confidence: word.confidence
+      });
+    });
+  });
+  return flaggedWords;
+}
+
+// Sentence-aware re-segmentation, opt-in per request via `resegment`: rebuilds
+// segments from the word list so blocks end at sentence punctuation, long
+// pauses, or the character/duration limits, keeping every word's timing.
+const DEFAULT_RESEGMENT_OPTIONS = Object.freeze({
+  maxChars: 84,         // two 42-character caption lines
+  maxDuration: 7,
+  pauseSeconds: 0.8,
+  minClauseChars: 40    // a comma/semicolon/colon ends a block once it is this long
+});
+const SENTENCE_END_PATTERN = /[.!?…。！？]["'”’)\]]*$/u;
+const CLAUSE_END_PATTERN = /[,;:，；：、—]["'”’)\]]*$/u;
+
+function normalizeResegmentOptions(options) {
+  if (!options) return null;
+  const source = typeof options === 'object' ? options : {};
+  const positiveNumber = (value, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+  };
+
+  return {
+    maxChars: Math.round(positiveNumber(source.maxChars, DEFAULT_RESEGMENT_OPTIONS.maxChars)),
+    maxDuration: positiveNumber(source.maxDuration, DEFAULT_RESEGMENT_OPTIONS.maxDuration),
+    pauseSeconds: positiveNumber(source.pauseSeconds, DEFAULT_RESEGMENT_OPTIONS.pauseSeconds),
+    minClauseChars: Math.round(positiveNumber(source.minClauseChars, DEFAULT_RESEGMENT_OPTIONS.minClauseChars))
+  };
+}
+
+function buildSegmentFromWords(words) {
+  const confidence = getMeanWordConfidence(words);
+  return {
+    start: words[0].start,
+    end: words[words.length - 1].end,
+    text: ` ${words.map((word) => word.word).join(' ')}`,
+    words,
+    ...(confidence === null ? {} : { confidence }),
+    ...(words[0].speaker !== undefined ? { speaker: words[0].speaker } : {}),
+    ...(words[0].turn !== undefined ? { turn: words[0].turn } : {})
+  };
+}
 
-    // Remove metadata markers like [_TT_700]
-    trimmed = trimmed.replace(/\[_TT_\d+\]/g, '');
-    // Strip leading/trailing music/noise markers
-    trimmed = trimmed.replace(/^[♪*#]+|[♪*#]+$/g, '');
-    if (!trimmed) continue;
+function isTimedWord(word) {
+  return typeof word.start === 'number' && typeof word.end === 'number';
+}
 
-    const isPunctuation = /^\p{P}+$/u.test(trimmed);
+// Words missing a start or end borrow it from their timed neighbours in the
+// same segment, so they stay in the transcript at the right place
+function fillMissingWordTimes(words) {
+  const filled = [];
+  for (let index = 0; index < words.length; index++) {
+    const word = words[index];
+    if (isTimedWord(word)) {
+      filled.push(word);
+      continue;
+    }
+    const previousEnd = filled.length > 0 ? filled[filled.length - 1].end : null;
+    const nextStart = words.slice(index + 1).find(isTimedWord)?.start ?? null;
+    const start = typeof word.start === 'number' ? word.start : (previousEnd ?? nextStart);
+    const end = typeof word.end === 'number' ? word.end : Math.max(start, nextStart ?? start);
+    filled.push({ ...word, start, end });
+  }
+  return filled;
+}
 
-    if (!current) {
-      current = {
-        word: trimmed,
-        start: tokenStart,
-        end: tokenEnd,
-        confidence: typeof token.p === 'number' ? token.p : 1.0,
-        _logProbSum: typeof token.p === 'number' ? Math.log(Math.max(token.p, 1e-10)) : 0,
-        _pieceCount: 1
-      };
+/**
+ * Rebuild segments from their timed words. Deterministic and independent of
+ * the incoming segmentation: the same words always produce the same blocks.
+ * A block never spans a speaker change or a tinydiarize turn.
+ * Segments without any timed word are kept as they are, in time order.
+ */
+function resegmentTranscript(segments, options) {
+  const untimed = [];
+  const words = [];
+  for (const segment of segments || []) {
+    if ((segment.words || []).some(isTimedWord)) {
+      words.push(...fillMissingWordTimes(segment.words));
+    } else {
+      untimed.push(segment);
+    }
+  }
+  words.sort((a, b) => a.start - b.start);
+
+  const blocks = [];
+  let current = [];
+  let currentChars = 0;
+
+  const closeBlock = () => {
+    if (current.length > 0) blocks.push(buildSegmentFromWords(current));
+    current = [];
+    currentChars = 0;
+  };
+
+  for (const word of words) {
+    if (current.length > 0) {
+      const previous = current[current.length - 1];
+      if (word.speaker !== previous.speaker
+        || word.turn !== previous.turn
+        || word.start - previous.end >= options.pauseSeconds
+        || currentChars + 1 + word.word.length > options.maxChars
+        || word.end - current[0].start > options.maxDuration) {
+        closeBlock();
+      }
+    }
+
+    current.push(word);
+    currentChars += (current.length > 1 ? 1 : 0) + word.word.length;
+
+    if (SENTENCE_END_PATTERN.test(word.word)
+      || (CLAUSE_END_PATTERN.test(word.word) && currentChars >= options.minClauseChars)) {
+      closeBlock();
+    }
+  }
+  closeBlock();
+
+  return [...blocks, ...untimed].sort((a, b) => (a.start || 0) - (b.start || 0));
+}
+
+// Initial prompt and glossary, per request via `prompt` and `glossary`. The
+// prompt and the glossary terms (which steer whisper toward their spelling)
+// go to --prompt; chunked sessions also carry the tail of the text decoded so
+// far. Room is given out in that order, so only an over-long prompt itself is
+// cut (keeping its end, as whisper would), glossary terms that no longer fit
+// are left out and the tail gets what remains. After decoding, near-miss
+// spellings of the terms are replaced.
+const MAX_PROMPT_CHARS = 600;
+const PROMPT_TAIL_CHARS = 200;
+const MAX_GLOSSARY_TERMS = 200;
+// A near miss is within this share of the term's length in edits
+const GLOSSARY_MAX_DISTANCE_RATIO = 0.25;
+// Shorter terms are only corrected on an exact (case/punctuation-blind) match
+const GLOSSARY_MIN_FUZZY_LENGTH = 5;
+
+function normalizePrompt(prompt) {
+  return typeof prompt === 'string' && prompt.trim() ? prompt.trim().replace(/\s+/g, ' ') : null;
+}
+
+function normalizeGlossaryKey(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// Accepts terms as strings or { term, aliases } objects; unusable entries are skipped
+function normalizeGlossary(glossary) {
+  if (!Array.isArray(glossary)) return null;
+  const entries = [];
+  for (const item of glossary.slice(0, MAX_GLOSSARY_TERMS)) {
+    const term = typeof item === 'string' ? item.trim() : (typeof item?.term === 'string' ? item.term.trim() : '');
+    const key = normalizeGlossaryKey(term);
+    if (!key) continue;
+    const aliases = Array.isArray(item?.aliases) ? item.aliases.filter((alias) => typeof alias === 'string') : [];
+    entries.push({
+      term,
+      words: term.split(/\s+/),
+      key,
+      aliasKeys: uniqueStrings(aliases.map(normalizeGlossaryKey))
+    });
+  }
+  return entries.length > 0 ? entries : null;
+}
+
+// Identifies prompt and glossary in cache keys, since both change the output
+function getVocabularyKey(prompt, glossary) {
+  if (!prompt && !glossary) return null;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ prompt, glossary: glossary && glossary.map(({ term, aliasKeys }) => [term, aliasKeys]) }))
+    .digest('hex');
+}
+
+function trimPromptStart(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  // Drop the word the cut lands in, even when nothing else is left
+  return text.slice(text.length - maxChars).replace(/^\S*(?:\s+|$)/, '');
+}
+
+function normalizePromptText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// The caller's prompt and glossary terms that fit, before any carried-over tail
+function fitPromptVocabulary(prompt, glossary) {
+  const promptText = trimPromptStart(normalizePromptText(prompt), MAX_PROMPT_CHARS);
+  const terms = [];
+  for (const entry of glossary || []) {
+    const candidate = [promptText, [...terms, entry.term].join(', ')].filter(Boolean).join(' ');
+    if (normalizePromptText(candidate).length > MAX_PROMPT_CHARS) break;
+    terms.push(entry.term);
+  }
+  return {
+    text: normalizePromptText([promptText, terms.join(', ')].filter(Boolean).join(' ')),
+    promptTrimmed: promptText.length < normalizePromptText(prompt).length,
+    omittedTerms: (glossary || []).length - terms.length
+  };
+}
+
+function buildWhisperPrompt(prompt, glossary, previousText = '') {
+  const { text } = fitPromptVocabulary(prompt, glossary);
+  const room = MAX_PROMPT_CHARS - (text ? text.length + 1 : 0);
+  const tail = room > 0 ? trimPromptStart(normalizePromptText(previousText), room) : '';
+  return [text, tail].filter(Boolean).join(' ') || null;
+}
+
+// Ack warning when the prompt or glossary did not fit, or null
+function getPromptWarning(prompt, glossary) {
+  const { promptTrimmed, omittedTerms } = fitPromptVocabulary(prompt, glossary);
+  if (!promptTrimmed && omittedTerms === 0) return null;
+  const issues = [
+    promptTrimmed ? `the prompt was cut to its last ${MAX_PROMPT_CHARS} characters` : null,
+    omittedTerms > 0 ? `${omittedTerms} of ${glossary.length} glossary terms were left out` : null
+  ].filter(Boolean);
+  return `Prompt too long: ${issues.join(' and ')}`;
+}
+
+// Text of the words that end before `beforeSeconds`, i.e. ahead of a chunk's overlap
+function getPromptTail(segments, beforeSeconds) {
+  const words = getSegmentsWords(segments).filter((word) => (word.end ?? word.start) <= beforeSeconds);
+  return trimPromptStart(words.map((word) => word.word).join(' '), PROMPT_TAIL_CHARS);
+}
+
+function getEditDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Best glossary entry for words[start..start+count), or null
+function matchGlossaryWindow(words, start, count, glossary) {
+  const key = normalizeGlossaryKey(words.slice(start, start + count).map((word) => word.word).join(''));
+  if (!key) return null;
+  let best = null;
+
+  for (const entry of glossary) {
+    // A term may have been split or merged by one word
+    if (count < entry.words.length - 1 || count > entry.words.length + 1) continue;
+    let distance;
+    if (key === entry.key || entry.aliasKeys.includes(key)) {
+      distance = 0;
+    } else if (entry.key.length >= GLOSSARY_MIN_FUZZY_LENGTH) {
+      const limit = Math.floor(entry.key.length * GLOSSARY_MAX_DISTANCE_RATIO);
+      distance = getEditDistance(key, entry.key, limit);
+      if (distance > limit) continue;
+    } else {
       continue;
     }
+    if (!best || distance < best.distance) best = { entry, distance };
+  }
 
-    if (hasLeadingSpace && !isPunctuation) {
-      // Finalize geometric mean probability before pushing
-      if (current._pieceCount > 1) {
-        current.confidence = Math.exp(current._logProbSum / current._pieceCount);
+  return best;
+}
+
+// Replacement words for a matched window: one per term word, reusing the
+// window's timings when the counts agree and spreading them by length otherwise
+function buildGlossaryWords(window, entry) {
+  const first = window[0];
+  const last = window[window.length - 1];
+  const leading = /^[^\p{L}\p{N}]*/u.exec(first.word)[0];
+  const trailing = /[^\p{L}\p{N}]*$/u.exec(last.word)[0];
+  const correctedFrom = window.map((word) => word.word).join(' ');
+  const confidences = window.map((word) => word.confidence).filter((value) => typeof value === 'number');
+  const termWords = entry.words.map((text, index) =>
+    (index === 0 ? leading : '') + text + (index === entry.words.length - 1 ? trailing : '')
+  );
+
+  if (termWords.length === window.length) {
+    return termWords.map((text, index) => ({ ...window[index], word: text, correctedFrom }));
+  }
+
+  const hasTiming = typeof first.start === 'number' && typeof last.end === 'number';
+  const totalChars = termWords.reduce((sum, text) => sum + text.length, 0);
+  let cursor = first.start;
+  return termWords.map((text) => {
+    const word = { ...first, word: text, correctedFrom };
+    if (hasTiming) {
+      word.start = cursor;
+      cursor += (last.end - first.start) * (text.length / totalChars);
+      word.end = cursor;
+    }
+    if (confidences.length > 0) word.confidence = Math.min(...confidences);
+    return word;
+  });
+}
+
+/**
+ * Replace near-miss spellings of glossary terms, word by word within each
+ * segment. Corrected words keep their timings and note the decoded text in
+ * `correctedFrom`; segments that changed get their text rebuilt.
+ */
+function applyGlossary(segments, glossary) {
+  if (!glossary) return { segments, corrections: 0 };
+  const maxWindow = Math.max(...glossary.map((entry) => entry.words.length)) + 1;
+  let corrections = 0;
+
+  const corrected = (segments || []).map((segment) => {
+    const words = segment.words || [];
+    if (words.length === 0) return segment;
+    const output = [];
+    let changed = false;
+
+    for (let i = 0; i < words.length;) {
+      let match = null;
+      for (let count = Math.min(maxWindow, words.length - i); count >= 1; count--) {
+        const candidate = matchGlossaryWindow(words, i, count, glossary);
+        if (candidate && (!match || candidate.distance < match.distance)) {
+          match = { ...candidate, count };
+        }
       }
-      delete current._logProbSum;
-      delete current._pieceCount;
-      words.push(current);
-      current = {
-        word: trimmed,
-        start: tokenStart,
-        end: tokenEnd,
-        confidence: typeof token.p === 'number' ? token.p : 1.0,
-        _logProbSum: typeof token.p === 'number' ? Math.log(Math.max(token.p, 1e-10)) : 0,
-        _pieceCount: 1
-      };
+      if (!match) {
+        output.push(words[i]);
+        i++;
+        continue;
+      }
+
+      const window = words.slice(i, i + match.count);
+      const replacement = buildGlossaryWords(window, match.entry);
+      if (replacement.map((word) => word.word).join(' ') === window.map((word) => word.word).join(' ')) {
+        output.push(...window);
+      } else {
+        output.push(...replacement);
+        changed = true;
+        corrections++;
+      }
+      i += match.count;
+    }
+
+    return changed
+      ? { ...segment, text: ` ${output.map((word) => word.word).join(' ')}`, words: output }
+      : segment;
+  });
+
+  return { segments: corrected, corrections };
+}
+
+/**
+ * Apply the per-request output stages, post-processing through caption export.
+ * The cache keeps the unprocessed transcript so later requests can differ.
+ */
+function applyTranscriptOutputStages(response, { postProcessing, resegment, format, captionOptions }) {
+  if (postProcessing) {
+    const { segments, report } = postProcessSegments(response.segments, postProcessing);
+    response.segments = segments;
+    response.postProcessing = report;
+  }
+  if (resegment) {
+    response.segments = resegmentTranscript(response.segments, resegment);
+    if (response.postProcessing) {
+      response.postProcessing.flaggedWords = collectFlaggedWords(response.segments);
+    }
+  }
+  if (postProcessing || resegment || response.segments.some((segment) => getVoiceKey(segment) !== null)) {
+    response.text = buildTranscriptText(response.segments);
+  }
+  if (response.original) {
+    // Dual-track translation: the source-language track gets the same stages
+    applyTranscriptOutputStages(response.original, {
+      postProcessing,
+      resegment,
+      format,
+      captionOptions: { ...captionOptions, language: response.original.language }
+    });
+    response.segments = alignTrackSegments(response.segments, response.original.segments);
+  }
+  if (format) {
+    response.captions = exportCaptions(response.segments, format, captionOptions);
+  }
+  return response;
+}
+
+/**
+ * Attach to each translated segment the source-language text spoken during it
+ * (`originalText`): every original word, or word-less segment, goes to the
+ * translated segment containing its midpoint, else to the nearest one.
+ */
+function alignTrackSegments(segments, originalSegments) {
+  const timedIndexes = segments
+    .map((segment, index) => (typeof segment.start === 'number' ? index : -1))
+    .filter((index) => index >= 0);
+  if (timedIndexes.length === 0) return segments;
+
+  const units = [];
+  for (const segment of originalSegments || []) {
+    const words = (segment.words || []).filter((word) => typeof word.start === 'number' && typeof word.end === 'number');
+    if (words.length > 0) {
+      units.push(...words.map((word) => ({ text: word.word, time: (word.start + word.end) / 2 })));
+    } else if (typeof segment.start === 'number' && segment.text.trim()) {
+      units.push({ text: segment.text.trim(), time: (segment.start + (segment.end ?? segment.start)) / 2 });
+    }
+  }
+  units.sort((a, b) => a.time - b.time);
+
+  const buckets = segments.map(() => []);
+  for (const unit of units) {
+    let best = timedIndexes[0];
+    let bestDistance = Infinity;
+    for (const index of timedIndexes) {
+      const start = segments[index].start;
+      const end = segments[index].end ?? start;
+      const distance = unit.time < start ? start - unit.time : Math.max(0, unit.time - end);
+      if (distance < bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+    }
+    buckets[best].push(unit.text);
+  }
+
+  return segments.map((segment, index) => ({ ...segment, originalText: buckets[index].join(' ') }));
+}
+
+// Caption export: SRT, WebVTT (with per-word karaoke timing), ASS and TTML
+const CAPTION_FORMATS = new Set(['srt', 'vtt', 'ass', 'ttml']);
+const DEFAULT_CAPTION_OPTIONS = Object.freeze({
+  maxLineLength: 42,
+  maxLines: 2,
+  maxCueDuration: 7,
+  maxWordGap: 1.5,
+  karaoke: true
+});
+
+function normalizeCaptionFormat(format) {
+  const normalized = String(format || '').trim().toLowerCase();
+  if (normalized === 'webvtt') return 'vtt';
+  if (normalized === 'ssa') return 'ass';
+  if (normalized === 'dfxp') return 'ttml';
+  return CAPTION_FORMATS.has(normalized) ? normalized : null;
+}
+
+function normalizeCaptionOptions(options = {}) {
+  const positiveNumber = (value, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+  };
+
+  return {
+    maxLineLength: Math.round(positiveNumber(options.maxLineLength, DEFAULT_CAPTION_OPTIONS.maxLineLength)),
+    maxLines: Math.round(positiveNumber(options.maxLines, DEFAULT_CAPTION_OPTIONS.maxLines)),
+    maxCueDuration: positiveNumber(options.maxCueDuration, DEFAULT_CAPTION_OPTIONS.maxCueDuration),
+    maxWordGap: positiveNumber(options.maxWordGap, DEFAULT_CAPTION_OPTIONS.maxWordGap),
+    karaoke: options.karaoke !== false,
+    language: options.language && options.language !== 'auto' ? String(options.language) : null
+  };
+}
+
+// Segments without word timings get words spread across the segment by character length
+function getSegmentCaptionWords(segment) {
+  const timedWords = (segment.words || []).filter((word) =>
+    word && word.word && typeof word.start === 'number' && typeof word.end === 'number'
+  );
+  if (timedWords.length > 0) return timedWords;
+
+  const start = typeof segment.start === 'number' ? segment.start : null;
+  const end = typeof segment.end === 'number' ? segment.end : null;
+  const pieces = String(segment.text || '').trim().split(/\s+/).filter(Boolean);
+  if (start === null || end === null || pieces.length === 0) return [];
+
+  const totalChars = pieces.reduce((sum, piece) => sum + piece.length, 0);
+  const span = Math.max(0, end - start);
+  let cursor = start;
+  return pieces.map((piece) => {
+    const wordStart = cursor;
+    cursor += span * (piece.length / totalChars);
+    return {
+      word: piece,
+      start: wordStart,
+      end: cursor,
+      ...(segment.speaker !== undefined ? { speaker: segment.speaker } : {}),
+      ...(segment.turn !== undefined ? { turn: segment.turn } : {})
+    };
+  });
+}
+
+function wrapCaptionWords(words, maxLineLength) {
+  const lines = [];
+  let line = [];
+  let lineLength = 0;
+
+  for (const word of words) {
+    const nextLength = line.length === 0 ? word.word.length : lineLength + 1 + word.word.length;
+    if (line.length > 0 && nextLength > maxLineLength) {
+      lines.push(line);
+      line = [word];
+      lineLength = word.word.length;
       continue;
     }
+    line.push(word);
+    lineLength = nextLength;
+  }
+
+  if (line.length > 0) lines.push(line);
+  return lines;
+}
+
+function buildCaptionCues(segments, options) {
+  const words = [];
+  for (const segment of segments || []) {
+    words.push(...getSegmentCaptionWords(segment));
+  }
+  words.sort((a, b) => a.start - b.start);
+
+  const cues = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length === 0) return;
+    cues.push({
+      start: current[0].start,
+      end: Math.max(current[current.length - 1].end, current[0].start),
+      lines: wrapCaptionWords(current, options.maxLineLength),
+      speaker: current[0].speaker ?? null,
+      voice: getVoiceKey(current[0])
+    });
+    current = [];
+  };
+
+  for (const word of words) {
+    if (current.length > 0) {
+      const previous = current[current.length - 1];
+      const candidate = [...current, word];
+      const tooLong = wrapCaptionWords(candidate, options.maxLineLength).length > options.maxLines;
+      const tooSlow = word.end - current[0].start > options.maxCueDuration;
+      const pause = word.start - previous.end > options.maxWordGap;
+      const speakerChange = getVoiceKey(word) !== getVoiceKey(previous);
+      if (tooLong || tooSlow || pause || speakerChange) flush();
+    }
+    current.push(word);
+  }
+  flush();
+
+  // Never let a cue overlap the next one
+  for (let i = 0; i < cues.length - 1; i++) {
+    if (cues[i].end > cues[i + 1].start) {
+      cues[i].end = Math.max(cues[i].start, cues[i + 1].start);
+    }
+  }
+
+  let previousVoice = null;
+  for (const cue of cues) {
+    cue.speakerTurn = cue.voice !== null && cue.voice !== previousVoice;
+    if (cue.voice !== null) previousVoice = cue.voice;
+  }
+
+  return cues;
+}
+
+function formatCaptionTimestamp(seconds, style) {
+  const totalMs = Math.max(0, Math.round((seconds || 0) * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  if (style === 'ass') {
+    return `${hours}:${pad(minutes)}:${pad(secs)}.${pad(Math.floor(ms / 10))}`;
+  }
+  const separator = style === 'srt' ? ',' : '.';
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+function escapeMarkup(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeXml(text) {
+  return escapeMarkup(text).replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+// SRT has no escapes; an arrow in the text would read as a timing line
+function escapeSrtText(text) {
+  return String(text).replace(/-->/g, '->');
+}
+
+function escapeAssText(text) {
+  return String(text).replace(/[{}]/g, '').replace(/\\/g, '/');
+}
+
+function cueLineText(line) {
+  return line.map((word) => word.word).join(' ');
+}
+
+function cueTurnPrefix(cue) {
+  return cue.speakerTurn ? `${SPEAKER_TURN_MARKER} ` : '';
+}
+
+function formatSrt(cues) {
+  return cues.map((cue, index) => [
+    String(index + 1),
+    `${formatCaptionTimestamp(cue.start, 'srt')} --> ${formatCaptionTimestamp(cue.end, 'srt')}`,
+    ...cue.lines.map((line, lineIndex) => (lineIndex === 0 ? cueTurnPrefix(cue) : '') + escapeSrtText(cueLineText(line)))
+  ].join('\n')).join('\n\n') + (cues.length > 0 ? '\n' : '');
+}
+
+function formatVttCueText(cue, karaoke) {
+  if (!karaoke) {
+    return cue.lines.map((line) => escapeMarkup(cueLineText(line))).join('\n');
+  }
+
+  // Timestamp tags must be strictly after the cue start and before its end
+  let lastTimestamp = cue.start;
+  return cue.lines.map((line) => line.map((word) => {
+    const text = `<c>${escapeMarkup(word.word)}</c>`;
+    if (word.start > lastTimestamp && word.start < cue.end) {
+      lastTimestamp = word.start;
+      return `<${formatCaptionTimestamp(word.start, 'vtt')}>${text}`;
+    }
+    return text;
+  }).join(' ')).join('\n');
+}
+
+// Speakers are marked with WebVTT voice spans rather than turn markers;
+// tinydiarize turns name no speaker, so they keep the marker
+function formatVtt(cues, options) {
+  const body = cues.map((cue) => [
+    `${formatCaptionTimestamp(cue.start, 'vtt')} --> ${formatCaptionTimestamp(cue.end, 'vtt')}`,
+    (cue.speaker !== null ? `<v ${escapeMarkup(cue.speaker)}>` : escapeMarkup(cueTurnPrefix(cue))) + formatVttCueText(cue, options.karaoke)
+  ].join('\n')).join('\n\n');
+  return `WEBVTT\n\n${body}${cues.length > 0 ? '\n' : ''}`;
+}
+
+function formatAssCueText(cue, karaoke) {
+  if (!karaoke) {
+    return cue.lines.map((line) => escapeAssText(cueLineText(line))).join('\\N');
+  }
+
+  const words = cue.lines.flat();
+  const toCentiseconds = (seconds) => Math.max(0, Math.round(seconds * 100));
+  const leadIn = toCentiseconds(words[0].start - cue.start);
+  let wordIndex = 0;
+
+  const lines = cue.lines.map((line) => line.map((word) => {
+    const next = words[wordIndex + 1];
+    const duration = toCentiseconds((next ? next.start : cue.end) - word.start);
+    wordIndex++;
+    return `{\\k${duration}}${escapeAssText(word.word)}`;
+  }).join(' '));
+
+  return `${leadIn > 0 ? `{\\k${leadIn}}` : ''}${lines.join('\\N')}`;
+}
+
+function formatAss(cues, options) {
+  const header = [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    'WrapStyle: 2',
+    'ScaledBorderAndShadow: yes',
+    'PlayResX: 1920',
+    'PlayResY: 1080',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    'Style: Default,Arial,64,&H00FFFFFF,&H0000FFFF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,3,1,2,60,60,50,1',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+  ];
+  const events = cues.map((cue) =>
+    `Dialogue: 0,${formatCaptionTimestamp(cue.start, 'ass')},${formatCaptionTimestamp(cue.end, 'ass')},Default,${cue.speaker !== null ? escapeAssText(cue.speaker).replace(/,/g, ' ') : ''},0,0,0,,${cueTurnPrefix(cue)}${formatAssCueText(cue, options.karaoke)}`
+  );
+  return [...header, ...events].join('\n') + '\n';
+}
+
+function formatTtml(cues, options) {
+  const langAttribute = options.language ? ` xml:lang="${escapeXml(options.language)}"` : '';
+  const paragraphs = cues.map((cue) =>
+    `      <p begin="${formatCaptionTimestamp(cue.start, 'ttml')}" end="${formatCaptionTimestamp(cue.end, 'ttml')}">`
+    + escapeXml(cueTurnPrefix(cue))
+    + cue.lines.map((line) => escapeXml(cueLineText(line))).join('<br/>')
+    + '</p>'
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<tt xmlns="http://www.w3.org/ns/ttml"${langAttribute}>`,
+    '  <body>',
+    '    <div>',
+    ...paragraphs,
+    '    </div>',
+    '  </body>',
+    '</tt>',
+    ''
+  ].join('\n');
+}
+
+function exportCaptions(segments, format, captionOptions = {}) {
+  const normalizedFormat = normalizeCaptionFormat(format);
+  if (!normalizedFormat) {
+    throw new Error(`Unsupported caption format: ${format}`);
+  }
+
+  const options = normalizeCaptionOptions(captionOptions);
+  const cues = buildCaptionCues(segments, options);
+  let content;
+
+  switch (normalizedFormat) {
+    case 'srt':
+      content = formatSrt(cues);
+      break;
+    case 'vtt':
+      content = formatVtt(cues, options);
+      break;
+    case 'ass':
+      content = formatAss(cues, options);
+      break;
+    case 'ttml':
+      content = formatTtml(cues, options);
+      break;
+  }
+
+  return { format: normalizedFormat, cueCount: cues.length, content };
+}
+
+// Transcript cache: results are stored per (audio hash, model, language, mode)
+// under ~/.whooptido/cache/transcripts, one JSON file per entry, with an index
+// used for LRU eviction and for matching a chunked upload by its fingerprint
+// before all of its audio has arrived.
+const TRANSCRIPT_CACHE_DIR = path.join(WHOOPTIDO_DIR, 'cache', 'transcripts');
+const TRANSCRIPT_CACHE_INDEX = path.join(TRANSCRIPT_CACHE_DIR, 'index.json');
+const AUDIO_FINGERPRINT_PREFIX_BYTES = 256 * 1024;
+const transcriptCacheStats = { hits: 0, misses: 0 };
+let transcriptCacheIndex = null;
+
+function getTranscriptCacheMaxBytes() {
+  return getHostConfig().transcriptCacheMaxBytes;
+}
+
+function loadTranscriptCacheIndex() {
+  if (transcriptCacheIndex) return transcriptCacheIndex;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(TRANSCRIPT_CACHE_INDEX, 'utf8'));
+    transcriptCacheIndex = parsed && typeof parsed.entries === 'object' ? parsed : { entries: {} };
+  } catch (e) {
+    transcriptCacheIndex = { entries: {} };
+  }
+  return transcriptCacheIndex;
+}
+
+function saveTranscriptCacheIndex() {
+  try {
+    fs.mkdirSync(TRANSCRIPT_CACHE_DIR, { recursive: true });
+    const tempPath = `${TRANSCRIPT_CACHE_INDEX}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(loadTranscriptCacheIndex()));
+    fs.renameSync(tempPath, TRANSCRIPT_CACHE_INDEX);
+  } catch (e) {
+    log('Transcript cache index write failed: ' + e.message);
+  }
+}
+
+function getTranscriptCacheEntryPath(key) {
+  return path.join(TRANSCRIPT_CACHE_DIR, `${key}.json`);
+}
+
+function describeAudioFormat(format) {
+  return format
+    ? `${format.sampleFormat}:${format.bitsPerSample}:${format.channels}:${format.sampleRate}`
+    : 'raw';
+}
+
+function createAudioHasher(format) {
+  return crypto.createHash('sha256').update(`${describeAudioFormat(format)}\n`);
+}
+
+function computeAudioFingerprint(format, pcmLength, prefix) {
+  return crypto.createHash('sha256')
+    .update(`${describeAudioFormat(format)}\n${pcmLength}\n`)
+    .update(prefix.subarray(0, AUDIO_FINGERPRINT_PREFIX_BYTES))
+    .digest('hex');
+}
+
+function buildTranscriptCacheKey(audioKey, { modelId, language, mode, decoding, diarization, task, vocabulary }) {
+  const parts = [audioKey, modelId || '', language || 'auto', mode || 'accurate'];
+  // Appended only when set so keys of existing entries stay valid
+  if (diarization) parts.push(`diarize:${diarization}`);
+  if (task && task !== 'transcribe') parts.push(`task:${task}`);
+  if (vocabulary) parts.push(`vocabulary:${vocabulary}`);
+  if (decoding) parts.push(`decoding:${decoding}`);
+  return crypto.createHash('sha256').update(parts.join('\n')).digest('hex');
+}
+
+/**
+ * Hash the PCM payload of a WAV file (or the whole file for other containers),
+ * so the same audio hashes alike whether it arrives as a file or in chunks.
+ */
+async function hashAudioFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const scan = Buffer.alloc(Math.min(size, MAX_WAV_HEADER_SCAN_BYTES));
+    await handle.read(scan, 0, scan.length, 0);
+
+    let format = null;
+    let dataStart = 0;
+    let dataEnd = size;
+    if (scan.length >= 12 && scan.toString('ascii', 0, 4) === 'RIFF') {
+      const { headerSize, dataSize, ...wavFormat } = parseWavHeader(scan);
+      const available = size - headerSize;
+      format = wavFormat;
+      dataStart = headerSize;
+      dataEnd = headerSize + (dataSize > 0 && dataSize <= available ? dataSize : available);
+    }
+
+    const hasher = createAudioHasher(format);
+    const block = Buffer.alloc(AUDIO_CONVERSION_BLOCK_BYTES);
+    let prefix = null;
+    for (let position = dataStart; position < dataEnd; position += block.length) {
+      const { bytesRead } = await handle.read(block, 0, Math.min(block.length, dataEnd - position), position);
+      if (bytesRead <= 0) break;
+      if (!prefix) prefix = Buffer.from(block.subarray(0, Math.min(bytesRead, AUDIO_FINGERPRINT_PREFIX_BYTES)));
+      hasher.update(block.subarray(0, bytesRead));
+    }
+
+    return {
+      audioHash: hasher.digest('hex'),
+      fingerprint: computeAudioFingerprint(format, dataEnd - dataStart, prefix || Buffer.alloc(0))
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+function readTranscriptCacheEntry(key) {
+  const index = loadTranscriptCacheIndex();
+  if (!index.entries[key]) return null;
+
+  try {
+    const entry = JSON.parse(fs.readFileSync(getTranscriptCacheEntryPath(key), 'utf8'));
+    index.entries[key].lastAccessedAt = Date.now();
+    saveTranscriptCacheIndex();
+    return entry;
+  } catch (e) {
+    delete index.entries[key];
+    saveTranscriptCacheIndex();
+    return null;
+  }
+}
 
-    // Append to current word (BPE continuation token)
-    current.word += trimmed;
-    if (typeof tokenEnd === 'number') current.end = tokenEnd;
-    if (typeof token.p === 'number') {
-      current._logProbSum += Math.log(Math.max(token.p, 1e-10));
-      current._pieceCount++;
-    }
+function getCachedTranscript(key) {
+  const entry = readTranscriptCacheEntry(key);
+  if (entry) {
+    transcriptCacheStats.hits++;
+  } else {
+    transcriptCacheStats.misses++;
   }
+  return entry;
+}
 
-  if (current) {
-    // Finalize geometric mean probability for last word
-    if (current._pieceCount > 1) {
-      current.confidence = Math.exp(current._logProbSum / current._pieceCount);
-    }
-    delete current._logProbSum;
-    delete current._pieceCount;
-    words.push(current);
+function findCachedTranscriptByFingerprint(fingerprint, keyParts) {
+  const fingerprintKey = buildTranscriptCacheKey(fingerprint, keyParts);
+  const index = loadTranscriptCacheIndex();
+  const key = Object.keys(index.entries).find((candidate) => index.entries[candidate].fingerprintKey === fingerprintKey);
+  return key ? readTranscriptCacheEntry(key) : null;
+}
+
+function storeCachedTranscript(key, { fingerprint, keyParts, segments, text, duration, detectedLanguage = null }) {
+  const maxBytes = getTranscriptCacheMaxBytes();
+  if (maxBytes === 0) return;
+
+  try {
+    fs.mkdirSync(TRANSCRIPT_CACHE_DIR, { recursive: true });
+    const now = Date.now();
+    const payload = JSON.stringify({
+      key,
+      modelId: keyParts.modelId || null,
+      language: keyParts.language || 'auto',
+      mode: keyParts.mode || 'accurate',
+      createdAt: now,
+      duration,
+      detectedLanguage,
+      segments,
+      text
+    });
+    if (Buffer.byteLength(payload) > maxBytes) return;
+
+    fs.writeFileSync(getTranscriptCacheEntryPath(key), payload);
+    loadTranscriptCacheIndex().entries[key] = {
+      size: Buffer.byteLength(payload),
+      createdAt: now,
+      lastAccessedAt: now,
+      fingerprintKey: fingerprint ? buildTranscriptCacheKey(fingerprint, keyParts) : null
+    };
+    evictTranscriptCache(maxBytes);
+    saveTranscriptCacheIndex();
+  } catch (e) {
+    log('Transcript cache write failed: ' + e.message);
   }
-  return words;
 }
 
-log('=== Whooptido Companion started (chrome-native-messaging) ===');
-log(`Node version: ${process.version}`);
-log(`Platform: ${process.platform} ${process.arch}`);
+function evictTranscriptCache(maxBytes) {
+  const index = loadTranscriptCacheIndex();
+  const byAge = Object.entries(index.entries).sort((a, b) => a[1].lastAccessedAt - b[1].lastAccessedAt);
+  let totalBytes = byAge.reduce((sum, [, entry]) => sum + (entry.size || 0), 0);
+
+  for (const [key, entry] of byAge) {
+    if (totalBytes <= maxBytes) break;
+    try { fs.unlinkSync(getTranscriptCacheEntryPath(key)); } catch (e) { /* ignore */ }
+    delete index.entries[key];
+    totalBytes -= entry.size || 0;
+    log('Evicted cached transcript: ' + key);
+  }
+}
+
+function clearTranscriptCache() {
+  const removed = Object.keys(loadTranscriptCacheIndex().entries).length;
+  fs.rmSync(TRANSCRIPT_CACHE_DIR, { recursive: true, force: true });
+  transcriptCacheIndex = { entries: {} };
+  return removed;
+}
+
+function getTranscriptCacheSummary() {
+  const entries = Object.values(loadTranscriptCacheIndex().entries);
+  return {
+    dir: TRANSCRIPT_CACHE_DIR,
+    entries: entries.length,
+    totalBytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+    maxBytes: getTranscriptCacheMaxBytes(),
+    hits: transcriptCacheStats.hits,
+    misses: transcriptCacheStats.misses
+  };
+}
 
 const chunkSessions = new Map();
 const directSessions = new Map();
+const liveSessions = new Map();
 const activeWhisperProcesses = new Map();
+const activeDownloads = new Map();
+const activeImports = new Set();
+
+// Whisper job scheduling: every whisper-cli run (a direct transcription or one
+// chunk dispatch) waits here for a slot. Higher priority runs first, FIFO
+// within a priority; paused sessions are skipped until resumed. A running job
+// whose process is stopped with SIGSTOP gives its slot back until resumed.
+const JOB_PRIORITIES = Object.freeze({
+  background: 0,
+  normal: 50,
+  foreground: 100
+});
+const whisperJobQueue = [];
+let runningWhisperJobs = 0;
+let whisperJobSequence = 0;
+// Operation keys of running jobs whose process is stopped
+const suspendedWhisperOperations = new Set();
+
+function resolveJobPriority(priority) {
+  if (typeof priority === 'number' && Number.isFinite(priority)) return priority;
+  return JOB_PRIORITIES[priority] ?? JOB_PRIORITIES.normal;
+}
+
+function getMaxConcurrentJobs() {
+  return getHostConfig().maxConcurrentJobs;
+}
+
+// Running jobs that hold a slot; may briefly exceed the limit after a resume
+function getBusyWhisperSlots() {
+  return runningWhisperJobs - suspendedWhisperOperations.size;
+}
+
+function getOrderedWhisperJobs() {
+  return [...whisperJobQueue].sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+}
+
+function scheduleWhisperJob({ sessionId, priority, isCancelled = () => false, isPaused = () => false }, run) {
+  return new Promise((resolve, reject) => {
+    whisperJobQueue.push({
+      sessionId,
+      priority: resolveJobPriority(priority),
+      sequence: whisperJobSequence++,
+      enqueuedAt: Date.now(),
+      isCancelled,
+      isPaused,
+      run,
+      resolve,
+      reject
+    });
+    drainWhisperQueue();
+  });
+}
+
+function drainWhisperQueue() {
+  for (let i = whisperJobQueue.length - 1; i >= 0; i--) {
+    const job = whisperJobQueue[i];
+    if (job.isCancelled()) {
+      whisperJobQueue.splice(i, 1);
+      job.reject(new Error('Transcription cancelled before start'));
+    }
+  }
+
+  while (getBusyWhisperSlots() < getMaxConcurrentJobs()) {
+    const job = getOrderedWhisperJobs().find((candidate) => !candidate.isPaused());
+    if (!job) break;
+
+    whisperJobQueue.splice(whisperJobQueue.indexOf(job), 1);
+    runningWhisperJobs++;
+    Promise.resolve()
+      .then(job.run)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        runningWhisperJobs--;
+        drainWhisperQueue();
+      });
+  }
+}
+
+// 1-based position among queued jobs, or null when the session has nothing queued
+function getQueuePosition(sessionId) {
+  const index = getOrderedWhisperJobs().findIndex((job) => job.sessionId === sessionId);
+  return index === -1 ? null : index + 1;
+}
 
 function removeChunkSession(sessionId) {
   const session = chunkSessions.get(sessionId);
@@ -937,6 +4735,7 @@ function removeChunkSession(sessionId) {
     try { fs.unlinkSync(session.tempFile); } catch (e) { /* ignore */ }
   }
   chunkSessions.delete(sessionId);
+  drainWhisperQueue();
   return true;
 }
 
@@ -948,6 +4747,7 @@ function removeDirectSession(sessionId) {
   session.updatedAt = Date.now();
   cancelWhisperOperation(session.operationKey);
   directSessions.delete(sessionId);
+  drainWhisperQueue();
   return true;
 }
 
@@ -981,6 +4781,7 @@ function registerWhisperProcess(operationKey, proc) {
 function clearWhisperProcess(operationKey) {
   if (!operationKey) return;
   activeWhisperProcesses.delete(operationKey);
+  suspendedWhisperOperations.delete(operationKey);
 }
 
 function cancelWhisperOperation(operationKey) {
@@ -989,6 +4790,8 @@ function cancelWhisperOperation(operationKey) {
   if (!proc) return false;
   try {
     proc.kill('SIGTERM');
+    // A stopped process only sees SIGTERM once it runs again
+    if (suspendedWhisperOperations.has(operationKey)) proc.kill('SIGCONT');
     setTimeout(() => {
       try {
         if (!proc.killed) proc.kill('SIGKILL');
@@ -1008,7 +4811,8 @@ function pauseWhisperOperation(operationKey) {
   const proc = activeWhisperProcesses.get(operationKey);
   if (!proc) return false;
   try {
-    proc.kill('SIGSTOP');
+    if (proc.kill('SIGSTOP') === false) return false;
+    suspendedWhisperOperations.add(operationKey);
     return true;
   } catch (error) {
     logError(`Failed to pause whisper operation ${operationKey}: ${error.message}`);
@@ -1021,7 +4825,8 @@ function resumeWhisperOperation(operationKey) {
   const proc = activeWhisperProcesses.get(operationKey);
   if (!proc) return false;
   try {
-    proc.kill('SIGCONT');
+    if (proc.kill('SIGCONT') === false) return false;
+    suspendedWhisperOperations.delete(operationKey);
     return true;
   } catch (error) {
     logError(`Failed to resume whisper operation ${operationKey}: ${error.message}`);
@@ -1055,34 +4860,68 @@ function migrateOldModelsDir() {
     log('Model migration error (non-fatal): ' + e.message);
   }
 }
-migrateOldModelsDir();
 
-// Use the chrome-native-messaging Transform stream pattern
-const inputStream = new nativeMessage.Input();
-const transformStream = new nativeMessage.Transform(function(msg, push, done) {
-  log(`Received: ${JSON.stringify(msg).substring(0, 500)}`);
-  
-  try {
-    handleMessage(msg, push, done);
-  } catch (err) {
-    logError(`Error handling message: ${err.message}\n${err.stack}`);
-    push({ error: err.message, type: 'error' });
-    done();
-  }
-});
-const outputStream = new nativeMessage.Output();
+/**
+ * Wire stdio to the message handler. Only runs when this file is the entry
+ * point, so the pure helpers below can be required by tests.
+ */
+function startNativeHost() {
+  log('=== Whooptido Companion started (chrome-native-messaging) ===');
+  log(`Node version: ${process.version}`);
+  log(`Platform: ${process.platform} ${process.arch}`);
 
-// Monitor stream state
-process.stdin.on('close', () => log('stdin closed'));
-process.stdin.on('end', () => log('stdin ended'));
-process.stdout.on('close', () => log('stdout closed'));
-process.stdout.on('error', (err) => log(`stdout error: ${err.message}`));
+  migrateOldModelsDir();
 
-process.stdin
-  .pipe(inputStream)
-  .pipe(transformStream)
-  .pipe(outputStream)
-  .pipe(process.stdout);
+  // Use the chrome-native-messaging Transform stream pattern
+  const inputStream = new nativeMessage.Input();
+  const transformStream = new nativeMessage.Transform(function(msg, push, done) {
+    log(`Received: ${JSON.stringify(msg).substring(0, 500)}`);
+
+    try {
+      handleMessage(msg, push, done);
+    } catch (err) {
+      logError(`Error handling message: ${err.message}\n${err.stack}`);
+      push({ error: err.message, type: 'error' });
+      done();
+    }
+  });
+  const outputStream = new nativeMessage.Output();
+
+  // Monitor stream state
+  process.stdin.on('close', () => log('stdin closed'));
+  process.stdin.on('end', () => {
+    log('stdin ended');
+    // Nothing can reach a warm whisper-server once the extension disconnects
+    stopAllWhisperServers('host disconnected');
+  });
+  process.stdout.on('close', () => log('stdout closed'));
+  process.stdout.on('error', (err) => log(`stdout error: ${err.message}`));
+
+  process.stdin
+    .pipe(inputStream)
+    .pipe(transformStream)
+    .pipe(outputStream)
+    .pipe(process.stdout);
+
+  // Handle SIGTERM/SIGINT gracefully
+  process.on('SIGTERM', () => {
+    log('Received SIGTERM, shutting down');
+    cleanupAllOperations();
+    process.exit(0);
+  });
+
+  process.on('SIGINT', () => {
+    log('Received SIGINT, shutting down');
+    cleanupAllOperations();
+    process.exit(0);
+  });
+
+  // Catch uncaught exceptions
+  process.on('uncaughtException', (err) => {
+    logError(`Uncaught exception: ${err.message}\n${err.stack}`);
+    process.exit(1);
+  });
+}
 
 function cleanupAllOperations() {
   for (const sessionId of Array.from(chunkSessions.keys())) {
@@ -1106,26 +4945,18 @@ function cleanupAllOperations() {
     cancelWhisperOperation(operationKey);
     clearWhisperProcess(operationKey);
   }
-}
 
-// Handle SIGTERM/SIGINT gracefully
-process.on('SIGTERM', () => {
-  log('Received SIGTERM, shutting down');
-  cleanupAllOperations();
-  process.exit(0);
-});
+  for (const sessionId of Array.from(liveSessions.keys())) {
+    removeLiveSession(sessionId);
+  }
 
-process.on('SIGINT', () => {
-  log('Received SIGINT, shutting down');
-  cleanupAllOperations();
-  process.exit(0);
-});
+  stopAllWhisperServers('host shutting down');
 
-// Catch uncaught exceptions
-process.on('uncaughtException', (err) => {
-  logError(`Uncaught exception: ${err.message}\n${err.stack}`);
-  process.exit(1);
-});
+  // In-flight downloads keep their .part file so they resume on next start
+  for (const download of activeDownloads.values()) {
+    download.request?.destroy();
+  }
+}
 
 /**
  * Handle incoming messages
@@ -1149,14 +4980,37 @@ function handleMessage(msg, push, done) {
       done();
       break;
 
+    case 'get_config':
+      handleGetConfig(msg, push, done);
+      break;
+
+    case 'set_config':
+      handleSetConfig(msg, push, done);
+      break;
+
+    case 'list_available_models':
+      handleListAvailableModels(msg, push, done);
+      break;
+
     case 'delete_model':
       handleDeleteModel(msg, push);
       done();
       break;
+
+    case 'import_model':
+      handleImportModel(msg, push, done);
+      break;
       
     case 'download_model':
       handleDownloadModel(msg, push, done);
-      // Note: done() called asynchronously after download
+      break;
+
+    case 'download_cancel':
+      handleDownloadCancel(msg, push, done);
+      break;
+
+    case 'update_model_catalog':
+      handleUpdateModelCatalog(msg, push, done);
       break;
       
     case 'transcribe':
@@ -1168,6 +5022,10 @@ function handleMessage(msg, push, done) {
       handleTranscribeInit(msg, push, done);
       break;
 
+    case 'detect_language':
+      handleDetectLanguage(msg, push, done);
+      break;
+
     case 'transcribe_chunk':
       handleTranscribeChunk(msg, push, done);
       break;
@@ -1196,6 +5054,30 @@ function handleMessage(msg, push, done) {
       handleTranscribeCleanup(msg, push, done);
       break;
 
+    case 'live_start':
+      handleLiveStart(msg, push, done);
+      break;
+
+    case 'live_audio':
+      handleLiveAudio(msg, push, done);
+      break;
+
+    case 'live_stop':
+      handleLiveStop(msg, push, done);
+      break;
+
+    case 'export_captions':
+      handleExportCaptions(msg, push, done);
+      break;
+
+    case 'cache_stats':
+      handleCacheStats(msg, push, done);
+      break;
+
+    case 'cache_clear':
+      handleCacheClear(msg, push, done);
+      break;
+
     case 'uninstall':
       handleUninstall(msg, push, done);
       break;
@@ -1326,7 +5208,19 @@ function handleUninstall(msg, push, done) {
     log('Uninstall: failed to remove legacy models dir: ' + e.message);
   }
 
-  // 5. Send success ack BEFORE self-deletion
+  // 5. Drop cached transcripts (also covered by step 7, but that runs after the ack
+  //    and is deferred to a script on Windows)
+  try {
+    const removed = clearTranscriptCache();
+    if (removed > 0) {
+      deleted.push('transcript cache: ' + removed + ' entries');
+    }
+    log('Uninstall: cleared transcript cache');
+  } catch (e) {
+    log('Uninstall: failed to clear transcript cache: ' + e.message);
+  }
+
+  // 6. Send success ack BEFORE self-deletion
   push({
     type: 'uninstall_ack',
     success: errors.length === 0,
@@ -1335,7 +5229,7 @@ function handleUninstall(msg, push, done) {
   });
   done();
 
-  // 6. Delete entire ~/.whooptido/ directory (binary, models, everything)
+  // 7. Delete entire ~/.whooptido/ directory (binary, models, everything)
   const platform = os.platform();
 
   if (platform === 'win32') {
@@ -1362,7 +5256,7 @@ function handleUninstall(msg, push, done) {
     }
   }
 
-  // 7. Exit after a short delay to ensure ack is flushed
+  // 8. Exit after a short delay to ensure ack is flushed
   log('Uninstall: complete — exiting');
   setTimeout(() => process.exit(0), 200);
 }
@@ -1393,12 +5287,26 @@ function handleStatus(push) {
   }
 
   const models = listInstalledModels();
-  const activeModel = models[0] || null;
+  const hostConfig = getHostConfig();
+  // Same resolution a transcription without model/modelId gets, so status
+  // never advertises a model file that doesn't exist
+  let modelPath = null;
+  let modelError = null;
+  try {
+    modelPath = resolveModelPath(null, null);
+  } catch (e) {
+    modelError = e.message;
+  }
+  const activeModel = modelPath ? getActiveModel(models) : null;
   const runtimeStatus = whisperInfo.runtimeStatus || buildWhisperRuntimeStatus(whisperInfo);
   const gpuBackend = runtimeStatus.gpuBackend || 'unknown';
   const health = whisperInstalled && runtimeStatus.asrSupported ? 'ok' : 'degraded';
   const installState = health === 'ok' ? 'installed' : 'installed-degraded';
-  const errors = [whisperError, runtimeStatus.unsupportedReason].filter(Boolean);
+  const invalidModelErrors = models
+    .filter((model) => model.valid === false)
+    .map((model) => `Model file ${model.path} is not usable: ${model.invalidReason}`);
+  const errors = [whisperError, runtimeStatus.unsupportedReason, modelError, ...invalidModelErrors].filter(Boolean);
+  const translationModels = models.filter((model) => model.translation && model.translation !== 'unsupported');
 
   push({
     type: 'status',
@@ -1411,12 +5319,32 @@ function handleStatus(push) {
     installState,
     health,
     whisperInstalled,
-    modelInstalled: models.length > 0,
-    modelPath: activeModel?.path || DEFAULT_MODEL,
+    modelInstalled: models.some((model) => model.valid !== false),
+    modelPath,
     modelsDir: MODELS_DIR,
     modelSearchDirs: getModelSearchDirs(),
     models,
     activeModelId: activeModel?.id || null,
+    translation: {
+      supported: translationModels.length > 0,
+      models: translationModels.map((model) => model.id),
+      warnings: translationModels
+        .filter((model) => model.translation === 'poor')
+        .map((model) => getTranslationWarning(model.path))
+    },
+    config: hostConfig,
+    engines: getEngines().map((engine) => ({
+      ...describeEngine(engine, engine.id === WHISPER_CLI_ENGINE_ID ? whisperCliEngine.probe(whisperInfo) : engine.probe()),
+      default: engine.id === hostConfig.defaultEngine
+    })),
+    whisperServers: Array.from(whisperServers.values()).map((server) => ({
+      modelId: getModelIdForPath(server.modelPath),
+      dtw: Boolean(server.dtwPreset),
+      port: server.port,
+      ready: server.lastHealthyAt > 0,
+      activeRequests: server.activeRequests,
+      startedAt: server.startedAt
+    })),
     whisperPath: whisperInfo.path || null,
     whisperProbe,
     gpuBackend,
@@ -1430,6 +5358,13 @@ function handleStatus(push) {
     selectedBackend: runtimeStatus.selectedBackend,
     unsupportedReason: runtimeStatus.unsupportedReason,
     acceleratedBackendsRequired: true,
+    modelCatalog: { version: getModelCatalog().version, source: getModelCatalog().source },
+    downloads: Array.from(activeDownloads.values()).map((download) => ({
+      modelId: download.modelId,
+      startedAt: download.startedAt,
+      cancelRequested: download.cancelRequested,
+      ...(download.progress || {})
+    })),
     errors
   });
 
@@ -1454,6 +5389,161 @@ function handleListModels(push) {
   }
 }
 
+function handleGetConfig(msg, push, done) {
+  push({
+    type: 'config',
+    config: getHostConfig(),
+    defaults: DEFAULT_HOST_CONFIG,
+    path: HOST_CONFIG_PATH
+  });
+  done();
+}
+
+function handleSetConfig(msg, push, done) {
+  try {
+    const config = updateHostConfig(msg.config);
+    log(`Host config updated: ${JSON.stringify(config)}`);
+    // A larger limit can start queued jobs now; a smaller cache is trimmed now
+    drainWhisperQueue();
+    if ('transcriptCacheMaxBytes' in msg.config) {
+      evictTranscriptCache(config.transcriptCacheMaxBytes);
+      saveTranscriptCacheIndex();
+    }
+    push({ type: 'set_config_ack', success: true, config });
+  } catch (e) {
+    push({ type: 'set_config_ack', success: false, error: e.message, config: getHostConfig() });
+  }
+  done();
+}
+
+// Share of free VRAM a model may use, leaving room for the browser/compositor
+const GPU_MEMORY_HEADROOM = 0.9;
+// Share of Apple Silicon unified memory Metal will hand to one process
+const APPLE_GPU_MEMORY_SHARE = 0.7;
+// Assumed budget when the GPU's memory can't be read (AMD, WMI-only NVIDIA)
+const UNKNOWN_GPU_MEMORY_BUDGET_MB = 4096;
+// English-only checkpoints beat their multilingual sibling on English audio
+const ENGLISH_ONLY_RANK_BONUS = 15;
+
+function getModelMemoryBudget(hardware) {
+  let best = null;
+  for (const device of hardware.devices || []) {
+    const budgetMb = device.unifiedMemory
+      ? (device.memoryTotalMb || 0) * APPLE_GPU_MEMORY_SHARE
+      : (device.memoryFreeMb ?? device.memoryTotalMb ?? 0) * GPU_MEMORY_HEADROOM;
+    if (budgetMb > 0 && (!best || budgetMb > best.budgetMb)) {
+      best = { budgetMb: Math.floor(budgetMb), device: device.name, estimated: false };
+    }
+  }
+  return best || { budgetMb: UNKNOWN_GPU_MEMORY_BUDGET_MB, device: null, estimated: true };
+}
+
+function getDiskFreeMb(dir) {
+  const existingDir = [dir, WHOOPTIDO_DIR, os.homedir()].find((candidate) => fs.existsSync(candidate));
+  try {
+    const stats = fs.statfsSync(existingDir);
+    return Math.floor((stats.bavail * stats.bsize) / (1024 * 1024));
+  } catch (error) {
+    return null;
+  }
+}
+
+function findInstalledModelFile(filename) {
+  for (const dir of getModelSearchDirs()) {
+    const modelPath = path.join(dir, filename);
+    if (fs.existsSync(modelPath)) return modelPath;
+  }
+  return null;
+}
+
+/**
+ * Annotate every catalog file with install state and whether it fits the
+ * memory/disk budget, then pick the highest ranked model with a fitting file
+ * (files keep catalog preference order within a model).
+ */
+function buildAvailableModels(hardware, { englishOnly = false } = {}) {
+  const memory = getModelMemoryBudget(hardware);
+  const diskFreeMb = getDiskFreeMb(MODELS_DIR);
+  const catalog = getModelCatalog();
+
+  const models = catalog.models.map((model) => {
+    const files = model.files.map((file) => {
+      const foundPath = findInstalledModelFile(file.filename);
+      const inspection = foundPath ? getModelInspection(foundPath) : null;
+      const installedPath = inspection?.valid ? foundPath : null;
+      const fitsMemory = !file.memoryMb || file.memoryMb <= memory.budgetMb;
+      const fitsDisk = !!installedPath || diskFreeMb === null || !file.approxSizeMb || file.approxSizeMb <= diskFreeMb;
+      return {
+        ...file,
+        installed: !!installedPath,
+        path: installedPath,
+        ...(inspection && !inspection.valid ? { invalidReason: inspection.invalidReason } : {}),
+        fitsMemory,
+        fitsDisk
+      };
+    });
+    return {
+      id: model.id,
+      name: model.name || model.id,
+      multilingual: model.multilingual !== false,
+      qualityRank: model.qualityRank || 0,
+      dtwPreset: model.dtwPreset || null,
+      installed: files.some((file) => file.installed),
+      files
+    };
+  });
+
+  let recommended = null;
+  if (hardware.supported) {
+    const effectiveRank = (model) => model.qualityRank + (englishOnly && !model.multilingual ? ENGLISH_ONLY_RANK_BONUS : 0);
+    const ranked = models
+      .filter((model) => englishOnly || model.multilingual)
+      .sort((a, b) => effectiveRank(b) - effectiveRank(a));
+    for (const model of ranked) {
+      const file = model.files.find((entry) => entry.fitsMemory && entry.fitsDisk);
+      if (!file) continue;
+      recommended = {
+        modelId: model.id,
+        filename: file.filename,
+        url: file.url || null,
+        installed: file.installed,
+        reason: memory.estimated
+          ? `GPU memory unknown; assuming ${memory.budgetMb} MB`
+          : `Needs ~${file.memoryMb} MB of ${memory.budgetMb} MB available on ${memory.device}`
+      };
+      break;
+    }
+  }
+
+  return {
+    catalogVersion: catalog.version,
+    catalogSource: catalog.source,
+    hardware: {
+      supported: hardware.supported,
+      backends: hardware.supportedBackends,
+      devices: hardware.devices,
+      memoryBudgetMb: memory.budgetMb,
+      memoryBudgetEstimated: memory.estimated,
+      diskFreeMb
+    },
+    recommended,
+    recommendationError: hardware.supported ? null : hardware.unsupportedReason,
+    models
+  };
+}
+
+function handleListAvailableModels(msg, push, done) {
+  try {
+    const available = buildAvailableModels(detectAcceleratedHardware(), { englishOnly: msg.englishOnly === true });
+    push({ type: 'available_models', ...available });
+    log(`Listed ${available.models.length} catalog models, recommended=${available.recommended?.filename || 'none'}`);
+  } catch (e) {
+    push({ type: 'available_models', models: [], recommended: null, error: e.message });
+    log('Error listing available models: ' + e.message);
+  }
+  done();
+}
+
 function handleDeleteModel(msg, push) {
   const modelId = String(msg.modelId || '').trim();
 
@@ -1471,12 +5561,15 @@ function handleDeleteModel(msg, push) {
 
       const presentFiles = fs.readdirSync(dir);
       for (const fileName of presentFiles) {
-        const derivedId = getModelIdFromFilename(fileName);
-        if (!candidateNames.has(fileName) && derivedId !== modelId) {
+        if (fileName.endsWith(MODEL_METADATA_SUFFIX)) continue;
+
+        const filePath = path.join(dir, fileName);
+        const metadata = fileName.endsWith('.bin') ? readModelMetadata(filePath) : null;
+        const derivedId = metadata?.id || getModelIdFromFilename(fileName);
+        if (metadata ? derivedId !== modelId : (!candidateNames.has(fileName) && derivedId !== modelId)) {
           continue;
         }
 
-        const filePath = path.join(dir, fileName);
         if (!fs.existsSync(filePath)) {
           continue;
         }
@@ -1484,6 +5577,12 @@ function handleDeleteModel(msg, push) {
         fs.unlinkSync(filePath);
         deleted.push(filePath);
         log('Deleted model file: ' + filePath);
+
+        const metadataPath = getModelMetadataPath(filePath);
+        if (fs.existsSync(metadataPath)) {
+          fs.unlinkSync(metadataPath);
+          deleted.push(metadataPath);
+        }
       }
     }
 
@@ -1502,8 +5601,198 @@ function handleDeleteModel(msg, push) {
   }
 }
 
-function downloadFile(url, destinationPath, expectedSize, redirectCount = 0) {
+function validateImportMetadata(msg) {
+  const modelId = typeof msg.id === 'string' ? msg.id.trim() : '';
+  if (!CUSTOM_MODEL_ID_PATTERN.test(modelId)) {
+    throw new Error('id must be 1-64 letters, digits, ".", "_" or "-"');
+  }
+  if (getCatalogModel(modelId)) {
+    throw new Error(`id "${modelId}" is reserved for a built-in model`);
+  }
+
+  const { baseModel } = msg;
+  if (!WHISPER_ARCHITECTURE_DTW_PRESETS[baseModel]) {
+    throw new Error(`baseModel must be one of: ${Object.keys(WHISPER_ARCHITECTURE_DTW_PRESETS).join(', ')}`);
+  }
+
+  let languages = null;
+  if (msg.languages != null) {
+    if (!Array.isArray(msg.languages) || msg.languages.length === 0
+      || !msg.languages.every((code) => typeof code === 'string' && /^[a-z]{2,3}$/.test(code))) {
+      throw new Error('languages must be a non-empty array of language codes such as ["en"]');
+    }
+    languages = uniqueStrings(msg.languages);
+  } else if (baseModel.endsWith('.en')) {
+    languages = ['en'];
+  }
+
+  if (msg.qualityRank != null && !Number.isFinite(msg.qualityRank)) {
+    throw new Error('qualityRank must be a number');
+  }
+  if (msg.tinydiarize != null && typeof msg.tinydiarize !== 'boolean') {
+    throw new Error('tinydiarize must be a boolean');
+  }
+
+  return {
+    id: modelId,
+    name: typeof msg.name === 'string' && msg.name.trim() ? msg.name.trim() : modelId,
+    baseModel,
+    languages,
+    tinydiarize: msg.tinydiarize === true,
+    // Without an explicit rank, rank just below the architecture it was tuned from
+    qualityRank: msg.qualityRank ?? Math.max(0, (getCatalogModel(baseModel)?.qualityRank || 0) - 1)
+  };
+}
+
+/**
+ * Register a local ggml file as an installed model: it is copied into
+ * MODELS_DIR as ggml-<id>.bin next to a .meta.json sidecar, after which it is
+ * listed, selectable, deletable and transcribable by id like a built-in model.
+ */
+function handleImportModel(msg, push, done) {
+  const { sourcePath, replace } = msg;
+  let metadata;
+  let modelPath;
+
+  try {
+    if (typeof sourcePath !== 'string' || !sourcePath) throw new Error('Missing sourcePath');
+    if (!fs.existsSync(sourcePath) || !fs.statSync(sourcePath).isFile()) {
+      throw new Error(`Model file not found: ${sourcePath}`);
+    }
+    metadata = validateImportMetadata(msg);
+    const inspection = inspectGgmlModel(sourcePath);
+    if (!inspection.valid) throw new Error(`Not a usable whisper model: ${inspection.invalidReason}`);
+    const sameLargeFamily = ['large-v1', 'large-v2'].includes(metadata.baseModel) && inspection.architecture === 'large-v2';
+    if (inspection.architecture !== metadata.baseModel && !sameLargeFamily) {
+      throw new Error(`baseModel "${metadata.baseModel}" does not match the file's architecture (${inspection.architecture})`);
+    }
+    if (findInstalledModelById(metadata.id) && !replace) {
+      throw new Error(`Model "${metadata.id}" is already installed; pass replace: true to overwrite it`);
+    }
+    if (activeImports.has(metadata.id)) {
+      throw new Error(`Import already in progress for ${metadata.id}`);
+    }
+    modelPath = path.join(MODELS_DIR, `ggml-${metadata.id}.bin`);
+  } catch (e) {
+    push({ type: 'import_model_ack', success: false, modelId: msg.id || null, error: e.message });
+    done();
+    return;
+  }
+
+  // The copy can take minutes for multi-GB files; keep handling other messages
+  activeImports.add(metadata.id);
+  done();
+
+  (async () => {
+    const tempPath = `${modelPath}.import`;
+    const metadataPath = getModelMetadataPath(modelPath);
+    const tempMetadataPath = `${metadataPath}.import`;
+    try {
+      fs.mkdirSync(MODELS_DIR, { recursive: true });
+      const inPlace = path.resolve(sourcePath) === path.resolve(modelPath);
+      if (!inPlace) {
+        await fs.promises.copyFile(sourcePath, tempPath);
+      }
+
+      // Both files land under temp names; the sidecar only takes its real name
+      // once the model has, so a failed rename never pairs metadata with the
+      // wrong (or no) binary
+      fs.writeFileSync(tempMetadataPath, JSON.stringify({
+        ...metadata,
+        importedFrom: path.resolve(sourcePath),
+        importedAt: new Date().toISOString()
+      }, null, 2));
+      if (!inPlace) {
+        fs.renameSync(tempPath, modelPath);
+      }
+      fs.renameSync(tempMetadataPath, metadataPath);
+
+      const model = findInstalledModelById(metadata.id);
+      log(`Imported model ${metadata.id} from ${sourcePath}`);
+      push({ type: 'import_model_ack', success: true, modelId: metadata.id, model });
+    } catch (e) {
+      for (const leftover of [tempPath, tempMetadataPath]) {
+        try {
+          if (fs.existsSync(leftover)) fs.unlinkSync(leftover);
+        } catch (cleanupErr) { /* ignore */ }
+      }
+      log('Import model error: ' + e.message);
+      push({ type: 'import_model_ack', success: false, modelId: metadata.id, error: e.message });
+    } finally {
+      activeImports.delete(metadata.id);
+    }
+  })();
+}
+
+// Model downloads are written to <model>.part with a <model>.part.json sidecar
+// holding the source URL and validators, so an interrupted download (or a host
+// restart) resumes with a Range request instead of starting over.
+const DOWNLOAD_MAX_ATTEMPTS = 5;
+const DOWNLOAD_RETRY_DELAY_MS = 2000;
+const DOWNLOAD_PROGRESS_INTERVAL_MS = 500;
+const DOWNLOAD_SPEED_SMOOTHING = 0.3;
+
+function getDownloadMetaPath(tempPath) {
+  return `${tempPath}.json`;
+}
+
+function readDownloadMeta(tempPath) {
+  try {
+    return JSON.parse(fs.readFileSync(getDownloadMetaPath(tempPath), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeDownloadMeta(tempPath, meta) {
+  try {
+    fs.writeFileSync(getDownloadMetaPath(tempPath), JSON.stringify(meta));
+  } catch (e) {
+    log('Could not write download metadata: ' + e.message);
+  }
+}
+
+function removePartialDownload(tempPath) {
+  for (const filePath of [tempPath, getDownloadMetaPath(tempPath)]) {
+    try {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    } catch (e) { /* ignore */ }
+  }
+}
+
+function retryableDownloadError(message) {
+  const error = new Error(message);
+  error.retryable = true;
+  return error;
+}
+
+function downloadCancelledError() {
+  const error = new Error('Download cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+// If-Range only accepts strong ETags; fall back to Last-Modified otherwise
+function getResumeValidator(meta) {
+  if (meta?.etag && !meta.etag.startsWith('W/')) return meta.etag;
+  return meta?.lastModified || null;
+}
+
+function getResumeState(tempPath, sourceUrl) {
+  const meta = readDownloadMeta(tempPath);
+  if (!meta || meta.url !== sourceUrl || !fs.existsSync(tempPath) || !getResumeValidator(meta)) {
+    return { offset: 0, meta: null };
+  }
+  return { offset: fs.statSync(tempPath).size, meta };
+}
+
+function fetchToPartialFile(url, tempPath, sourceUrl, download, redirectCount = 0) {
   return new Promise((resolve, reject) => {
+    if (download.cancelRequested) {
+      reject(downloadCancelledError());
+      return;
+    }
+
     if (redirectCount > 5) {
       reject(new Error('Too many redirects while downloading model'));
       return;
@@ -1522,113 +5811,428 @@ function downloadFile(url, destinationPath, expectedSize, redirectCount = 0) {
       return;
     }
 
+    const resume = getResumeState(tempPath, sourceUrl);
+    const headers = {};
+    if (resume.offset > 0) {
+      headers.Range = `bytes=${resume.offset}-`;
+      headers['If-Range'] = getResumeValidator(resume.meta);
+    }
+
     const client = parsedUrl.protocol === 'http:' ? http : https;
-    const request = client.get(parsedUrl, (response) => {
+    const request = client.get(parsedUrl, { headers }, (response) => {
       const statusCode = response.statusCode || 0;
 
       if (statusCode >= 300 && statusCode < 400 && response.headers.location) {
         response.resume();
         const nextUrl = new URL(response.headers.location, parsedUrl).toString();
-        downloadFile(nextUrl, destinationPath, expectedSize, redirectCount + 1).then(resolve, reject);
+        fetchToPartialFile(nextUrl, tempPath, sourceUrl, download, redirectCount + 1).then(resolve, reject);
+        return;
+      }
+
+      if (statusCode === 416) {
+        response.resume();
+        if (resume.meta?.totalSize && resume.offset === resume.meta.totalSize) {
+          resolve({ totalSize: resume.meta.totalSize, resumedFrom: resume.offset });
+          return;
+        }
+        removePartialDownload(tempPath);
+        reject(retryableDownloadError('Partial model download is no longer valid; restarting'));
         return;
       }
 
       if (statusCode < 200 || statusCode >= 300) {
         response.resume();
-        reject(new Error(`Model download failed: HTTP ${statusCode}`));
+        const error = new Error(`Model download failed: HTTP ${statusCode}`);
+        error.retryable = statusCode >= 500;
+        reject(error);
         return;
       }
 
-      const tempPath = `${destinationPath}.part`;
-      const fileStream = fs.createWriteStream(tempPath);
-      response.pipe(fileStream);
+      // 206 continues the partial file; a plain 200 means the server ignored the
+      // range or the file changed behind If-Range, so start from scratch
+      let startOffset = 0;
+      let totalSize = Number(response.headers['content-length']) || null;
+      if (statusCode === 206) {
+        const match = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers['content-range'] || '');
+        if (!match || Number(match[1]) !== resume.offset) {
+          response.resume();
+          removePartialDownload(tempPath);
+          reject(retryableDownloadError('Unexpected Content-Range while resuming model download'));
+          return;
+        }
+        startOffset = resume.offset;
+        totalSize = match[2] === '*' ? null : Number(match[2]);
+      }
 
-      fileStream.on('finish', () => {
-        fileStream.close(() => {
-          try {
-            const stats = fs.statSync(tempPath);
-            if (expectedSize && Math.abs(stats.size - expectedSize) > 1000) {
-              fs.unlinkSync(tempPath);
-              reject(new Error(`Model download size mismatch: expected ${expectedSize}, got ${stats.size}`));
+      writeDownloadMeta(tempPath, {
+        url: sourceUrl,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null,
+        totalSize
+      });
+      if (startOffset > 0) {
+        log(`Resuming model download at ${startOffset}/${totalSize || '?'} bytes`);
+      }
+
+      syncDownloadHash(download, tempPath, startOffset).then(() => {
+        const fileStream = fs.createWriteStream(tempPath, { flags: startOffset > 0 ? 'a' : 'w' });
+        let interrupted = false;
+        const onInterrupted = () => {
+          if (interrupted) return;
+          interrupted = true;
+          response.unpipe(fileStream);
+          fileStream.end(() => reject(download.cancelRequested
+            ? downloadCancelledError()
+            : retryableDownloadError('Model download connection interrupted')));
+        };
+
+        let receivedBytes = startOffset;
+        download.onData?.(receivedBytes, totalSize, true);
+        response.on('data', (chunk) => {
+          receivedBytes += chunk.length;
+          if (download.hashes) {
+            for (const hash of download.hashes.values()) hash.update(chunk);
+            download.hashedBytes += chunk.length;
+          }
+          download.onData?.(receivedBytes, totalSize, false);
+        });
+        response.on('aborted', onInterrupted);
+        response.on('error', onInterrupted);
+        if (response.destroyed) {
+          onInterrupted();
+          return;
+        }
+        response.pipe(fileStream);
+
+        fileStream.on('finish', () => {
+          if (interrupted) return;
+          fileStream.close(() => {
+            let receivedSize;
+            try {
+              receivedSize = fs.statSync(tempPath).size;
+            } catch (error) {
+              // download_cancel (or a restart) removed the .part file under us
+              reject(download.cancelRequested
+                ? downloadCancelledError()
+                : retryableDownloadError(`Partial model download disappeared: ${error.message}`));
               return;
             }
-
-            if (fs.existsSync(destinationPath)) {
-              fs.unlinkSync(destinationPath);
+            if (totalSize && receivedSize < totalSize) {
+              reject(retryableDownloadError(`Model download ended early at ${receivedSize}/${totalSize} bytes`));
+              return;
             }
-            fs.renameSync(tempPath, destinationPath);
-            resolve(stats.size);
-          } catch (error) {
-            reject(error);
-          }
+            resolve({ totalSize: totalSize || receivedSize, resumedFrom: startOffset });
+          });
         });
-      });
 
-      fileStream.on('error', (error) => {
-        try { fs.unlinkSync(tempPath); } catch (cleanupError) { /* ignore */ }
+        fileStream.on('error', (error) => {
+          removePartialDownload(tempPath);
+          reject(error);
+        });
+      }, (error) => {
+        response.destroy();
         reject(error);
       });
     });
 
+    download.request = request;
+
     request.setTimeout(3600000, () => {
-      request.destroy(new Error('Model download timeout'));
+      request.destroy(retryableDownloadError('Model download timeout'));
     });
 
-    request.on('error', reject);
+    request.on('error', (error) => {
+      if (download.cancelRequested) {
+        reject(downloadCancelledError());
+        return;
+      }
+      error.retryable = error.retryable ?? true;
+      reject(error);
+    });
+  });
+}
+
+function hashFile(filePath, algorithm) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Bring download.hashes (one per expected checksum algorithm) up to date with
+ * the first `offset` bytes of the partial file. Within one host run the running
+ * hashes are reused across resumes; after a restart (or a restart from zero)
+ * the existing prefix is re-read from disk.
+ */
+async function syncDownloadHash(download, tempPath, offset) {
+  if (!download.checksums?.length) return;
+  if (download.hashes && download.hashedBytes === offset) return;
+
+  download.hashes = new Map(download.checksums.map(({ algorithm }) => [algorithm, crypto.createHash(algorithm)]));
+  download.hashedBytes = 0;
+  if (offset === 0) return;
+
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(tempPath, { end: offset - 1 })
+      .on('data', (chunk) => {
+        for (const hash of download.hashes.values()) hash.update(chunk);
+        download.hashedBytes += chunk.length;
+      })
+      .on('end', resolve)
+      .on('error', reject);
   });
 }
 
+/**
+ * Report download progress at most every DOWNLOAD_PROGRESS_INTERVAL_MS.
+ * Speed is an exponential moving average in bytes/sec; eta is in seconds and
+ * null while the total size or speed is unknown.
+ */
+function createDownloadProgressReporter(onProgress) {
+  let lastReportAt = 0;
+  let lastReportBytes = 0;
+  let speed = null;
+
+  return (receivedBytes, totalBytes, restarted) => {
+    const now = Date.now();
+    if (restarted) {
+      lastReportAt = now;
+      lastReportBytes = receivedBytes;
+      return;
+    }
+    if (now - lastReportAt < DOWNLOAD_PROGRESS_INTERVAL_MS) return;
+
+    const sampleSpeed = (receivedBytes - lastReportBytes) / ((now - lastReportAt) / 1000);
+    speed = speed === null
+      ? sampleSpeed
+      : speed + DOWNLOAD_SPEED_SMOOTHING * (sampleSpeed - speed);
+    lastReportAt = now;
+    lastReportBytes = receivedBytes;
+
+    onProgress({
+      bytesReceived: receivedBytes,
+      totalBytes: totalBytes || null,
+      percent: totalBytes ? Math.min(100, Math.round((receivedBytes / totalBytes) * 1000) / 10) : null,
+      speed: Math.round(speed),
+      eta: totalBytes && speed > 0 ? Math.ceil((totalBytes - receivedBytes) / speed) : null
+    });
+  };
+}
+
+/**
+ * Download to `<destination>.part` and rename it over the destination only
+ * once its size, checksums and (with `validate`) contents check out, so a
+ * failed download never touches a file already at the destination.
+ */
+async function downloadFile(url, destinationPath, expectedSize, download = {}, onProgress = null, validate = null) {
+  const tempPath = `${destinationPath}.part`;
+  if (onProgress) {
+    download.onData = createDownloadProgressReporter(onProgress);
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await fetchToPartialFile(url, tempPath, url, download);
+      break;
+    } catch (error) {
+      if (download.cancelRequested || error.cancelled) {
+        removePartialDownload(tempPath);
+        throw downloadCancelledError();
+      }
+      if (!error.retryable || attempt >= DOWNLOAD_MAX_ATTEMPTS) throw error;
+      log(`Model download attempt ${attempt} failed (${error.message}); retrying`);
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, DOWNLOAD_RETRY_DELAY_MS * attempt);
+        download.abortRetryWait = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+  }
+
+  const stats = fs.statSync(tempPath);
+  if (expectedSize && Math.abs(stats.size - expectedSize) > 1000) {
+    removePartialDownload(tempPath);
+    throw new Error(`Model download size mismatch: expected ${expectedSize}, got ${stats.size}`);
+  }
+
+  if (download.checksums?.length) {
+    await syncDownloadHash(download, tempPath, stats.size);
+    const hashes = download.hashes;
+    download.hashes = null;
+    for (const { algorithm, digest } of download.checksums) {
+      const actual = hashes.get(algorithm).digest('hex');
+      if (actual !== digest) {
+        removePartialDownload(tempPath);
+        throw new Error(`Model checksum mismatch: expected ${algorithm} ${digest}, got ${actual}`);
+      }
+      log(`Model checksum verified: ${algorithm} ${actual}`);
+    }
+  }
+
+  if (validate) {
+    try {
+      validate(tempPath);
+    } catch (error) {
+      removePartialDownload(tempPath);
+      throw error;
+    }
+  }
+
+  // rename replaces the destination in one step
+  fs.renameSync(tempPath, destinationPath);
+  removePartialDownload(tempPath);
+  return stats.size;
+}
+
 /**
  * Download a model from URL
  */
 function handleDownloadModel(msg, push, done) {
-  const { modelId, url, size } = msg;
-  const expectedSize = Number.isFinite(Number(size)) ? Number(size) : null;
+  const { modelId, size, sha256 } = msg;
 
-  const filename = getDownloadFilename(modelId, url);
+  const filename = getDownloadFilename(modelId, msg.url);
   const modelPath = path.join(MODELS_DIR, filename);
-  
+
+  // url, size and checksums default to the catalog entry for this file, which
+  // only applies when the file comes from the catalog's own url
+  const catalogEntry = findCatalogFile(filename);
+  const catalogFile = catalogEntry?.model.id === modelId && (!msg.url || msg.url === catalogEntry.file.url)
+    ? catalogEntry.file
+    : null;
+  const url = msg.url || catalogFile?.url || null;
+  const expectedSize = Number(size) > 0 ? Number(size) : catalogFile?.size || null;
+  const requestedSha256 = typeof sha256 === 'string' && sha256.trim() ? sha256.trim().toLowerCase() : null;
+  const expectedSha256 = requestedSha256 || catalogFile?.sha256 || null;
+  const checksums = [
+    expectedSha256 && { algorithm: 'sha256', digest: expectedSha256 },
+    catalogFile?.sha1 && { algorithm: 'sha1', digest: catalogFile.sha1 }
+  ].filter(Boolean);
+
+  const rejectDownload = (error) => {
+    push({ type: 'download_error', success: false, modelId, error });
+    log(`Download rejected: ${error}`);
+    done();
+  };
+
+  if (!url) {
+    rejectDownload(`No download URL for model ${modelId}`);
+    return;
+  }
+  if (requestedSha256 && !SHA256_HEX_PATTERN.test(requestedSha256)) {
+    rejectDownload('sha256 must be 64 hex characters');
+    return;
+  }
+  if (requestedSha256 && catalogFile?.sha256 && requestedSha256 !== catalogFile.sha256) {
+    rejectDownload(`sha256 does not match the catalog entry for ${filename}`);
+    return;
+  }
+
   log(`Download requested: ${modelId} from ${url}`);
 
+  if (activeDownloads.has(modelId)) {
+    push({
+      type: 'download_error',
+      success: false,
+      modelId,
+      inProgress: true,
+      error: `Download already in progress for ${modelId}`
+    });
+    done();
+    return;
+  }
+
+  const sizeMatches = (fileSize) => !expectedSize || Math.abs(fileSize - expectedSize) < 1000;
   const existingModel = findInstalledModelById(modelId);
-  if (existingModel && (!expectedSize || Math.abs(existingModel.size - expectedSize) < 1000)) {
+  let installedPath = null;
+  if (existingModel && existingModel.valid !== false && sizeMatches(existingModel.size)) {
+    installedPath = existingModel.path;
+  } else if (fs.existsSync(modelPath) && sizeMatches(fs.statSync(modelPath).size) && getModelInspection(modelPath).valid) {
+    installedPath = modelPath;
+  }
+
+  // Without a checksum there is nothing to check an installed copy against
+  if (installedPath && checksums.length === 0) {
     push({
       type: 'download_complete',
       success: true,
       modelId,
-      path: existingModel.path,
-      size: existingModel.size,
+      path: installedPath,
+      size: fs.statSync(installedPath).size,
+      sha256: null,
+      verified: false,
       message: 'Model already installed'
     });
     done();
     return;
   }
-  
+
   // Ensure models directory exists
   if (!fs.existsSync(MODELS_DIR)) {
     fs.mkdirSync(MODELS_DIR, { recursive: true });
     log(`Created models directory: ${MODELS_DIR}`);
   }
-  
-  // Check if already exists
-  if (fs.existsSync(modelPath)) {
-    const stats = fs.statSync(modelPath);
-    if (!expectedSize || Math.abs(stats.size - expectedSize) < 1000) {
-      push({ 
-        type: 'download_complete',
-        success: true, 
-        modelId, 
-        path: modelPath,
-        message: 'Model already downloaded'
-      });
-      done();
-      return;
-    }
-  }
-  
+
+  const download = {
+    modelId,
+    url,
+    path: modelPath,
+    startedAt: Date.now(),
+    progress: null,
+    checksums,
+    cancelRequested: false,
+    request: null
+  };
+  activeDownloads.set(modelId, download);
+
+  // Downloads run in the background so download_cancel and other messages are
+  // handled while bytes are still arriving
+  done();
+
   (async () => {
     try {
-      const downloadedSize = await downloadFile(url, modelPath, expectedSize);
+      if (installedPath) {
+        let mismatch = null;
+        for (const { algorithm, digest } of checksums) {
+          const actual = await hashFile(installedPath, algorithm);
+          if (download.cancelRequested) throw downloadCancelledError();
+          if (actual !== digest) {
+            mismatch = `${algorithm} ${digest} (got ${actual})`;
+            break;
+          }
+        }
+        if (!mismatch) {
+          push({
+            type: 'download_complete',
+            success: true,
+            modelId,
+            path: installedPath,
+            size: fs.statSync(installedPath).size,
+            sha256: expectedSha256,
+            verified: true,
+            message: 'Model already installed'
+          });
+          log(`Installed model verified: ${installedPath}`);
+          return;
+        }
+        log(`Installed model ${installedPath} does not match ${mismatch}; downloading again`);
+      }
+
+      const onProgress = (progress) => {
+        download.progress = progress;
+        push({ type: 'download_progress', modelId, ...progress });
+      };
+      const downloadedSize = await downloadFile(url, modelPath, expectedSize, download, onProgress, (tempPath) => {
+        const inspection = inspectGgmlModel(tempPath);
+        if (!inspection.valid) {
+          throw new Error(`Downloaded file is not a usable whisper model: ${inspection.invalidReason}`);
+        }
+      });
 
       if (fs.existsSync(modelPath)) {
         const stats = fs.statSync(modelPath);
@@ -1638,18 +6242,23 @@ function handleDownloadModel(msg, push, done) {
           success: true,
           modelId,
           path: modelPath,
-          size: finalSize
+          size: finalSize,
+          sha256: expectedSha256,
+          verified: checksums.length > 0
         });
         log(`Download complete: ${modelPath}`);
       } else {
         throw new Error('Download completed but file not found');
       }
     } catch (e) {
-      // Clean up partial download
-      try {
-        if (fs.existsSync(modelPath)) fs.unlinkSync(modelPath);
-        if (fs.existsSync(`${modelPath}.part`)) fs.unlinkSync(`${modelPath}.part`);
-      } catch (cleanupErr) { /* ignore */ }
+      if (e.cancelled) {
+        push({ type: 'download_cancelled', success: false, modelId });
+        log(`Download cancelled: ${modelId}`);
+        return;
+      }
+
+      // <model>.part is kept after network errors so the next download_model
+      // can resume it; an installed copy is never touched
 
       push({ 
         type: 'download_error',
@@ -1659,19 +6268,131 @@ function handleDownloadModel(msg, push, done) {
       });
       log(`Download error: ${e.message}`);
     } finally {
-      done();
+      activeDownloads.delete(modelId);
     }
   })();
 }
 
+function cancelDownload(download) {
+  download.cancelRequested = true;
+  download.abortRetryWait?.();
+  download.request?.destroy();
+}
+
+/**
+ * Cancel an in-flight model download (or all of them when modelId is omitted).
+ * The download itself reports download_cancelled once its partial file is gone.
+ */
+function handleDownloadCancel(msg, push, done) {
+  const { modelId } = msg;
+  const cancelled = [];
+
+  for (const [downloadId, download] of activeDownloads) {
+    if (modelId && downloadId !== modelId) continue;
+    cancelDownload(download);
+    cancelled.push(downloadId);
+  }
+
+  push({
+    type: 'download_cancel_ack',
+    success: modelId ? cancelled.length > 0 : true,
+    modelId: modelId || null,
+    cancelled,
+    ...(modelId && cancelled.length === 0 ? { error: `No active download for ${modelId}` } : {})
+  });
+  done();
+}
+
+/**
+ * Install a newer model catalog. `catalog` must be the exact JSON text that was
+ * signed and `signature` its base64 Ed25519 signature. Versions that are not
+ * newer than the active catalog are refused so an old catalog can't be replayed.
+ */
+function handleUpdateModelCatalog(msg, push, done) {
+  try {
+    const catalogText = typeof msg.catalog === 'string' ? msg.catalog : null;
+    if (!catalogText) throw new Error('catalog must be the signed catalog JSON text');
+
+    verifyModelCatalogSignature(catalogText, msg.signature);
+    const catalog = validateModelCatalog(JSON.parse(catalogText));
+    const activeVersion = getModelCatalog().version;
+    if (catalog.version <= activeVersion) {
+      throw new Error(`Model catalog version ${catalog.version} is not newer than ${activeVersion}`);
+    }
+
+    fs.mkdirSync(WHOOPTIDO_DIR, { recursive: true });
+    fs.writeFileSync(MODEL_CATALOG_PATH, catalogText);
+    fs.writeFileSync(MODEL_CATALOG_SIGNATURE_PATH, msg.signature.trim());
+    modelCatalogCache = null;
+
+    log(`Model catalog updated to version ${catalog.version}`);
+    push({ type: 'update_model_catalog_ack', success: true, version: catalog.version });
+  } catch (e) {
+    log(`Model catalog update rejected: ${e.message}`);
+    push({ type: 'update_model_catalog_ack', success: false, error: e.message });
+  }
+  done();
+}
+
+/**
+ * Build onSegment/onProgress callbacks that push transcription_partial messages
+ * while whisper-cli is still running. Progress never moves backwards and stays
+ * below 100 until the final transcription is pushed.
+ */
+function createPartialStream(sessionId, audioFilePath, push) {
+  const audioDuration = getWavFileDurationSeconds(audioFilePath);
+  let progress = 0;
+  let index = 0;
+
+  const advance = (value) => {
+    if (Number.isFinite(value)) {
+      progress = Math.max(progress, Math.min(99, Math.round(value)));
+    }
+    const session = directSessions.get(sessionId);
+    if (session) {
+      session.progress = progress;
+      session.updatedAt = Date.now();
+    }
+  };
+
+  return {
+    onSegment: (segment) => {
+      if (directSessions.get(sessionId)?.cancelRequested) return;
+      if (audioDuration) advance((segment.end / audioDuration) * 100);
+      push({
+        id: sessionId,
+        type: 'transcription_partial',
+        index: index++,
+        segment,
+        text: segment.text,
+        progress
+      });
+    },
+    onProgress: advance
+  };
+}
+
 /**
  * Transcribe audio with Whisper
  */
 function handleTranscribe(msg, push, done) {
-  const { audioPath, audio, language, model, modelId, id, cleanupPath } = msg;
+  const { audioPath, audio, language, model, modelId, mode, id, cleanupPath, format, captionOptions, stream, priority, preempt, cache, postProcessing, resegment, diarize, dualTrack } = msg;
+  const postProcessingOptions = normalizePostProcessingOptions(postProcessing);
+  const prompt = normalizePrompt(msg.prompt);
+  const glossary = normalizeGlossary(msg.glossary);
+  const resegmentOptions = normalizeResegmentOptions(resegment);
   const sessionId = id || `direct_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
   const operationKey = `direct:${sessionId}`;
-  preemptOtherSessions(sessionId);
+
+  if (format && !normalizeCaptionFormat(format)) {
+    push({ id: sessionId, type: 'transcription_error', error: `Unsupported caption format: ${format}` });
+    done();
+    return;
+  }
+
+  if (preempt) {
+    preemptOtherSessions(sessionId);
+  }
   
   let audioFilePath = audioPath;
   let tempFile = null;
@@ -1697,44 +6418,171 @@ function handleTranscribe(msg, push, done) {
     return;
   }
   
-  const lang = language || 'auto';
-  const resolvedModelPath = resolveModelPath(model, modelId);
-  log(`Transcribing: ${audioFilePath} with model=${resolvedModelPath} language=${lang}`);
+  let resolvedMode;
+  let target;
+  let decodingOptions;
+  try {
+    resolvedMode = resolveTranscriptionMode(mode);
+    decodingOptions = normalizeDecodingOptions(msg.decoding);
+    target = resolveTranscriptionTarget({ engine: msg.engine, model, modelId, language, diarize, task: msg.task, dualTrack, decoding: decodingOptions });
+  } catch (e) {
+    if (tempFile && fs.existsSync(tempFile)) {
+      try { fs.unlinkSync(tempFile); } catch (cleanupErr) { /* ignore */ }
+    }
+    push({ id: sessionId, type: 'transcription_error', ...describeRequestError(e) });
+    done();
+    return;
+  }
+  const { engine, modelPath: resolvedModelPath, language: lang, diarization, task, warning: translationWarning } = target;
+  log(`Transcribing: ${audioFilePath} with engine=${engine.id} model=${resolvedModelPath || target.modelKey} language=${lang} mode=${resolvedMode} task=${task}${dualTrack ? '+original' : ''}${diarization ? ` diarize=${diarization}` : ''}`);
   directSessions.set(sessionId, {
     id: sessionId,
     operationKey,
-    status: 'running',
+    status: 'queued',
+    priority: resolveJobPriority(priority),
     cancelRequested: false,
     pauseRequested: false,
     startedAt: Date.now(),
     updatedAt: Date.now()
   });
 
+  const streamOptions = stream && engine.capabilities.streaming ? createPartialStream(sessionId, audioFilePath, push) : {};
+
+  // The result is pushed when the job finishes; release the message stream now
+  // so other sessions (and cancel/pause/status requests) are not blocked behind it.
+  done();
+
   (async () => {
+    let convertedFile;
     try {
-      const result = await transcribeFileWithWhisper({
-        audioFilePath,
-        language: lang,
-        modelId,
-        modelPath: resolvedModelPath,
-        cleanupPaths: [tempFile, cleanupPath],
-        operationKey,
-        isCancelled: () => !!directSessions.get(sessionId)?.cancelRequested
-      });
-
-      const session = directSessions.get(sessionId);
-      if (session?.cancelRequested) {
-        throw new Error('Transcription cancelled');
+      let audioIdentity = null;
+      if (cache !== false) {
+        try {
+          audioIdentity = await hashAudioFile(audioFilePath);
+        } catch (e) {
+          log(`Skipping transcript cache for ${audioFilePath}: ${e.message}`);
+        }
       }
 
-      const segmentCount = result.segments.length;
+      const isCancelled = () => !!directSessions.get(sessionId)?.cancelRequested;
+
+      // One whisper pass per task; each task's transcript is cached on its own,
+      // so a dual-track request can reuse an earlier plain transcription.
+      const runPass = async (passTask, passOptions = {}) => {
+        const keyParts = {
+          modelId: target.modelKey,
+          language: lang,
+          mode: resolvedMode,
+          decoding: getDecodingKey(decodingOptions),
+          diarization,
+          task: passTask,
+          vocabulary: getVocabularyKey(prompt, glossary)
+        };
+        const cacheKey = audioIdentity ? buildTranscriptCacheKey(audioIdentity.audioHash, keyParts) : null;
+        const cached = cacheKey ? getCachedTranscript(cacheKey) : null;
+        if (cached) {
+          log(`Transcript cache hit: id=${sessionId} task=${passTask} key=${cacheKey}`);
+          return {
+            segments: cached.segments,
+            text: cached.text,
+            duration: cached.duration,
+            detectedLanguage: cached.detectedLanguage || null,
+            cached: true
+          };
+        }
+
+        if (convertedFile === undefined) {
+          try {
+            convertedFile = await convertWavFileForWhisper(audioFilePath, { stereo: diarization === 'stereo' });
+          } catch (e) {
+            convertedFile = null;
+            throw new Error(`Unsupported audio: ${e.message}`);
+          }
+        }
+
+        const result = await scheduleWhisperJob({
+          sessionId,
+          priority,
+          isCancelled,
+          isPaused: () => !!directSessions.get(sessionId)?.pauseRequested
+        }, () => {
+          const queuedSession = directSessions.get(sessionId);
+          if (queuedSession) {
+            queuedSession.status = 'running';
+            queuedSession.updatedAt = Date.now();
+          }
+          return engine.transcribe({
+            audioFilePath: convertedFile || audioFilePath,
+            language: lang,
+            modelId,
+            modelPath: resolvedModelPath,
+            mode: resolvedMode,
+            decoding: decodingOptions,
+            diarization,
+            task: passTask,
+            prompt: buildWhisperPrompt(prompt, glossary),
+            operationKey,
+            isCancelled,
+            ...passOptions
+          });
+        });
+
+        const { segments: correctedSegments, corrections } = applyGlossary(result.segments, glossary);
+        if (corrections > 0) {
+          result.segments = correctedSegments;
+          result.text = buildTranscriptText(correctedSegments);
+          log(`Glossary corrections: id=${sessionId} task=${passTask} count=${corrections}`);
+        }
+
+        if (directSessions.get(sessionId)?.cancelRequested) {
+          throw new Error('Transcription cancelled');
+        }
+
+        if (cacheKey) {
+          storeCachedTranscript(cacheKey, {
+            fingerprint: audioIdentity.fingerprint,
+            keyParts,
+            segments: result.segments,
+            text: result.text,
+            duration: result.duration,
+            detectedLanguage: result.detectedLanguage
+          });
+        }
+        return result;
+      };
+
+      const result = await runPass(task, streamOptions);
+      const sourceLanguage = lang === 'auto' ? (result.detectedLanguage?.language || 'auto') : lang;
       const response = {
         id: sessionId,
         type: 'transcription',
+        engine: engine.id,
+        task,
         duration: result.duration,
         segments: result.segments,
-        text: result.text
+        text: result.text,
+        detectedLanguage: result.detectedLanguage || null
       };
+      if (result.cached) {
+        response.cached = true;
+      } else if (streamOptions.onSegment) {
+        response.streamed = true;
+      }
+      const warnings = [translationWarning, getPromptWarning(prompt, glossary)].filter(Boolean);
+      if (warnings.length > 0) {
+        response.warnings = warnings;
+      }
+      if (dualTrack) {
+        const original = await runPass('transcribe');
+        response.original = { language: sourceLanguage, segments: original.segments, text: original.text };
+      }
+      applyTranscriptOutputStages(response, {
+        postProcessing: postProcessingOptions,
+        resegment: resegmentOptions,
+        format,
+        captionOptions: { language: task === 'translate' ? 'en' : sourceLanguage, ...captionOptions }
+      });
+      const segmentCount = response.segments.length;
       log(`Pushing transcription response: id=${sessionId} segments=${segmentCount} textLen=${response.text?.length || 0}`);
       push(response);
       log(`Push completed for id=${sessionId}`);
@@ -1746,27 +6594,136 @@ function handleTranscribe(msg, push, done) {
         error: e.message
       });
     } finally {
+      // Temp audio outlives single whisper runs, since a dual-track request needs two
+      [tempFile, cleanupPath, convertedFile].forEach((filePath) => {
+        if (filePath && fs.existsSync(filePath)) {
+          try { fs.unlinkSync(filePath); } catch (cleanupErr) { /* ignore */ }
+        }
+      });
       directSessions.delete(sessionId);
       clearWhisperProcess(operationKey);
     }
+  })();
+}
+
+/**
+ * Detect the spoken language from a short sample (the first `sampleSeconds`,
+ * at most 30) without transcribing anything.
+ */
+function handleDetectLanguage(msg, push, done) {
+  const { audioPath, audio, model, modelId, priority } = msg;
+  const requestId = msg.id || `detect_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+  const operationKey = `detect:${requestId}`;
+  const requestedSeconds = Number(msg.sampleSeconds);
+  const sampleSeconds = Number.isFinite(requestedSeconds) && requestedSeconds > 0
+    ? Math.min(requestedSeconds, LANGUAGE_DETECTION_SAMPLE_SECONDS)
+    : LANGUAGE_DETECTION_SAMPLE_SECONDS;
+  let tempFile = null;
+  let audioFilePath = audioPath;
+  let engine;
+  let resolvedModelPath = null;
 
-    log(`Calling done() for id=${sessionId}`);
+  try {
+    engine = resolveEngine(msg.engine);
+    if (!engine.capabilities.languageDetection) {
+      throw new Error(`Engine "${engine.id}" cannot detect languages`);
+    }
+    if (engine.id === WHISPER_CLI_ENGINE_ID) {
+      resolvedModelPath = resolveModelPath(model, modelId);
+      const { architecture } = getModelInspection(resolvedModelPath);
+      const languages = readModelMetadata(resolvedModelPath)?.languages;
+      if (architecture?.endsWith('.en') || (Array.isArray(languages) && languages.length === 1)) {
+        throw new Error(`Model "${getModelIdForPath(resolvedModelPath)}" only knows one language; language detection needs a multilingual model`);
+      }
+    }
+    if (audio && !audioPath) {
+      tempFile = path.join(os.tmpdir(), `whooptido-audio-detect-${Date.now()}.wav`);
+      fs.writeFileSync(tempFile, Buffer.from(audio, 'base64'));
+      audioFilePath = tempFile;
+    }
+    if (!audioFilePath || !fs.existsSync(audioFilePath)) {
+      throw new Error(`Audio file not found: ${audioFilePath}`);
+    }
+  } catch (e) {
+    if (tempFile && fs.existsSync(tempFile)) {
+      try { fs.unlinkSync(tempFile); } catch (cleanupErr) { /* ignore */ }
+    }
+    push({ id: requestId, type: 'language_detection', error: e.message });
     done();
+    return;
+  }
+  done();
+
+  (async () => {
+    let samplePath = null;
+    try {
+      samplePath = await writeWhisperAudioSample(audioFilePath, sampleSeconds);
+      const detection = await scheduleWhisperJob({ sessionId: requestId, priority }, () =>
+        engine.detectLanguage({
+          audioFilePath: samplePath || audioFilePath,
+          modelPath: resolvedModelPath,
+          operationKey
+        })
+      );
+      log(`Detected language: id=${requestId} language=${detection.language} p=${detection.probability}`);
+      push({
+        id: requestId,
+        type: 'language_detection',
+        success: true,
+        language: detection.language,
+        probability: detection.probability,
+        sampleSeconds,
+        engine: engine.id,
+        modelId: resolvedModelPath ? getModelIdForPath(resolvedModelPath) : modelId || null
+      });
+    } catch (e) {
+      push({ id: requestId, type: 'language_detection', error: e.message });
+    } finally {
+      [tempFile, samplePath].forEach((filePath) => {
+        if (filePath && fs.existsSync(filePath)) {
+          try { fs.unlinkSync(filePath); } catch (cleanupErr) { /* ignore */ }
+        }
+      });
+      clearWhisperProcess(operationKey);
+    }
   })();
 }
 
 function handleTranscribeInit(msg, push, done) {
-  const { id, totalBytes, totalChunks, chunkBytes, language, modelId, mode } = msg;
+  const { id, totalBytes, totalChunks, chunkBytes, language, modelId, mode, overlapSeconds, vad, priority, preempt, cache, diarize, dualTrack, lockLanguage } = msg;
+  const prompt = normalizePrompt(msg.prompt);
+  const glossary = normalizeGlossary(msg.glossary);
   if (!id) {
     push({ id, type: 'transcribe_init_ack', error: 'Missing id' });
     done();
     return;
   }
-  preemptOtherSessions(id);
+  if (preempt) {
+    preemptOtherSessions(id);
+  }
   removeChunkSession(id);
   removeDirectSession(id);
 
+  // Resolve the engine and model now so a missing one fails before any audio is uploaded
+  let resolvedMode;
+  let target;
+  let decodingOptions;
+  try {
+    resolvedMode = resolveTranscriptionMode(mode);
+    decodingOptions = normalizeDecodingOptions(msg.decoding);
+    target = resolveTranscriptionTarget({ engine: msg.engine, model: null, modelId, language, diarize, task: msg.task, dualTrack, decoding: decodingOptions });
+  } catch (e) {
+    push({ id, type: 'transcribe_init_ack', ...describeRequestError(e) });
+    done();
+    return;
+  }
+  const { engine, modelPath: resolvedModelPath, language: resolvedLanguage, diarization, task } = target;
+
   const tempFile = path.join(os.tmpdir(), `whooptido-audio-chunked-${id}.wav`);
+  const requestedOverlap = Number(overlapSeconds);
+  const resolvedOverlap = Number.isFinite(requestedOverlap) && requestedOverlap >= 0
+    ? Math.min(requestedOverlap, MAX_CHUNK_OVERLAP_SECONDS)
+    : DEFAULT_CHUNK_OVERLAP_SECONDS;
 
   try {
     fs.writeFileSync(tempFile, Buffer.alloc(0));
@@ -1779,28 +6736,224 @@ function handleTranscribeInit(msg, push, done) {
       receivedBytes: 0,
       bytesConsumed: 0,
       byteRate: null,
-      wavHeader: null,
+      blockAlign: null,
+      wavFormat: null,
+      wavHeaderSize: null,
       headerParsed: false,
+      overlapSeconds: resolvedOverlap,
+      overlapTail: null,
+      vad: normalizeVadOptions(vad),
+      vadState: createVadState(),
+      pendingPcm: null,
+      // Cached entries hold one track, so dual-track uploads always run whisper
+      cacheEnabled: cache !== false && !dualTrack,
+      cacheKeyParts: {
+        modelId: target.modelKey,
+        language: resolvedLanguage,
+        mode: resolvedMode,
+        decoding: getDecodingKey(decodingOptions),
+        diarization,
+        task,
+        vocabulary: getVocabularyKey(prompt, glossary)
+      },
+      audioHasher: null,
+      fingerprintPrefix: null,
+      fingerprint: null,
+      cachedEntry: null,
       segments: [],
-      textParts: [],
-      language,
+      originalSegments: [],
+      language: resolvedLanguage,
+      lockLanguage: resolvedLanguage === 'auto' && lockLanguage !== false,
+      languageLocked: false,
+      detectedLanguage: null,
+      engine,
       modelId,
-      mode: mode === 'fast' ? 'fast' : 'accurate',
+      modelPath: resolvedModelPath,
+      mode: resolvedMode,
+      decoding: decodingOptions,
+      diarization,
+      task,
+      dualTrack: !!dualTrack,
+      prompt,
+      glossary,
       startedAt: Date.now(),
       updatedAt: Date.now(),
       status: 'running',
+      priority: resolveJobPriority(priority),
       cancelRequested: false,
       pauseRequested: false,
-      activeOperationKey: null
+      activeOperationKey: null,
+      work: Promise.resolve()
+    });
+    log(`Chunked init: id=${id} engine=${engine.id} totalBytes=${totalBytes} totalChunks=${totalChunks} chunkBytes=${chunkBytes} mode=${resolvedMode} task=${task}${dualTrack ? '+original' : ''} overlap=${resolvedOverlap}s${diarization ? ` diarize=${diarization}` : ''}`);
+    const warnings = [target.warning, getPromptWarning(prompt, glossary)].filter(Boolean);
+    push({ id, type: 'transcribe_init_ack', success: true, engine: engine.id, ...(warnings.length > 0 ? { warnings } : {}) });
+  } catch (e) {
+    logError(`Chunked init error: ${e.message}`);
+    push({ id, type: 'transcribe_init_ack', error: e.message });
+  }
+
+  done();
+}
+
+/**
+ * Run whisper over one dispatch of chunked PCM (plus the retained overlap tail)
+ * and merge the result into the session. With vad.skipSilence, spans without
+ * voice activity are accounted for but never reach whisper.
+ */
+async function transcribeChunkAudio(session, pcm, label, { cutAtPause = false } = {}) {
+  const { id } = session;
+
+  if (session.cachedEntry) {
+    const from = session.bytesConsumed / session.byteRate;
+    const to = (session.bytesConsumed + pcm.length) / session.byteRate;
+    const added = sliceSegmentsByTime(session.cachedEntry.segments, from, to);
+    session.segments.push(...added);
+    session.bytesConsumed += pcm.length;
+    session.overlapTail = null;
+    return { added, cutTime: null, matchedWords: 0, skipped: 'cached' };
+  }
+
+  if (pcm.length === 0 || isSkippableSilence(pcm, session.wavFormat, session.vad, session.vadState)) {
+    session.bytesConsumed += pcm.length;
+    session.overlapTail = null;
+    return { added: [], cutTime: null, matchedWords: 0, skipped: pcm.length > 0 ? 'silence' : 'empty' };
+  }
+
+  const overlapTail = session.overlapTail || Buffer.alloc(0);
+  const chunkAudio = overlapTail.length > 0 ? Buffer.concat([overlapTail, pcm]) : pcm;
+  const boundarySeconds = session.byteRate ? (session.bytesConsumed / session.byteRate) : 0;
+  const offsetSeconds = session.byteRate ? ((session.bytesConsumed - overlapTail.length) / session.byteRate) : 0;
+  const chunkPath = path.join(os.tmpdir(), `whooptido-audio-chunk-${id}-${label}.wav`);
+  const stereo = session.diarization === 'stereo';
+  const whisperAudio = convertPcmToWhisperFormat(chunkAudio, session.wavFormat, { stereo });
+  const header = buildWavHeader(getWhisperTargetFormat(stereo), whisperAudio.length);
+  fs.writeFileSync(chunkPath, Buffer.concat([header, whisperAudio]));
+  const operationKey = `chunk:${id}:${label}`;
+  const isCancelled = () => !!chunkSessions.get(id)?.cancelRequested;
+  session.status = 'queued';
+
+  const runPass = (passTask, trackSegments) => scheduleWhisperJob({
+    sessionId: id,
+    priority: session.priority,
+    isCancelled,
+    isPaused: () => !!chunkSessions.get(id)?.pauseRequested
+  }, () => {
+    if (session.status === 'queued') session.status = 'running';
+    session.activeOperationKey = operationKey;
+    return session.engine.transcribe({
+      audioFilePath: chunkPath,
+      language: session.language,
+      modelId: session.modelId,
+      modelPath: session.modelPath,
+      mode: session.mode,
+      decoding: session.decoding,
+      diarization: session.diarization,
+      task: passTask,
+      // Earlier text of the same track, up to where this chunk's audio starts
+      prompt: buildWhisperPrompt(session.prompt, session.glossary, getPromptTail(trackSegments, offsetSeconds)),
+      operationKey,
+      isCancelled
     });
-    log(`Chunked init: id=${id} totalBytes=${totalBytes} totalChunks=${totalChunks} chunkBytes=${chunkBytes} mode=${mode === 'fast' ? 'fast' : 'accurate'}`);
-    push({ id, type: 'transcribe_init_ack', success: true });
-  } catch (e) {
-    logError(`Chunked init error: ${e.message}`);
-    push({ id, type: 'transcribe_init_ack', error: e.message });
+  }).finally(() => {
+    session.activeOperationKey = null;
+    if (session.status === 'queued') session.status = 'running';
+  });
+
+  const mergeTrack = (previousSegments, chunkResult) => {
+    const shiftedSegments = shiftSegments(applyGlossary(chunkResult.segments, session.glossary).segments, offsetSeconds);
+    const stitched = stitchOverlappingSegments(previousSegments, shiftedSegments, offsetSeconds, boundarySeconds);
+    if (session.diarization === 'tdrz') {
+      const kept = stitched.segments.slice(0, stitched.segments.length - stitched.added.length);
+      stitched.added = continueSpeakerTurns(kept, stitched.added);
+      stitched.segments = [...kept, ...stitched.added];
+    }
+    return stitched;
+  };
+
+  // Both tracks of a dual-track session are merged only once both passes succeed
+  let stitched;
+  let originalStitched = null;
+  let detectedLanguage = null;
+  try {
+    const chunkResult = await runPass(session.task, session.segments);
+    detectedLanguage = chunkResult.detectedLanguage;
+    recordChunkLanguage(session, detectedLanguage);
+    stitched = mergeTrack(session.segments, chunkResult);
+    if (session.dualTrack) {
+      originalStitched = mergeTrack(session.originalSegments, await runPass('transcribe', session.originalSegments));
+    }
+  } finally {
+    if (fs.existsSync(chunkPath)) {
+      try { fs.unlinkSync(chunkPath); } catch (cleanupErr) { /* ignore */ }
+    }
   }
+  session.segments = stitched.segments;
+  if (originalStitched) session.originalSegments = originalStitched.segments;
+  session.bytesConsumed += pcm.length;
 
-  done();
+  // A cut inside a pause splits no words, so the next dispatch needs no overlap
+  const overlapBytes = session.byteRate && !cutAtPause
+    ? Math.floor((session.overlapSeconds * session.byteRate) / session.blockAlign) * session.blockAlign
+    : 0;
+  session.overlapTail = overlapBytes > 0 ? Buffer.from(chunkAudio.slice(Math.max(0, chunkAudio.length - overlapBytes))) : null;
+
+  return {
+    added: stitched.added,
+    cutTime: stitched.cutTime,
+    matchedWords: stitched.matchedWords,
+    skipped: null,
+    detectedLanguage,
+    original: originalStitched ? { added: originalStitched.added, cutTime: originalStitched.cutTime } : null
+  };
+}
+
+// Keep the most confident detection, and lock onto it once it is confident enough
+function recordChunkLanguage(session, detection) {
+  if (!detection) return;
+  if (!session.detectedLanguage || (detection.probability ?? 0) > (session.detectedLanguage.probability ?? 0)) {
+    session.detectedLanguage = detection;
+  }
+  if (session.lockLanguage && !session.languageLocked && (detection.probability ?? 0) >= LANGUAGE_LOCK_PROBABILITY) {
+    session.language = detection.language;
+    session.languageLocked = true;
+    log(`Session language locked: id=${session.id} language=${detection.language} p=${detection.probability}`);
+  }
+}
+
+// Hash the session's PCM as it arrives; once the fingerprint prefix is complete,
+// a cached transcript of the same upload lets the remaining chunks skip whisper.
+function updateChunkSessionCache(session, pcm) {
+  if (!session.audioHasher) {
+    session.audioHasher = createAudioHasher(session.wavFormat);
+  }
+  session.audioHasher.update(pcm);
+
+  if (session.fingerprint || !session.totalBytes) return;
+  const pcmLength = session.totalBytes - session.wavHeaderSize;
+  const needed = Math.min(AUDIO_FINGERPRINT_PREFIX_BYTES, pcmLength);
+  const prefix = session.fingerprintPrefix ? Buffer.concat([session.fingerprintPrefix, pcm]) : Buffer.from(pcm);
+  session.fingerprintPrefix = prefix.subarray(0, needed);
+  if (session.fingerprintPrefix.length < needed) return;
+
+  session.fingerprint = computeAudioFingerprint(session.wavFormat, pcmLength, session.fingerprintPrefix);
+  session.fingerprintPrefix = null;
+  session.cachedEntry = findCachedTranscriptByFingerprint(session.fingerprint, session.cacheKeyParts);
+  if (session.cachedEntry) {
+    log(`Transcript cache fingerprint hit: id=${session.id} key=${session.cachedEntry.key}`);
+  }
+}
+
+// Re-run the whole upload, e.g. when a fingerprint hit turns out not to match the full audio
+async function retranscribeChunkSession(session) {
+  const wav = fs.readFileSync(session.tempFile);
+  const { headerSize } = parseWavHeader(wav);
+  session.segments = [];
+  session.originalSegments = [];
+  session.bytesConsumed = 0;
+  session.overlapTail = null;
+  session.pendingPcm = null;
+  await transcribeChunkAudio(session, wav.subarray(headerSize), 'full');
 }
 
 function handleTranscribeChunk(msg, push, done) {
@@ -1812,16 +6965,16 @@ function handleTranscribeChunk(msg, push, done) {
     return;
   }
 
-  (async () => {
+  // Chunks of one session are processed strictly in order, but the message
+  // stream is released immediately so other sessions can be served meanwhile.
+  session.work = session.work.then(async () => {
     try {
       if (session.cancelRequested) {
         push({ id, type: 'transcribe_chunk_ack', error: 'Session cancelled' });
-        done();
         return;
       }
       if (session.pauseRequested) {
         push({ id, type: 'transcribe_chunk_ack', error: 'Session paused' });
-        done();
         return;
       }
 
@@ -1831,44 +6984,43 @@ function handleTranscribeChunk(msg, push, done) {
       session.receivedBytes += buffer.length;
 
       if (!session.headerParsed) {
-        const headerInfo = parseWavHeader(buffer);
-        if (!headerInfo) {
-          throw new Error('Failed to parse WAV header from first chunk');
+        let headerInfo;
+        try {
+          headerInfo = parseWavHeader(buffer);
+        } catch (e) {
+          throw new Error(`Failed to parse WAV header from first chunk: ${e.message}`);
         }
-        session.wavHeader = headerInfo.header;
-        session.byteRate = headerInfo.byteRate;
+        const { headerSize, dataSize, ...wavFormat } = headerInfo;
+        if (session.diarization === 'stereo') assertStereoInput(wavFormat);
+        session.wavFormat = wavFormat;
+        session.wavHeaderSize = headerSize;
+        session.byteRate = wavFormat.byteRate;
+        session.blockAlign = wavFormat.blockAlign;
         session.headerParsed = true;
       }
 
       let pcmBuffer = buffer;
-      if (index === 0 && session.wavHeader) {
-        pcmBuffer = buffer.slice(session.wavHeader.length);
+      if (index === 0 && session.wavHeaderSize) {
+        pcmBuffer = buffer.slice(session.wavHeaderSize);
       }
 
-      const offsetSeconds = session.byteRate ? (session.bytesConsumed / session.byteRate) : 0;
-      const chunkPath = path.join(os.tmpdir(), `whooptido-audio-chunk-${id}-${index}.wav`);
-      const header = buildWavHeader(session.wavHeader, pcmBuffer.length);
-      fs.writeFileSync(chunkPath, Buffer.concat([header, pcmBuffer]));
-      const operationKey = `chunk:${id}:${index}`;
-      session.activeOperationKey = operationKey;
+      if (session.cacheEnabled) {
+        updateChunkSessionCache(session, pcmBuffer);
+      }
 
-      const chunkResult = await transcribeFileWithWhisper({
-        audioFilePath: chunkPath,
-        language: session.language,
-        modelId: session.modelId,
-        mode: session.mode,
-        cleanupPaths: [chunkPath],
-        operationKey,
-        isCancelled: () => !!chunkSessions.get(id)?.cancelRequested
+      // Only dispatch up to the last pause; the rest waits for the next chunk
+      const pending = session.pendingPcm ? Buffer.concat([session.pendingPcm, pcmBuffer]) : pcmBuffer;
+      const expectedChunks = totalChunks ?? session.totalChunks;
+      const isFinalChunk = Number.isInteger(expectedChunks) && index + 1 >= expectedChunks;
+      const pauseOffset = session.vad && !isFinalChunk
+        ? findLastPauseOffset(pending, session.wavFormat, session.vad, session.vadState)
+        : null;
+      const dispatchBytes = pauseOffset ?? pending.length;
+      session.pendingPcm = dispatchBytes < pending.length ? Buffer.from(pending.slice(dispatchBytes)) : null;
+
+      const chunkResult = await transcribeChunkAudio(session, pending.slice(0, dispatchBytes), index, {
+        cutAtPause: pauseOffset !== null
       });
-      session.activeOperationKey = null;
-
-      const shiftedSegments = shiftSegments(chunkResult.segments, offsetSeconds);
-      session.segments.push(...shiftedSegments);
-      if (chunkResult.text) {
-        session.textParts.push(chunkResult.text);
-      }
-      session.bytesConsumed += pcmBuffer.length;
 
       if (index === 0 || (index + 1) === totalChunks || (index + 1) % 10 === 0) {
         log(`Chunked progress: id=${id} chunk=${index + 1}/${totalChunks} received=${session.receivedBytes}`);
@@ -1880,22 +7032,37 @@ function handleTranscribeChunk(msg, push, done) {
         success: true,
         receivedBytes: session.receivedBytes,
         byteLength,
-        processedSegments: shiftedSegments.length,
-        segments: shiftedSegments,
-        text: chunkResult.text
+        processedSegments: chunkResult.added.length,
+        segments: chunkResult.added,
+        text: chunkResult.added.map((segment) => segment.text).join('').trim(),
+        // Segments acked earlier that start at or after cutTime were replaced
+        cutTime: chunkResult.cutTime,
+        matchedWords: chunkResult.matchedWords,
+        skipped: chunkResult.skipped,
+        carriedBytes: session.pendingPcm?.length || 0,
+        // Detection for this chunk (null once locked or when skipped), and the language now in use
+        detectedLanguage: chunkResult.detectedLanguage || null,
+        language: session.language,
+        languageLocked: session.languageLocked,
+        ...(session.dualTrack ? {
+          original: {
+            segments: chunkResult.original?.added || [],
+            text: (chunkResult.original?.added || []).map((segment) => segment.text).join('').trim(),
+            cutTime: chunkResult.original?.cutTime ?? null
+          }
+        } : {})
       });
     } catch (e) {
       session.activeOperationKey = null;
       logError(`Chunked processing error: ${e.message}`);
       push({ id, type: 'transcribe_chunk_ack', error: e.message });
     }
-
-    done();
-  })();
+  });
+  done();
 }
 
 function handleTranscribeComplete(msg, push, done) {
-  const { id } = msg;
+  const { id, format, captionOptions, postProcessing, resegment } = msg;
   const session = chunkSessions.get(id);
   if (!session) {
     push({ id, type: 'transcription_error', error: 'Session not found' });
@@ -1903,35 +7070,112 @@ function handleTranscribeComplete(msg, push, done) {
     return;
   }
 
-  const durationMs = Date.now() - session.startedAt;
-  log(`Chunked complete: id=${id} received=${session.receivedBytes}/${session.totalBytes} in ${durationMs}ms`);
-
-  if (session.cancelRequested) {
-    if (session.tempFile && fs.existsSync(session.tempFile)) {
-      try { fs.unlinkSync(session.tempFile); } catch (e) { /* ignore */ }
-    }
-    chunkSessions.delete(id);
-    push({ id, type: 'transcription_error', error: 'Session cancelled' });
+  if (format && !normalizeCaptionFormat(format)) {
+    push({ id, type: 'transcription_error', error: `Unsupported caption format: ${format}` });
     done();
     return;
   }
 
-  const segments = session.segments.sort((a, b) => (a.start || 0) - (b.start || 0));
-  const text = session.textParts.join(' ').replace(/\s+/g, ' ').trim();
-  const durationSeconds = session.byteRate ? (session.bytesConsumed / session.byteRate) : undefined;
+  // Runs after any chunks still being processed for this session
+  session.work = session.work.then(async () => {
+    const durationMs = Date.now() - session.startedAt;
+    log(`Chunked complete: id=${id} received=${session.receivedBytes}/${session.totalBytes} in ${durationMs}ms`);
 
-  if (session.tempFile && fs.existsSync(session.tempFile)) {
-    try { fs.unlinkSync(session.tempFile); } catch (e) { /* ignore */ }
-  }
+    if (session.cancelRequested) {
+      if (session.tempFile && fs.existsSync(session.tempFile)) {
+        try { fs.unlinkSync(session.tempFile); } catch (e) { /* ignore */ }
+      }
+      chunkSessions.delete(id);
+      push({ id, type: 'transcription_error', error: 'Session cancelled' });
+      return;
+    }
 
-  chunkSessions.delete(id);
+    let cacheKey = null;
+    try {
+      // Audio still carried over from the last chunk (e.g. after a VAD cut) is flushed here
+      if (session.pendingPcm?.length) {
+        const pending = session.pendingPcm;
+        session.pendingPcm = null;
+        await transcribeChunkAudio(session, pending, 'final');
+      }
 
-  push({
-    id,
-    type: 'transcription',
-    duration: durationSeconds ? Math.round(durationSeconds * 1000) : durationMs,
-    segments,
-    text
+      if (session.cacheEnabled && session.audioHasher) {
+        cacheKey = buildTranscriptCacheKey(session.audioHasher.digest('hex'), session.cacheKeyParts);
+        if (session.cachedEntry && session.cachedEntry.key !== cacheKey) {
+          log(`Transcript cache fingerprint collision for id=${id}; transcribing the full upload`);
+          session.cachedEntry = null;
+          await retranscribeChunkSession(session);
+        }
+        if (session.cachedEntry) {
+          transcriptCacheStats.hits++;
+          session.segments = [...session.cachedEntry.segments];
+        }
+      }
+    } catch (e) {
+      session.activeOperationKey = null;
+      logError(`Chunked flush error: ${e.message}`);
+      if (session.tempFile && fs.existsSync(session.tempFile)) {
+        try { fs.unlinkSync(session.tempFile); } catch (cleanupErr) { /* ignore */ }
+      }
+      chunkSessions.delete(id);
+      push({ id, type: 'transcription_error', error: e.message });
+      return;
+    }
+
+    const segments = session.segments.sort((a, b) => (a.start || 0) - (b.start || 0));
+    const text = segments.map((segment) => segment.text).join(' ').replace(/\s+/g, ' ').trim();
+    const durationSeconds = session.byteRate ? (session.bytesConsumed / session.byteRate) : undefined;
+
+    if (cacheKey && !session.cachedEntry) {
+      transcriptCacheStats.misses++;
+      storeCachedTranscript(cacheKey, {
+        fingerprint: session.fingerprint,
+        keyParts: session.cacheKeyParts,
+        segments,
+        text,
+        duration: durationSeconds ? Math.round(durationSeconds * 1000) : undefined,
+        detectedLanguage: session.detectedLanguage
+      });
+    }
+
+    if (session.tempFile && fs.existsSync(session.tempFile)) {
+      try { fs.unlinkSync(session.tempFile); } catch (e) { /* ignore */ }
+    }
+
+    chunkSessions.delete(id);
+
+    const detectedLanguage = session.detectedLanguage || session.cachedEntry?.detectedLanguage || null;
+    const sourceLanguage = session.language === 'auto' ? (detectedLanguage?.language || 'auto') : session.language;
+    const response = {
+      id,
+      type: 'transcription',
+      engine: session.engine.id,
+      task: session.task,
+      duration: durationSeconds ? Math.round(durationSeconds * 1000) : durationMs,
+      segments,
+      text,
+      detectedLanguage,
+      languageLocked: session.languageLocked
+    };
+    if (session.cachedEntry) {
+      response.cached = true;
+    }
+    if (session.dualTrack) {
+      const originalSegments = session.originalSegments.sort((a, b) => (a.start || 0) - (b.start || 0));
+      response.original = {
+        language: sourceLanguage,
+        segments: originalSegments,
+        text: originalSegments.map((segment) => segment.text).join(' ').replace(/\s+/g, ' ').trim()
+      };
+    }
+    applyTranscriptOutputStages(response, {
+      postProcessing: normalizePostProcessingOptions(postProcessing),
+      resegment: normalizeResegmentOptions(resegment),
+      format,
+      captionOptions: { language: session.task === 'translate' ? 'en' : sourceLanguage, ...captionOptions }
+    });
+
+    push(response);
   });
   done();
 }
@@ -1964,9 +7208,16 @@ function handleTranscribeCancel(msg, push, done) {
     return true;
   };
 
+  const cancelLiveSession = (sessionId) => {
+    if (!removeLiveSession(sessionId)) return false;
+    cancelled.push(sessionId);
+    return true;
+  };
+
   if (id) {
     cancelChunkSession(id);
     cancelDirectSession(id);
+    cancelLiveSession(id);
   } else {
     for (const sessionId of chunkSessions.keys()) {
       cancelChunkSession(sessionId);
@@ -1974,8 +7225,13 @@ function handleTranscribeCancel(msg, push, done) {
     for (const sessionId of directSessions.keys()) {
       cancelDirectSession(sessionId);
     }
+    for (const sessionId of Array.from(liveSessions.keys())) {
+      cancelLiveSession(sessionId);
+    }
   }
 
+  drainWhisperQueue();
+
   push({
     id: id || null,
     type: 'transcribe_cancel_ack',
@@ -1988,6 +7244,14 @@ function handleTranscribeCancel(msg, push, done) {
 function handleTranscribePause(msg, push, done) {
   const { id } = msg;
   const paused = [];
+  // Sessions whose running decode can't be stopped mid-file; they pause once it finishes
+  const pauseUnsupported = [];
+
+  const pauseOperation = (sessionId, operationKey) => {
+    if (operationKey && activeWhisperProcesses.has(operationKey) && !pauseWhisperOperation(operationKey)) {
+      pauseUnsupported.push(sessionId);
+    }
+  };
 
   const pauseChunkSession = (sessionId) => {
     const session = chunkSessions.get(sessionId);
@@ -1995,9 +7259,7 @@ function handleTranscribePause(msg, push, done) {
     session.pauseRequested = true;
     session.status = 'paused';
     session.updatedAt = Date.now();
-    if (session.activeOperationKey) {
-      pauseWhisperOperation(session.activeOperationKey);
-    }
+    pauseOperation(sessionId, session.activeOperationKey);
     paused.push(sessionId);
     return true;
   };
@@ -2008,7 +7270,7 @@ function handleTranscribePause(msg, push, done) {
     session.pauseRequested = true;
     session.status = 'paused';
     session.updatedAt = Date.now();
-    pauseWhisperOperation(session.operationKey);
+    pauseOperation(sessionId, session.operationKey);
     paused.push(sessionId);
     return true;
   };
@@ -2025,11 +7287,15 @@ function handleTranscribePause(msg, push, done) {
     }
   }
 
+  // Stopped processes gave their slots back
+  drainWhisperQueue();
+
   push({
     id: id || null,
     type: 'transcribe_pause_ack',
     success: true,
-    paused
+    paused,
+    ...(pauseUnsupported.length > 0 ? { pauseUnsupported } : {})
   });
   done();
 }
@@ -2074,6 +7340,8 @@ function handleTranscribeResume(msg, push, done) {
     }
   }
 
+  drainWhisperQueue();
+
   push({
     id: id || null,
     type: 'transcribe_resume_ack',
@@ -2083,6 +7351,11 @@ function handleTranscribeResume(msg, push, done) {
   done();
 }
 
+function getLiveSessionStatus(session) {
+  if (session.stopping) return 'stopping';
+  return session.activeDecode ? 'decoding' : 'listening';
+}
+
 function handleTranscribeStatus(msg, push, done) {
   const { id } = msg;
   if (id) {
@@ -2094,6 +7367,8 @@ function handleTranscribeStatus(msg, push, done) {
         success: true,
         status: chunk.status,
         mode: 'chunk',
+        priority: chunk.priority,
+        queuePosition: getQueuePosition(id),
         startedAt: chunk.startedAt,
         updatedAt: chunk.updatedAt
       });
@@ -2109,6 +7384,9 @@ function handleTranscribeStatus(msg, push, done) {
         success: true,
         status: direct.status,
         mode: 'direct',
+        progress: direct.progress,
+        priority: direct.priority,
+        queuePosition: getQueuePosition(id),
         startedAt: direct.startedAt,
         updatedAt: direct.updatedAt
       });
@@ -2116,6 +7394,22 @@ function handleTranscribeStatus(msg, push, done) {
       return;
     }
 
+    const live = liveSessions.get(id);
+    if (live) {
+      push({
+        id,
+        type: 'transcribe_status_ack',
+        success: true,
+        status: getLiveSessionStatus(live),
+        mode: 'live',
+        priority: live.priority,
+        queuePosition: getQueuePosition(id),
+        startedAt: live.startedAt
+      });
+      done();
+      return;
+    }
+
     push({
       id,
       type: 'transcribe_status_ack',
@@ -2133,16 +7427,33 @@ function handleTranscribeStatus(msg, push, done) {
     direct: Array.from(directSessions.values()).map((session) => ({
       id: session.id,
       status: session.status,
+      priority: session.priority,
+      queuePosition: getQueuePosition(session.id),
       startedAt: session.startedAt,
       updatedAt: session.updatedAt
     })),
     chunk: Array.from(chunkSessions.values()).map((session) => ({
       id: session.id,
       status: session.status,
+      priority: session.priority,
+      queuePosition: getQueuePosition(session.id),
       startedAt: session.startedAt,
       updatedAt: session.updatedAt
     })),
-    activeProcesses: activeWhisperProcesses.size
+    live: Array.from(liveSessions.values()).map((session) => ({
+      id: session.id,
+      status: getLiveSessionStatus(session),
+      priority: session.priority,
+      queuePosition: getQueuePosition(session.id),
+      startedAt: session.startedAt
+    })),
+    activeProcesses: activeWhisperProcesses.size,
+    queue: {
+      queued: whisperJobQueue.length,
+      running: getBusyWhisperSlots(),
+      paused: suspendedWhisperOperations.size,
+      maxConcurrent: getMaxConcurrentJobs()
+    }
   });
   done();
 }
@@ -2188,6 +7499,8 @@ function handleTranscribeCleanup(msg, push, done) {
     }
   }
 
+  drainWhisperQueue();
+
   push({
     id: id || null,
     type: 'transcribe_cleanup_ack',
@@ -2196,3 +7509,527 @@ function handleTranscribeCleanup(msg, push, done) {
   });
   done();
 }
+
+// Live captions for continuous audio such as tab playback or calls. The
+// extension streams raw PCM frames with live_audio; the host keeps the audio
+// not yet committed as a sliding window and re-decodes it every `stepSeconds`.
+// Words that two consecutive decodes agree on, or that are older than
+// `maxLatencySeconds`, are committed and pushed once as live_final; the rest
+// of the latest decode is pushed as live_partial and may still change.
+// A session runs one decode at a time, and frames arriving meanwhile are merged
+// into the next one. When decoding falls behind, the window is cut from the
+// front at `windowSeconds`: words already heard there are committed, and audio
+// that was never decoded is dropped and reported with live_backpressure.
+// Decodes go to a whisper-server whatever `transcriptionBackend` says, since
+// whisper-cli would reload the model on every step; without one they fall
+// back to whisper-cli and live_start_ack warns about it.
+const DEFAULT_LIVE_OPTIONS = Object.freeze({
+  windowSeconds: 15,
+  stepSeconds: 1,
+  maxLatencySeconds: 5
+});
+const LIVE_OPTION_LIMITS = Object.freeze({
+  windowSeconds: [4, 30],
+  stepSeconds: [0.25, 5],
+  maxLatencySeconds: [1, 30]
+});
+const LIVE_SAMPLE_FORMATS = Object.freeze({
+  s16: { formatTag: WAVE_FORMAT_PCM, bitsPerSample: 16 },
+  f32: { formatTag: WAVE_FORMAT_IEEE_FLOAT, bitsPerSample: 32 }
+});
+const MIN_LIVE_SAMPLE_RATE = 8000;
+const MAX_LIVE_SAMPLE_RATE = 192000;
+const MAX_LIVE_FRAME_SECONDS = 5;
+const LIVE_BACKPRESSURE_REPORT_MS = 1000;
+
+function roundLiveSeconds(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function normalizeLiveOptions(msg) {
+  const options = {};
+  for (const [key, [min, max]] of Object.entries(LIVE_OPTION_LIMITS)) {
+    const value = msg[key] == null ? DEFAULT_LIVE_OPTIONS[key] : Number(msg[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${key} must be between ${min} and ${max}`);
+    }
+    options[key] = value;
+  }
+  if (options.maxLatencySeconds > options.windowSeconds - options.stepSeconds) {
+    throw new Error('maxLatencySeconds must be at most windowSeconds - stepSeconds');
+  }
+  return options;
+}
+
+// Same shape as parseWavFormatChunk, for headerless PCM frames
+function resolveLiveAudioFormat({ sampleRate = WHISPER_WAV_FORMAT.sampleRate, channels = 1, sampleFormat = 's16' }) {
+  const encoding = LIVE_SAMPLE_FORMATS[sampleFormat];
+  if (!encoding) {
+    throw new Error(`sampleFormat must be one of: ${Object.keys(LIVE_SAMPLE_FORMATS).join(', ')}`);
+  }
+  if (!Number.isInteger(sampleRate) || sampleRate < MIN_LIVE_SAMPLE_RATE || sampleRate > MAX_LIVE_SAMPLE_RATE) {
+    throw new Error(`sampleRate must be an integer between ${MIN_LIVE_SAMPLE_RATE} and ${MAX_LIVE_SAMPLE_RATE}`);
+  }
+  if (!Number.isInteger(channels) || channels < 1 || channels > MAX_WAV_CHANNELS) {
+    throw new Error(`channels must be an integer between 1 and ${MAX_WAV_CHANNELS}`);
+  }
+  const blockAlign = channels * (encoding.bitsPerSample / 8);
+  return {
+    formatTag: encoding.formatTag,
+    sampleFormat: encoding.formatTag === WAVE_FORMAT_IEEE_FLOAT ? 'float' : 'pcm',
+    channels,
+    sampleRate,
+    bitsPerSample: encoding.bitsPerSample,
+    blockAlign,
+    byteRate: sampleRate * blockAlign
+  };
+}
+
+function getLiveBufferEnd(session) {
+  return session.bufferStart + session.bufferedBytes / session.wavFormat.byteRate;
+}
+
+// Drop buffered audio before `untilSeconds`, on a sample frame boundary
+function trimLiveBuffer(session, untilSeconds) {
+  const { byteRate, blockAlign } = session.wavFormat;
+  let bytes = Math.floor(((untilSeconds - session.bufferStart) * byteRate) / blockAlign) * blockAlign;
+  bytes = Math.min(Math.max(bytes, 0), session.bufferedBytes);
+  session.bufferStart += bytes / byteRate;
+  session.bufferedBytes -= bytes;
+  while (bytes > 0) {
+    const frame = session.frames[0];
+    if (frame.length <= bytes) {
+      session.frames.shift();
+      bytes -= frame.length;
+    } else {
+      session.frames[0] = frame.subarray(bytes);
+      bytes = 0;
+    }
+  }
+}
+
+function commitLiveWords(session, words) {
+  if (words.length === 0) return;
+  const segment = buildSegmentFromWords(words);
+  session.finalSegments.push(segment);
+  session.finalizedUntil = segment.end;
+  session.committedUntil = Math.max(session.committedUntil, segment.end);
+  session.push({
+    id: session.id,
+    type: 'live_final',
+    index: session.finalSegments.length - 1,
+    segment,
+    text: segment.text.trim(),
+    // How far the audio had advanced past these words when they were committed
+    latency: roundLiveSeconds(Math.max(0, getLiveBufferEnd(session) - segment.end))
+  });
+}
+
+/**
+ * Merge one decode of the window into the session: commit the stable prefix
+ * (or every word, when stopping) and publish the rest as the new partial.
+ * Words in audio that was cut from the window while this decode ran can't
+ * be decoded again, so they are committed too.
+ */
+function applyLiveHypothesis(session, words, windowStart, windowEnd, { final = false } = {}) {
+  const fresh = words.filter((word) => word.end > session.finalizedUntil);
+  let count = fresh.length;
+  if (!final) {
+    const previous = session.pendingWords;
+    count = 0;
+    while (count < fresh.length && count < previous.length &&
+      normalizeStitchToken(fresh[count].word) === normalizeStitchToken(previous[count].word)) {
+      count++;
+    }
+    const forcedCut = Math.max(windowEnd - session.options.maxLatencySeconds, session.committedUntil);
+    while (count < fresh.length && fresh[count].end <= forcedCut) count++;
+  }
+
+  commitLiveWords(session, fresh.slice(0, count));
+  session.pendingWords = fresh.slice(count);
+  if (fresh.length === 0) {
+    // Nothing heard: the window only needs to reach back maxLatencySeconds
+    session.committedUntil = Math.max(session.committedUntil, windowEnd - session.options.maxLatencySeconds);
+  }
+  trimLiveBuffer(session, session.committedUntil);
+
+  if (final) return;
+  const pending = session.pendingWords;
+  session.push({
+    id: session.id,
+    type: 'live_partial',
+    revision: session.revision++,
+    segments: pending.length > 0 ? [buildSegmentFromWords(pending)] : [],
+    text: pending.map((word) => word.word).join(' '),
+    windowStart: roundLiveSeconds(windowStart),
+    windowEnd: roundLiveSeconds(windowEnd),
+    detectedLanguage: session.detectedLanguage,
+    droppedSeconds: roundLiveSeconds(session.droppedSeconds)
+  });
+}
+
+async function runLiveDecode(session, { final = false } = {}) {
+  const { id, wavFormat } = session;
+  const windowStart = session.bufferStart;
+  const pcm = Buffer.concat(session.frames);
+  const windowEnd = windowStart + pcm.length / wavFormat.byteRate;
+  // Audio handed to a decode is not counted as dropped if the window moves on meanwhile
+  session.decodedUntil = windowEnd;
+  if (pcm.length === 0 || isSkippableSilence(pcm, wavFormat, session.vad, session.vadState)) {
+    applyLiveHypothesis(session, [], windowStart, windowEnd, { final });
+    return;
+  }
+
+  const label = session.revision;
+  const decodePath = path.join(os.tmpdir(), `whooptido-audio-live-${id}-${label}.wav`);
+  const whisperAudio = convertPcmToWhisperFormat(pcm, wavFormat);
+  fs.writeFileSync(decodePath, Buffer.concat([buildWavHeader(WHISPER_WAV_FORMAT, whisperAudio.length), whisperAudio]));
+  const operationKey = `live:${id}:${label}`;
+  session.activeOperationKey = operationKey;
+  try {
+    const result = await scheduleWhisperJob({
+      sessionId: id,
+      priority: session.priority,
+      isCancelled: () => session.removed
+    }, () => session.engine.transcribe({
+      audioFilePath: decodePath,
+      language: session.language,
+      modelId: session.modelId,
+      modelPath: session.modelPath,
+      mode: session.mode,
+      decoding: session.decoding,
+      task: session.task,
+      prompt: buildWhisperPrompt(session.prompt, session.glossary, getPromptTail(session.finalSegments, windowStart)),
+      backend: 'server',
+      operationKey,
+      isCancelled: () => session.removed
+    }));
+    if (session.removed) return;
+    recordChunkLanguage(session, result.detectedLanguage);
+    const corrected = applyGlossary(result.segments, session.glossary).segments;
+    const words = getSegmentsWords(shiftSegments(corrected, windowStart))
+      .map((word) => ({ ...word, start: roundLiveSeconds(word.start), end: roundLiveSeconds(word.end) }));
+    applyLiveHypothesis(session, words, windowStart, windowEnd, { final });
+  } finally {
+    session.activeOperationKey = null;
+    if (fs.existsSync(decodePath)) {
+      try { fs.unlinkSync(decodePath); } catch (cleanupErr) { /* ignore */ }
+    }
+  }
+}
+
+function scheduleLiveDecode(session) {
+  if (session.activeDecode || session.stopping || session.removed) return;
+  const newAudioSeconds = getLiveBufferEnd(session) - Math.max(session.decodedUntil, session.bufferStart);
+  if (newAudioSeconds < session.options.stepSeconds / 2) return;
+
+  session.activeDecode = runLiveDecode(session)
+    .catch((error) => {
+      if (session.removed) return;
+      logError(`Live decode failed: id=${session.id} ${error.message}`);
+      session.push({ id: session.id, type: 'live_error', error: error.message });
+    })
+    .finally(() => {
+      session.activeDecode = null;
+    });
+}
+
+// Keep the window within windowSeconds when decoding can't keep up. Drops
+// are reported at most once per LIVE_BACKPRESSURE_REPORT_MS.
+function enforceLiveWindow(session) {
+  const bufferEnd = getLiveBufferEnd(session);
+  const cutTime = bufferEnd - session.options.windowSeconds;
+  if (cutTime <= session.bufferStart) return;
+
+  const heard = session.pendingWords.filter((word) => word.end <= cutTime);
+  commitLiveWords(session, heard);
+  session.pendingWords = session.pendingWords.slice(heard.length);
+  const dropped = Math.max(0, cutTime - Math.max(session.bufferStart, session.decodedUntil));
+  session.committedUntil = Math.max(session.committedUntil, cutTime);
+  trimLiveBuffer(session, session.committedUntil);
+  session.droppedSeconds += dropped;
+  session.unreportedDropSeconds += dropped;
+  const now = Date.now();
+  if (session.unreportedDropSeconds > 0 && now - session.lastBackpressureAt >= LIVE_BACKPRESSURE_REPORT_MS) {
+    session.push({
+      id: session.id,
+      type: 'live_backpressure',
+      droppedSeconds: roundLiveSeconds(session.unreportedDropSeconds),
+      totalDroppedSeconds: roundLiveSeconds(session.droppedSeconds),
+      bufferedSeconds: roundLiveSeconds(session.bufferedBytes / session.wavFormat.byteRate)
+    });
+    session.unreportedDropSeconds = 0;
+    session.lastBackpressureAt = now;
+  }
+}
+
+function removeLiveSession(sessionId) {
+  const session = liveSessions.get(sessionId);
+  if (!session) return false;
+  session.removed = true;
+  clearInterval(session.timer);
+  if (session.activeOperationKey) {
+    cancelWhisperOperation(session.activeOperationKey);
+  }
+  liveSessions.delete(sessionId);
+  drainWhisperQueue();
+  return true;
+}
+
+// Ack warning when live decodes can't get a whisper-server, or null
+function getLiveBackendWarning(engine) {
+  if (engine.id !== WHISPER_CLI_ENGINE_ID) return null;
+  try {
+    const serverPath = getWhisperServerPath(resolveUsableWhisperCli().path);
+    if (!isPathLike(serverPath) || fs.existsSync(serverPath)) return null;
+  } catch (error) {
+    return null;
+  }
+  return 'whisper-server not found: every live step runs whisper-cli and reloads the model';
+}
+
+function handleLiveStart(msg, push, done) {
+  const { id, modelId, language, mode, priority, lockLanguage } = msg;
+  if (!id) {
+    push({ id, type: 'live_start_ack', error: 'Missing id' });
+    done();
+    return;
+  }
+  removeLiveSession(id);
+
+  let target;
+  let options;
+  let wavFormat;
+  let resolvedMode;
+  let decodingOptions;
+  try {
+    options = normalizeLiveOptions(msg);
+    resolvedMode = resolveTranscriptionMode(mode);
+    wavFormat = resolveLiveAudioFormat(msg);
+    decodingOptions = normalizeDecodingOptions(msg.decoding);
+    target = resolveTranscriptionTarget({ engine: msg.engine, model: null, modelId, language, diarize: null, task: msg.task, dualTrack: false, decoding: decodingOptions });
+  } catch (e) {
+    push({ id, type: 'live_start_ack', ...describeRequestError(e) });
+    done();
+    return;
+  }
+
+  const session = {
+    id,
+    push,
+    options,
+    wavFormat,
+    frames: [],
+    bufferedBytes: 0,
+    bufferStart: 0,
+    receivedBytes: 0,
+    committedUntil: 0,
+    finalizedUntil: 0,
+    decodedUntil: 0,
+    droppedSeconds: 0,
+    unreportedDropSeconds: 0,
+    lastBackpressureAt: 0,
+    pendingWords: [],
+    finalSegments: [],
+    revision: 0,
+    vad: normalizeVadOptions(msg.vad),
+    vadState: createVadState(),
+    engine: target.engine,
+    modelId,
+    modelPath: target.modelPath,
+    mode: resolvedMode,
+    decoding: decodingOptions,
+    task: target.task,
+    language: target.language,
+    lockLanguage: target.language === 'auto' && lockLanguage !== false,
+    languageLocked: false,
+    detectedLanguage: null,
+    prompt: normalizePrompt(msg.prompt),
+    glossary: normalizeGlossary(msg.glossary),
+    priority: priority === undefined ? JOB_PRIORITIES.foreground : resolveJobPriority(priority),
+    startedAt: Date.now(),
+    activeDecode: null,
+    activeOperationKey: null,
+    stopping: false,
+    removed: false,
+    timer: null
+  };
+  session.timer = setInterval(() => scheduleLiveDecode(session), options.stepSeconds * 1000);
+  liveSessions.set(id, session);
+  const warnings = [target.warning, getPromptWarning(session.prompt, session.glossary), getLiveBackendWarning(target.engine)].filter(Boolean);
+  log(`Live start: id=${id} engine=${target.engine.id} task=${target.task} window=${options.windowSeconds}s step=${options.stepSeconds}s maxLatency=${options.maxLatencySeconds}s format=${describeAudioFormat(wavFormat)}`);
+  push({
+    id,
+    type: 'live_start_ack',
+    success: true,
+    engine: target.engine.id,
+    ...options,
+    ...(warnings.length > 0 ? { warnings } : {})
+  });
+  done();
+}
+
+// Frames are not acknowledged, so streaming never waits on the host
+function handleLiveAudio(msg, push, done) {
+  const session = liveSessions.get(msg.id);
+  let error = null;
+  if (!session) {
+    error = `Unknown live session: ${msg.id}`;
+  } else if (session.stopping) {
+    error = 'Live session is stopping';
+  } else {
+    const frame = typeof msg.audio === 'string' ? Buffer.from(msg.audio, 'base64') : null;
+    const { blockAlign, byteRate } = session.wavFormat;
+    if (!frame || frame.length === 0) {
+      error = 'Missing audio';
+    } else if (frame.length % blockAlign !== 0) {
+      error = `Audio frame must be a whole number of ${blockAlign}-byte sample frames`;
+    } else if (frame.length > MAX_LIVE_FRAME_SECONDS * byteRate) {
+      error = `Audio frames are limited to ${MAX_LIVE_FRAME_SECONDS} s`;
+    } else {
+      session.frames.push(frame);
+      session.bufferedBytes += frame.length;
+      session.receivedBytes += frame.length;
+      enforceLiveWindow(session);
+    }
+  }
+  if (error) {
+    push({ id: msg.id, type: 'live_audio_ack', error });
+  }
+  done();
+}
+
+function handleLiveStop(msg, push, done) {
+  const { id, format, captionOptions } = msg;
+  const session = liveSessions.get(id);
+  if (!session || session.stopping) {
+    push({ id, type: 'live_stop_ack', error: session ? 'Live session is already stopping' : `Unknown live session: ${id}` });
+    done();
+    return;
+  }
+  if (format && !normalizeCaptionFormat(format)) {
+    push({ id, type: 'live_stop_ack', error: `Unsupported caption format: ${format}` });
+    done();
+    return;
+  }
+  session.stopping = true;
+  clearInterval(session.timer);
+  done();
+
+  (async () => {
+    let finalError = null;
+    try {
+      await session.activeDecode;
+      await runLiveDecode(session, { final: true });
+    } catch (e) {
+      finalError = e.message;
+      logError(`Live final decode failed: id=${id} ${e.message}`);
+      commitLiveWords(session, session.pendingWords);
+    }
+    if (session.removed) return;
+    liveSessions.delete(id);
+
+    const sourceLanguage = session.language === 'auto' ? (session.detectedLanguage?.language || 'auto') : session.language;
+    const response = {
+      id,
+      type: 'live_stop_ack',
+      success: true,
+      engine: session.engine.id,
+      task: session.task,
+      duration: Math.round((session.receivedBytes / session.wavFormat.byteRate) * 1000),
+      segments: session.finalSegments,
+      text: buildTranscriptText(session.finalSegments),
+      detectedLanguage: session.detectedLanguage,
+      droppedSeconds: roundLiveSeconds(session.droppedSeconds),
+      ...(finalError ? { warnings: [`Final decode failed: ${finalError}`] } : {})
+    };
+    applyTranscriptOutputStages(response, {
+      format,
+      captionOptions: { language: session.task === 'translate' ? 'en' : sourceLanguage, ...captionOptions }
+    });
+    log(`Live stop: id=${id} segments=${response.segments.length} dropped=${response.droppedSeconds}s`);
+    push(response);
+  })();
+}
+
+/**
+ * Serialize caller-supplied segments into a caption file
+ */
+function handleExportCaptions(msg, push, done) {
+  const { id, segments, format, captionOptions } = msg;
+
+  if (!Array.isArray(segments)) {
+    push({ id: id || null, type: 'export_captions_ack', success: false, error: 'Missing segments' });
+    done();
+    return;
+  }
+
+  try {
+    const captions = exportCaptions(segments, format || 'srt', captionOptions);
+    push({
+      id: id || null,
+      type: 'export_captions_ack',
+      success: true,
+      ...captions
+    });
+  } catch (e) {
+    log('Export captions error: ' + e.message);
+    push({ id: id || null, type: 'export_captions_ack', success: false, error: e.message });
+  }
+  done();
+}
+
+function handleCacheStats(msg, push, done) {
+  push({ type: 'cache_stats', success: true, ...getTranscriptCacheSummary() });
+  done();
+}
+
+function handleCacheClear(msg, push, done) {
+  try {
+    const removed = clearTranscriptCache();
+    log(`Cleared transcript cache: ${removed} entries`);
+    push({ type: 'cache_clear_ack', success: true, removed });
+  } catch (e) {
+    log('Cache clear error: ' + e.message);
+    push({ type: 'cache_clear_ack', success: false, error: e.message });
+  }
+  done();
+}
+
+if (require.main === module) {
+  startNativeHost();
+}
+
+// Exported for the tests under test/
+module.exports = {
+  shiftSegments,
+  getSegmentsWords,
+  sliceSegmentsByTime,
+  stitchOverlappingSegments,
+  normalizeVadOptions,
+  createVadState,
+  hasVoiceActivity,
+  isSkippableSilence,
+  findLastPauseOffset,
+  parseWavHeader,
+  buildWavHeader,
+  createResampler,
+  convertPcmToWhisperFormat,
+  normalizeWhisperSegments,
+  assignSpeakerTurns,
+  continueSpeakerTurns,
+  buildTranscriptText,
+  normalizePostProcessingOptions,
+  postProcessSegments,
+  normalizeResegmentOptions,
+  resegmentTranscript,
+  normalizeGlossary,
+  buildWhisperPrompt,
+  applyGlossary,
+  exportCaptions,
+  validateModelCatalog,
+  verifyModelCatalogSignature,
+  downloadFile,
+  fetchToPartialFile,
+  getDownloadMetaPath
+};
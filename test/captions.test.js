@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { exportCaptions } = require('../native-host.js');
+
+// One timed word per entry: [text, start, end]
+function segment(words) {
+  return {
+    start: words[0][1],
+    end: words[words.length - 1][2],
+    text: words.map(([word]) => word).join(' '),
+    words: words.map(([word, start, end]) => ({ word, start, end }))
+  };
+}
+
+function srtCues(content) {
+  return content.trim().split('\n\n').map((block) => {
+    const [index, timing, ...lines] = block.split('\n');
+    return { index, timing, lines };
+  });
+}
+
+test('writes numbered SRT cues', () => {
+  const { format, cueCount, content } = exportCaptions([segment([['Hello', 0, 0.5], ['world.', 0.5, 1.2]])], 'srt');
+
+  assert.strictEqual(format, 'srt');
+  assert.strictEqual(cueCount, 1);
+  assert.strictEqual(content, '1\n00:00:00,000 --> 00:00:01,200\nHello world.\n');
+  assert.strictEqual(exportCaptions([], 'srt').content, '');
+});
+
+test('splits cues on line length, duration and pauses', () => {
+  const words = Array.from({ length: 12 }, (_, i) => [`word${i}`, i * 0.4, i * 0.4 + 0.3]);
+  const byLength = srtCues(exportCaptions([segment(words)], 'srt', { maxLineLength: 12, maxLines: 2 }).content);
+  assert.ok(byLength.length > 1);
+  assert.ok(byLength.every((cue) => cue.lines.length <= 2 && cue.lines.every((line) => line.length <= 12)));
+
+  const byDuration = exportCaptions([segment(words)], 'srt', { maxCueDuration: 2 });
+  assert.strictEqual(byDuration.cueCount, 3);
+
+  const paused = [['before', 0, 0.5], ['the', 0.5, 0.8], ['pause', 3, 3.5]];
+  const byPause = srtCues(exportCaptions([segment(paused)], 'srt').content);
+  assert.deepStrictEqual(byPause.map((cue) => cue.lines.join(' ')), ['before the', 'pause']);
+});
+
+test('cues never overlap the next one', () => {
+  const overlapping = [segment([['one', 0, 1.5]]), segment([['two', 1, 2]])];
+  const cues = srtCues(exportCaptions(overlapping, 'srt', { maxWordGap: 0.1, maxCueDuration: 1.2 }).content);
+
+  assert.deepStrictEqual(cues.map((cue) => cue.timing), [
+    '00:00:00,000 --> 00:00:01,000',
+    '00:00:01,000 --> 00:00:02,000'
+  ]);
+});
+
+test('rounds timestamps to the millisecond across the hour boundary', () => {
+  const segments = [segment([['late', 3599.9996, 3600.0004]])];
+
+  assert.match(exportCaptions(segments, 'srt').content, /^1\n01:00:00,000 --> 01:00:00,000\n/);
+  assert.match(exportCaptions(segments, 'vtt', { karaoke: false }).content, /\n01:00:00\.000 --> 01:00:00\.000\n/);
+  assert.match(exportCaptions(segments, 'ttml').content, /<p begin="01:00:00\.000" end="01:00:00\.000">/);
+
+  const rounded = [segment([['edge', 3599.4994, 3659.9995]])];
+  assert.match(exportCaptions(rounded, 'srt', { maxCueDuration: 100 }).content, /00:59:59,499 --> 01:01:00,000/);
+  assert.match(exportCaptions([segment([['ass', 3600, 3601.5]])], 'ass').content, /Dialogue: 0,1:00:00\.00,1:00:01\.50,/);
+});
+
+test('escapes markup and arrows in cue text', () => {
+  const segments = [segment([['a', 0, 0.2], ['<b>', 0.2, 0.4], ['&', 0.4, 0.6], ['-->', 0.6, 0.8], ['z', 0.8, 1]])];
+
+  const srt = srtCues(exportCaptions(segments, 'srt').content);
+  assert.deepStrictEqual(srt[0].lines, ['a <b> & -> z']);
+
+  const vtt = exportCaptions(segments, 'vtt', { karaoke: false }).content;
+  assert.match(vtt, /\na &lt;b&gt; &amp; --&gt; z\n/);
+  assert.strictEqual(vtt.split('-->').length, 2);
+
+  const karaoke = exportCaptions(segments, 'vtt').content;
+  assert.match(karaoke, /<c>&lt;b&gt;<\/c>/);
+  assert.match(karaoke, /<c>&amp;<\/c>/);
+  assert.match(karaoke, /<c>--&gt;<\/c>/);
+
+  const ttml = exportCaptions(segments, 'ttml', { language: 'en' }).content;
+  assert.match(ttml, /<tt xmlns="http:\/\/www\.w3\.org\/ns\/ttml" xml:lang="en">/);
+  assert.match(ttml, />a &lt;b&gt; &amp; --&gt; z<\/p>/);
+});
+
+test('writes VTT karaoke timestamps only inside the cue', () => {
+  const { content } = exportCaptions([segment([['one', 0, 0.5], ['two', 0.5, 1], ['three', 1, 1.5]])], 'vtt');
+
+  assert.strictEqual(content, 'WEBVTT\n\n00:00:00.000 --> 00:00:01.500\n<c>one</c> <00:00:00.500><c>two</c> <00:00:01.000><c>three</c>\n');
+});
+
+test('rejects unknown formats and accepts aliases', () => {
+  assert.throws(() => exportCaptions([], 'sbv'), /Unsupported caption format: sbv/);
+  assert.strictEqual(exportCaptions([], 'WebVTT').format, 'vtt');
+  assert.strictEqual(exportCaptions([], 'dfxp').format, 'ttml');
+});
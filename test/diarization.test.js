@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  assignSpeakerTurns,
+  continueSpeakerTurns,
+  buildTranscriptText,
+  exportCaptions
+} = require('../native-host.js');
+
+function segment(start, end, text, speakerTurnNext = false) {
+  const words = text.trim().split(' ');
+  const step = (end - start) / words.length;
+  return {
+    start,
+    end,
+    text: ` ${text}`,
+    words: words.map((word, i) => ({ word, start: start + i * step, end: start + (i + 1) * step, confidence: 0.9 })),
+    ...(speakerTurnNext ? { speakerTurnNext: true } : {})
+  };
+}
+
+const TDRZ_SEGMENTS = [
+  segment(0, 1, 'How are you?', true),
+  segment(1.2, 2, 'Fine thanks.', true),
+  segment(2.2, 3, 'Good to hear.')
+];
+
+test('numbers tinydiarize turns without inventing speaker ids', () => {
+  const { segments, nextTurn } = assignSpeakerTurns(TDRZ_SEGMENTS);
+
+  assert.deepStrictEqual(segments.map((s) => s.turn), [0, 1, 2]);
+  assert.strictEqual(nextTurn, 2);
+  assert.ok(segments.every((s) => s.speaker === undefined));
+  assert.ok(segments.every((s) => s.words.every((word) => word.turn === s.turn && word.speaker === undefined)));
+});
+
+test('continues turn numbering across chunks', () => {
+  const kept = assignSpeakerTurns(TDRZ_SEGMENTS.slice(0, 2)).segments;
+  const added = assignSpeakerTurns([segment(2.2, 3, 'Good to hear.')]).segments;
+
+  assert.deepStrictEqual(continueSpeakerTurns(kept, added).map((s) => s.turn), [2]);
+});
+
+test('marks turn changes in the text', () => {
+  const { segments } = assignSpeakerTurns(TDRZ_SEGMENTS);
+
+  assert.strictEqual(buildTranscriptText(segments), '>> How are you? >> Fine thanks. >> Good to hear.');
+});
+
+test('captions mark turns without naming a speaker', () => {
+  const { segments } = assignSpeakerTurns(TDRZ_SEGMENTS);
+
+  const vtt = exportCaptions(segments, 'vtt', { karaoke: false }).content;
+  assert.ok(!vtt.includes('<v '));
+  assert.strictEqual((vtt.match(/&gt;&gt; /g) || []).length, 3);
+
+  const ass = exportCaptions(segments, 'ass', { karaoke: false }).content;
+  const dialogue = ass.split('\n').filter((line) => line.startsWith('Dialogue:'));
+  assert.deepStrictEqual(dialogue.map((line) => line.split(',')[4]), ['', '', '']);
+  assert.ok(dialogue.every((line) => line.includes(',,>> ')));
+});
+
+test('keeps speaker ids for stereo diarization', () => {
+  const segments = [
+    { ...segment(0, 1, 'Left side.'), speaker: 'SPEAKER_0' },
+    { ...segment(1.2, 2, 'Right side.'), speaker: 'SPEAKER_1' }
+  ];
+  segments.forEach((s) => s.words.forEach((word) => { word.speaker = s.speaker; }));
+
+  const vtt = exportCaptions(segments, 'vtt', { karaoke: false }).content;
+  assert.ok(vtt.includes('<v SPEAKER_0>Left side.'));
+  assert.ok(vtt.includes('<v SPEAKER_1>Right side.'));
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { fetchToPartialFile, getDownloadMetaPath } = require('../native-host.js');
+
+const MODEL = Buffer.from(Array.from({ length: 256 * 1024 }, (_, i) => (i * 7) % 251));
+
+/**
+ * Serves MODEL with a strong ETag and Range/If-Range support. `behavior` is
+ * read per request: dropAfter cuts the connection after that many body bytes,
+ * ignoreRange answers 200 with the full body, etag overrides the current ETag.
+ */
+async function startModelServer(behavior = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ range: req.headers.range || null, ifRange: req.headers['if-range'] || null });
+    const etag = behavior.etag || '"v1"';
+    const rangeMatch = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    const validatorMatches = !req.headers['if-range'] || req.headers['if-range'] === etag;
+
+    let body = MODEL;
+    if (rangeMatch && validatorMatches && !behavior.ignoreRange) {
+      const start = Number(rangeMatch[1]);
+      body = MODEL.subarray(start);
+      res.writeHead(206, {
+        ETag: etag,
+        'Content-Length': body.length,
+        'Content-Range': `bytes ${start}-${MODEL.length - 1}/${MODEL.length}`
+      });
+    } else {
+      res.writeHead(200, { ETag: etag, 'Content-Length': body.length });
+    }
+
+    const dropAfter = behavior.dropAfter;
+    behavior.dropAfter = undefined;
+    if (dropAfter !== undefined) {
+      res.write(body.subarray(0, dropAfter), () => setTimeout(() => res.socket.destroy(), 20));
+      return;
+    }
+    res.end(body);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/ggml-test.bin`;
+  return { server, url, requests, behavior };
+}
+
+function tempModelPath(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whooptido-download-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'ggml-test.bin.part');
+}
+
+test('resumes with a Range request after the connection drops mid-stream', async (t) => {
+  const { server, url, requests } = await startModelServer({ dropAfter: 100000 });
+  t.after(() => server.close());
+  const tempPath = tempModelPath(t);
+
+  await assert.rejects(fetchToPartialFile(url, tempPath, url, {}), (error) => error.retryable === true);
+  const partialSize = fs.statSync(tempPath).size;
+  assert.ok(partialSize > 0 && partialSize < MODEL.length);
+  assert.strictEqual(JSON.parse(fs.readFileSync(getDownloadMetaPath(tempPath), 'utf8')).etag, '"v1"');
+
+  const result = await fetchToPartialFile(url, tempPath, url, {});
+
+  assert.deepStrictEqual(result, { totalSize: MODEL.length, resumedFrom: partialSize });
+  assert.deepStrictEqual(requests[1], { range: `bytes=${partialSize}-`, ifRange: '"v1"' });
+  assert.ok(fs.readFileSync(tempPath).equals(MODEL));
+});
+
+test('starts over when the server ignores the range and answers 200', async (t) => {
+  const { server, url, requests, behavior } = await startModelServer({ dropAfter: 50000 });
+  t.after(() => server.close());
+  const tempPath = tempModelPath(t);
+
+  await assert.rejects(fetchToPartialFile(url, tempPath, url, {}));
+  const partialSize = fs.statSync(tempPath).size;
+  behavior.ignoreRange = true;
+  const result = await fetchToPartialFile(url, tempPath, url, {});
+
+  assert.strictEqual(requests[1].range, `bytes=${partialSize}-`);
+  assert.strictEqual(result.resumedFrom, 0);
+  assert.ok(fs.readFileSync(tempPath).equals(MODEL));
+});
+
+test('starts over when If-Range no longer matches the ETag', async (t) => {
+  const { server, url, requests, behavior } = await startModelServer({ dropAfter: 50000 });
+  t.after(() => server.close());
+  const tempPath = tempModelPath(t);
+
+  await assert.rejects(fetchToPartialFile(url, tempPath, url, {}));
+  behavior.etag = '"v2"';
+  const result = await fetchToPartialFile(url, tempPath, url, {});
+
+  assert.strictEqual(requests[1].ifRange, '"v1"');
+  assert.strictEqual(result.resumedFrom, 0);
+  assert.ok(fs.readFileSync(tempPath).equals(MODEL));
+  assert.strictEqual(JSON.parse(fs.readFileSync(getDownloadMetaPath(tempPath), 'utf8')).etag, '"v2"');
+});
+
+test('does not resume a partial file left by a different URL', async (t) => {
+  const { server, url, requests } = await startModelServer({ dropAfter: 50000 });
+  t.after(() => server.close());
+  const tempPath = tempModelPath(t);
+
+  await assert.rejects(fetchToPartialFile(url, tempPath, url, {}));
+  await fetchToPartialFile(url, tempPath, `${url}?other`, {});
+
+  assert.strictEqual(requests[1].range, null);
+  assert.ok(fs.readFileSync(tempPath).equals(MODEL));
+});
+
+test('rejects instead of throwing when the partial file is removed before it closes', async (t) => {
+  const { server, url } = await startModelServer();
+  t.after(() => server.close());
+  const tempPath = tempModelPath(t);
+  const download = {
+    onData(receivedBytes) {
+      if (receivedBytes === MODEL.length) {
+        download.cancelRequested = true;
+        fs.rmSync(tempPath, { force: true });
+      }
+    }
+  };
+
+  await assert.rejects(fetchToPartialFile(url, tempPath, url, download), (error) => error.cancelled === true);
+});
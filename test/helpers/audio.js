@@ -0,0 +1,101 @@
+// Synthetic audio for the tests: tones stand in for speech, low-level
+// deterministic noise for room tone.
+
+const SAMPLE_RATE = 16000;
+
+const PCM16_MONO = Object.freeze({
+  formatTag: 1,
+  sampleFormat: 'pcm',
+  channels: 1,
+  sampleRate: SAMPLE_RATE,
+  bitsPerSample: 16,
+  blockAlign: 2,
+  byteRate: SAMPLE_RATE * 2
+});
+
+function createNoise(seed = 1) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 1073741824 - 1;
+  };
+}
+
+/**
+ * Mono float samples from [kind, seconds, amplitude] parts, where kind is
+ * 'tone' (300 Hz), 'noise' or 'silence'.
+ */
+function buildSamples(parts, sampleRate = SAMPLE_RATE) {
+  const noise = createNoise();
+  const samples = [];
+  for (const [kind, seconds, amplitude = 0] of parts) {
+    const count = Math.round(seconds * sampleRate);
+    for (let i = 0; i < count; i++) {
+      if (kind === 'tone') samples.push(amplitude * Math.sin(2 * Math.PI * 300 * i / sampleRate));
+      else if (kind === 'noise') samples.push(amplitude * noise());
+      else samples.push(0);
+    }
+  }
+  return samples;
+}
+
+function encodePcm16(samples) {
+  const pcm = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => {
+    pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample * 32767))), i * 2);
+  });
+  return pcm;
+}
+
+function riffChunk(id, body) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  // Chunk bodies are padded to an even length
+  return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]);
+}
+
+/**
+ * fmt chunk body. With extensible, the real format tag moves into the
+ * SubFormat GUID and formatTag becomes WAVE_FORMAT_EXTENSIBLE.
+ */
+function fmtBody({ formatTag = 1, channels = 1, sampleRate = SAMPLE_RATE, bitsPerSample = 16, extensible = false }) {
+  const blockAlign = channels * bitsPerSample / 8;
+  const body = Buffer.alloc(extensible ? 40 : 16);
+  body.writeUInt16LE(extensible ? 0xFFFE : formatTag, 0);
+  body.writeUInt16LE(channels, 2);
+  body.writeUInt32LE(sampleRate, 4);
+  body.writeUInt32LE(sampleRate * blockAlign, 8);
+  body.writeUInt16LE(blockAlign, 12);
+  body.writeUInt16LE(bitsPerSample, 14);
+  if (extensible) {
+    body.writeUInt16LE(22, 16);
+    body.writeUInt16LE(bitsPerSample, 18);
+    body.writeUInt32LE(channels === 2 ? 0x3 : 0x4, 20);
+    // KSDATAFORMAT_SUBTYPE_* GUID: format tag followed by the fixed suffix
+    body.writeUInt16LE(formatTag, 24);
+    Buffer.from('000000001000800000aa00389b71', 'hex').copy(body, 26);
+  }
+  return body;
+}
+
+/**
+ * A RIFF/WAVE file from a list of [id, body] chunks, e.g.
+ * buildWav([['fmt ', fmtBody({})], ['data', pcm]]).
+ */
+function buildWav(chunks) {
+  const body = Buffer.concat([Buffer.from('WAVE', 'ascii'), ...chunks.map(([id, data]) => riffChunk(id, data))]);
+  const header = Buffer.alloc(8);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  PCM16_MONO,
+  buildSamples,
+  encodePcm16,
+  fmtBody,
+  buildWav
+};
@@ -0,0 +1,85 @@
+// Runs native-host.js the way Chrome does: length-prefixed JSON over stdio.
+// HOME points at a fresh temp dir so nothing touches the real ~/.whooptido.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOST_PATH = path.join(__dirname, '..', '..', 'native-host.js');
+const DEFAULT_TIMEOUT_MS = 10000;
+
+function startHost({ env = {}, home = fs.mkdtempSync(path.join(os.tmpdir(), 'whooptido-host-')) } = {}) {
+  const child = spawn(process.execPath, [HOST_PATH], {
+    env: { ...process.env, HOME: home, USERPROFILE: home, ...env },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  const messages = [];
+  const waiters = [];
+  let stdout = Buffer.alloc(0);
+  let stderr = '';
+
+  const deliver = () => {
+    for (let i = 0; i < waiters.length; i++) {
+      const waiter = waiters[i];
+      const index = messages.findIndex(waiter.predicate);
+      if (index === -1) continue;
+      const [message] = messages.splice(index, 1);
+      waiters.splice(i--, 1);
+      clearTimeout(waiter.timer);
+      waiter.resolve(message);
+    }
+  };
+
+  child.stdout.on('data', (data) => {
+    stdout = Buffer.concat([stdout, data]);
+    while (stdout.length >= 4 && stdout.length >= 4 + stdout.readUInt32LE(0)) {
+      const length = stdout.readUInt32LE(0);
+      messages.push(JSON.parse(stdout.subarray(4, 4 + length).toString('utf8')));
+      stdout = stdout.subarray(4 + length);
+    }
+    deliver();
+  });
+  child.stderr.on('data', (data) => { stderr += data; });
+
+  return {
+    home,
+    send(message) {
+      const body = Buffer.from(JSON.stringify(message), 'utf8');
+      const header = Buffer.alloc(4);
+      header.writeUInt32LE(body.length, 0);
+      child.stdin.write(Buffer.concat([header, body]));
+    },
+    // Next message (not yet taken) matching the type or predicate
+    next(match, timeoutMs = DEFAULT_TIMEOUT_MS) {
+      const predicate = typeof match === 'function' ? match : (message) => message.type === match;
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate, resolve };
+        waiter.timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error(`Timed out waiting for a host message\n${stderr}`));
+        }, timeoutMs);
+        waiters.push(waiter);
+        deliver();
+      });
+    },
+    // Sends a message and waits for the reply matching `match`
+    request(message, match, timeoutMs) {
+      const reply = this.next(match, timeoutMs);
+      this.send(message);
+      return reply;
+    },
+    async stop() {
+      if (child.exitCode === null && child.signalCode === null) {
+        const exited = new Promise((resolve) => child.once('exit', resolve));
+        child.kill('SIGTERM');
+        await exited;
+      }
+      fs.rmSync(home, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = {
+  startHost
+};
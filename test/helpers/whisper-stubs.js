@@ -0,0 +1,131 @@
+// Stand-ins for a CUDA whisper.cpp install: whisper-cli and whisper-server
+// scripts in a whisper-cuda directory plus an nvidia-smi on PATH, enough for
+// the host's runtime detection. Both log what they are asked to do, one line
+// per event, to `logPath`; the server exits on its next /inference while
+// `crashPath` exists (removing it first). whisper-cli takes STUB_CLI_DELAY_MS
+// of running time before it answers.
+
+const fs = require('fs');
+const path = require('path');
+
+const WHISPER_CLI_STUB = `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+if (args.includes('-h') || args.includes('--help')) {
+  console.log('usage: whisper-cli [options] file0.wav');
+  process.exit(0);
+}
+fs.appendFileSync(process.env.STUB_LOG, 'CLI\\n');
+const outputBase = args[args.indexOf('-of') + 1];
+const segment = {
+  offsets: { from: 0, to: 1000 },
+  text: ' from cli',
+  tokens: [
+    { text: ' from', offsets: { from: 0, to: 500 }, p: 0.9 },
+    { text: ' cli', offsets: { from: 500, to: 1000 }, p: 0.9 }
+  ]
+};
+setTimeout(() => {
+  fs.writeFileSync(outputBase + '.json', JSON.stringify({ result: { language: 'en' }, transcription: [segment] }));
+}, Number(process.env.STUB_CLI_DELAY_MS || 0));
+`;
+
+const WHISPER_SERVER_STUB = `#!/usr/bin/env node
+const fs = require('fs');
+const http = require('http');
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.STUB_LOG, 'START\\n');
+http.createServer((req, res) => {
+  if (req.url === '/health') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: 'ok' }));
+    return;
+  }
+  if (req.url === '/inference' && req.method === 'POST') {
+    req.resume();
+    req.on('end', () => {
+      fs.appendFileSync(process.env.STUB_LOG, 'INFER\\n');
+      if (fs.existsSync(process.env.STUB_CRASH)) {
+        fs.unlinkSync(process.env.STUB_CRASH);
+        process.exit(3);
+      }
+      const words = [' from', ' server'];
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        text: ' from server',
+        segments: [{ id: 0, start: 0, end: 1, text: ' from server', no_speech_prob: 0.01,
+          words: words.map((word, i) => ({ word, start: i * 0.5, end: (i + 1) * 0.5, probability: 0.9 })) }]
+      }));
+    });
+    return;
+  }
+  res.writeHead(404);
+  res.end();
+}).listen(Number(args[args.indexOf('--port') + 1]), '127.0.0.1');
+`;
+
+const NVIDIA_SMI_STUB = `#!/bin/sh
+case "$*" in
+  *memory*) echo "NVIDIA Stub GPU, 8192, 7000" ;;
+  *) echo "NVIDIA Stub GPU" ;;
+esac
+`;
+
+function writeExecutable(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, { mode: 0o755 });
+}
+
+// Hyperparameters of whisper tiny, in ggml header order
+const TINY_HPARAMS = [51865, 1500, 384, 6, 4, 448, 384, 6, 4, 80, 1];
+
+/**
+ * The smallest ggml file the host accepts as a tiny model: the real header,
+ * a one-column mel filterbank, a one-token vocabulary and a single f32 tensor.
+ */
+function buildStubModel() {
+  const int32s = (values) => {
+    const buffer = Buffer.alloc(values.length * 4);
+    values.forEach((value, i) => buffer.writeInt32LE(value, i * 4));
+    return buffer;
+  };
+  return Buffer.concat([
+    Buffer.from('lmgg', 'ascii'),
+    int32s(TINY_HPARAMS),
+    int32s([80, 1]), Buffer.alloc(80 * 4),
+    int32s([1, 1]), Buffer.from('a', 'ascii'),
+    int32s([1, 4, 0, 1]), Buffer.from('stub', 'ascii'), Buffer.alloc(4)
+  ]);
+}
+
+/**
+ * Install the stubs under `dir`. Returns the env for startHost, and the log
+ * and crash-trigger paths.
+ */
+function installWhisperStubs(dir) {
+  const runtimeDir = path.join(dir, 'whisper-cuda');
+  const binDir = path.join(dir, 'bin');
+  const logPath = path.join(dir, 'stub.log');
+  const crashPath = path.join(dir, 'crash-next-inference');
+  writeExecutable(path.join(runtimeDir, 'whisper-cli'), WHISPER_CLI_STUB);
+  writeExecutable(path.join(runtimeDir, 'whisper-server'), WHISPER_SERVER_STUB);
+  writeExecutable(path.join(binDir, 'nvidia-smi'), NVIDIA_SMI_STUB);
+  fs.writeFileSync(logPath, '');
+
+  return {
+    logPath,
+    crashPath,
+    readLog: () => fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean),
+    env: {
+      PATH: `${binDir}${path.delimiter}${process.env.PATH}`,
+      WHOOPTIDO_WHISPER_CLI: path.join(runtimeDir, 'whisper-cli'),
+      STUB_LOG: logPath,
+      STUB_CRASH: crashPath
+    }
+  };
+}
+
+module.exports = {
+  buildStubModel,
+  installWhisperStubs
+};
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startHost } = require('./helpers/host');
+const { buildStubModel, installWhisperStubs } = require('./helpers/whisper-stubs');
+const { buildSamples, encodePcm16, fmtBody, buildWav } = require('./helpers/audio');
+
+// Pausing stops the whisper-cli process with SIGSTOP
+const skip = process.platform !== 'linux' && 'whisper stubs only cover Linux';
+
+test('a paused job gives its slot to queued work and takes it back on resume', { skip }, async () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'whooptido-host-'));
+  const stubs = installWhisperStubs(path.join(home, 'stubs'));
+  const modelsDir = path.join(home, '.whooptido', 'models');
+  fs.mkdirSync(modelsDir, { recursive: true });
+  fs.writeFileSync(path.join(modelsDir, 'ggml-tiny.bin'), buildStubModel());
+  const audioPath = path.join(home, 'speech.wav');
+  fs.writeFileSync(audioPath, buildWav([['fmt ', fmtBody({})], ['data', encodePcm16(buildSamples([['tone', 1, 0.3]]))]]));
+
+  const host = startHost({ home, env: { ...stubs.env, STUB_CLI_DELAY_MS: '1500' } });
+  try {
+    const waitForCliRuns = async (count) => {
+      while (stubs.readLog().length < count) await new Promise((resolve) => setTimeout(resolve, 50));
+    };
+    const transcribe = (id) => {
+      const result = host.next((message) => message.id === id && /^transcription(_error)?$/.test(message.type), 20000);
+      host.send({ type: 'transcribe', id, audioPath, cache: false });
+      return result;
+    };
+
+    const first = transcribe('q1');
+    await waitForCliRuns(1);
+    const pause = await host.request({ type: 'transcribe_pause', id: 'q1' }, 'transcribe_pause_ack');
+    assert.deepStrictEqual(pause.paused, ['q1']);
+    assert.strictEqual(pause.pauseUnsupported, undefined);
+
+    const second = await transcribe('q2');
+    assert.strictEqual(second.type, 'transcription', second.error);
+
+    const status = await host.request({ type: 'transcribe_status' }, 'transcribe_status_ack');
+    assert.deepStrictEqual(status.queue, { queued: 0, running: 0, paused: 1, maxConcurrent: 1 });
+    assert.strictEqual(status.direct.find((session) => session.id === 'q1').status, 'paused');
+
+    host.send({ type: 'transcribe_resume', id: 'q1' });
+    assert.strictEqual((await first).type, 'transcription');
+  } finally {
+    await host.stop();
+  }
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { validateModelCatalog, verifyModelCatalogSignature, downloadFile } = require('../native-host.js');
+
+const MODEL = Buffer.from(Array.from({ length: 64 * 1024 }, (_, i) => (i * 13) % 251));
+const digest = (algorithm, data) => crypto.createHash(algorithm).update(data).digest('hex');
+
+const CATALOG = {
+  version: 4,
+  models: [{
+    id: 'tiny',
+    files: [{ filename: 'ggml-tiny.bin', url: 'https://example.com/ggml-tiny.bin', size: MODEL.length, sha1: digest('sha1', MODEL), sha256: null }]
+  }]
+};
+
+async function startModelServer() {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Length': MODEL.length });
+    res.end(MODEL);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}/ggml-tiny.bin` };
+}
+
+function tempModelPath(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whooptido-catalog-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'ggml-tiny.bin');
+}
+
+test('accepts a catalog with sizes and checksums and rejects malformed ones', () => {
+  assert.strictEqual(validateModelCatalog(CATALOG), CATALOG);
+
+  const withFile = (file) => ({ version: 4, models: [{ id: 'tiny', files: [{ ...CATALOG.models[0].files[0], ...file }] }] });
+  assert.throws(() => validateModelCatalog(withFile({ sha256: 'abc' })), /invalid sha256/);
+  assert.throws(() => validateModelCatalog(withFile({ sha1: 'xyz' })), /invalid sha1/);
+  assert.throws(() => validateModelCatalog(withFile({ size: -1 })), /invalid size/);
+  assert.throws(() => validateModelCatalog(withFile({ filename: '../evil.bin' })), /invalid filename/);
+});
+
+test('verifies the detached Ed25519 signature of a catalog update', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+  const catalogText = JSON.stringify(CATALOG);
+  const signature = crypto.sign(null, Buffer.from(catalogText), privateKey).toString('base64');
+
+  assert.doesNotThrow(() => verifyModelCatalogSignature(catalogText, signature, publicPem));
+  assert.throws(() => verifyModelCatalogSignature(catalogText.replace('"version":4', '"version":5'), signature, publicPem), /does not verify/);
+  assert.throws(() => verifyModelCatalogSignature(catalogText, '', publicPem), /signature is missing/);
+  assert.throws(() => verifyModelCatalogSignature(catalogText, signature), /signing key is not configured/);
+});
+
+test('keeps a download whose size and checksums match', async (t) => {
+  const { server, url } = await startModelServer();
+  t.after(() => server.close());
+  const modelPath = tempModelPath(t);
+
+  const checksums = [{ algorithm: 'sha256', digest: digest('sha256', MODEL) }, { algorithm: 'sha1', digest: digest('sha1', MODEL) }];
+  await downloadFile(url, modelPath, MODEL.length, { checksums });
+
+  assert.ok(fs.readFileSync(modelPath).equals(MODEL));
+  assert.ok(!fs.existsSync(`${modelPath}.part`));
+});
+
+test('rejects a download whose hash does not match and leaves the installed model alone', async (t) => {
+  const { server, url } = await startModelServer();
+  t.after(() => server.close());
+  const modelPath = tempModelPath(t);
+  fs.writeFileSync(modelPath, 'installed model');
+
+  const checksums = [{ algorithm: 'sha1', digest: '0'.repeat(40) }];
+  await assert.rejects(downloadFile(url, modelPath, MODEL.length, { checksums }), /checksum mismatch: expected sha1 0{40}, got [0-9a-f]{40}/);
+
+  assert.strictEqual(fs.readFileSync(modelPath, 'utf8'), 'installed model');
+  assert.ok(!fs.existsSync(`${modelPath}.part`));
+});
+
+test('validates the downloaded file before it replaces the installed model', async (t) => {
+  const { server, url } = await startModelServer();
+  t.after(() => server.close());
+  const modelPath = tempModelPath(t);
+  fs.writeFileSync(modelPath, 'installed model');
+
+  const validate = (tempPath) => {
+    assert.strictEqual(tempPath, `${modelPath}.part`);
+    throw new Error('not a ggml model file (bad magic)');
+  };
+  await assert.rejects(downloadFile(url, modelPath, MODEL.length, {}, null, validate), /bad magic/);
+
+  assert.strictEqual(fs.readFileSync(modelPath, 'utf8'), 'installed model');
+  assert.ok(!fs.existsSync(`${modelPath}.part`));
+});
@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { startHost } = require('./helpers/host');
+const { buildStubModel, installWhisperStubs } = require('./helpers/whisper-stubs');
+const { buildSamples, encodePcm16, fmtBody, buildWav } = require('./helpers/audio');
+
+const MODEL = buildStubModel();
+
+/**
+ * Serves `body` (MODEL by default) in `pieces` writes spaced `intervalMs`
+ * apart. With `stallAfter` the response stops after that many pieces and
+ * never finishes.
+ */
+async function startModelServer({ body = MODEL, pieces = 8, intervalMs = 200, stallAfter = null } = {}) {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Length': body.length });
+    const size = Math.ceil(body.length / pieces);
+    let sent = 0;
+    const writeNext = () => {
+      if (res.destroyed) return;
+      if (stallAfter !== null && sent === stallAfter) return;
+      const piece = body.subarray(sent * size, (sent + 1) * size);
+      sent++;
+      if (sent * size >= body.length) {
+        res.end(piece);
+        return;
+      }
+      res.write(piece);
+      setTimeout(writeNext, intervalMs);
+    };
+    writeNext();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}/ggml-tiny.bin` };
+}
+
+// The stub nvidia-smi reports an 8 GB GPU; hardware detection expects Linux there
+const skipGpu = process.platform !== 'linux' && 'whisper stubs only cover Linux';
+
+function withHost(run, { gpu = false } = {}) {
+  return async () => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'whooptido-host-'));
+    const env = gpu ? installWhisperStubs(path.join(home, 'stubs')).env : {};
+    const host = startHost({ home, env });
+    try {
+      await run(host);
+    } finally {
+      await host.stop();
+    }
+  };
+}
+
+test('download_model reports progress and installs the model', withHost(async (host) => {
+  const { server, url } = await startModelServer();
+  try {
+    const progress = host.next('download_progress');
+    const complete = await host.request({ type: 'download_model', modelId: 'tiny', url }, (message) => /^download_(complete|error)$/.test(message.type));
+
+    assert.strictEqual(complete.type, 'download_complete', complete.error);
+    assert.strictEqual(complete.size, MODEL.length);
+    const update = await progress;
+    assert.strictEqual(update.modelId, 'tiny');
+    assert.strictEqual(update.totalBytes, MODEL.length);
+    assert.ok(update.bytesReceived > 0 && update.bytesReceived <= MODEL.length);
+    assert.ok(fs.readFileSync(complete.path).equals(MODEL));
+  } finally {
+    server.close();
+  }
+}));
+
+test('download_cancel stops a download and removes the partial file', withHost(async (host) => {
+  const { server, url } = await startModelServer({ stallAfter: 2 });
+  try {
+    const cancelled = host.next((message) => message.modelId === 'tiny' && /^download_(cancelled|complete|error)$/.test(message.type));
+    host.send({ type: 'download_model', modelId: 'tiny', url });
+    const modelPath = path.join(host.home, '.whooptido', 'models', 'ggml-tiny.bin');
+    while (!fs.existsSync(`${modelPath}.part`)) await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const ack = await host.request({ type: 'download_cancel', modelId: 'tiny' }, 'download_cancel_ack');
+    assert.deepStrictEqual(ack.cancelled, ['tiny']);
+    assert.strictEqual((await cancelled).type, 'download_cancelled');
+    assert.ok(!fs.existsSync(`${modelPath}.part`));
+    assert.ok(!fs.existsSync(modelPath));
+
+    const again = await host.request({ type: 'download_cancel', modelId: 'tiny' }, 'download_cancel_ack');
+    assert.strictEqual(again.success, false);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}));
+
+test('list_available_models lists the catalog and recommends a model for the GPU', { skip: skipGpu }, withHost(async (host) => {
+  const modelsDir = path.join(host.home, '.whooptido', 'models');
+  fs.mkdirSync(modelsDir, { recursive: true });
+  fs.writeFileSync(path.join(modelsDir, 'ggml-small.bin'), 'not a model');
+
+  const available = await host.request({ type: 'list_available_models' }, 'available_models');
+
+  assert.strictEqual(available.catalogSource, 'bundled');
+  assert.deepStrictEqual(available.models.map((model) => model.id), ['small', 'small.en', 'medium', 'medium.en', 'large-v3', 'large-v3-turbo']);
+  const small = available.models[0].files[0];
+  assert.strictEqual(small.size, 487601967);
+  assert.strictEqual(small.sha1, '55356645c2b361a969dfd0ef2c5a50d530afd8d5');
+  assert.strictEqual(small.installed, false);
+  assert.match(small.invalidReason, /bad magic/);
+  assert.strictEqual(available.hardware.memoryBudgetMb, 6300);
+  assert.strictEqual(available.recommended.modelId, 'large-v3-turbo');
+  assert.strictEqual(available.recommended.filename, 'ggml-large-v3-turbo-q5_0.bin');
+}, { gpu: true }));
+
+test('defaultModel picks the active model and status reports it', withHost(async (host) => {
+  const modelsDir = path.join(host.home, '.whooptido', 'models');
+  fs.mkdirSync(modelsDir, { recursive: true });
+  fs.writeFileSync(path.join(modelsDir, 'ggml-tiny.bin'), MODEL);
+  fs.writeFileSync(path.join(modelsDir, 'ggml-base.bin'), MODEL);
+
+  // Without a default the highest ranked installed model is active
+  let status = await host.request({ type: 'status' }, 'status');
+  assert.strictEqual(status.activeModelId, 'base');
+
+  const set = await host.request({ type: 'set_config', config: { defaultModel: 'tiny' } }, 'set_config_ack');
+  assert.strictEqual(set.success, true, set.error);
+  const { config } = await host.request({ type: 'get_config' }, 'config');
+  assert.strictEqual(config.defaultModel, 'tiny');
+  status = await host.request({ type: 'status' }, 'status');
+  assert.strictEqual(status.activeModelId, 'tiny');
+  assert.strictEqual(status.modelPath, path.join(modelsDir, 'ggml-tiny.bin'));
+
+  const missing = await host.request({ type: 'set_config', config: { defaultModel: 'large-v3' } }, 'set_config_ack');
+  assert.strictEqual(missing.success, false);
+  assert.strictEqual(missing.error, 'Model "large-v3" is not installed');
+  assert.strictEqual(missing.config.defaultModel, 'tiny');
+
+  // A configured default that disappears is reported, not swapped for another model
+  fs.unlinkSync(path.join(modelsDir, 'ggml-tiny.bin'));
+  status = await host.request({ type: 'status' }, 'status');
+  assert.strictEqual(status.activeModelId, null);
+  assert.strictEqual(status.modelPath, null);
+  assert.ok(status.errors.includes('Configured default model "tiny" is not installed; download it or change defaultModel'));
+}));
+
+test('import_model installs a fine-tuned model with its metadata', withHost(async (host) => {
+  const sourcePath = path.join(host.home, 'my-finetune.bin');
+  fs.writeFileSync(sourcePath, MODEL);
+  const importModel = (fields) => host.request({ type: 'import_model', sourcePath, ...fields }, 'import_model_ack');
+
+  const imported = await importModel({ id: 'tiny-medical', baseModel: 'tiny', languages: ['en'] });
+  assert.strictEqual(imported.success, true, imported.error);
+  assert.strictEqual(imported.model.id, 'tiny-medical');
+  const modelPath = path.join(host.home, '.whooptido', 'models', 'ggml-tiny-medical.bin');
+  assert.ok(fs.readFileSync(modelPath).equals(MODEL));
+  assert.ok(fs.existsSync(sourcePath));
+
+  const status = await host.request({ type: 'status' }, 'status');
+  assert.ok(status.models.some((model) => model.id === 'tiny-medical'));
+
+  const duplicate = await importModel({ id: 'tiny-medical', baseModel: 'tiny' });
+  assert.match(duplicate.error, /already installed; pass replace: true/);
+  const reserved = await importModel({ id: 'small', baseModel: 'tiny' });
+  assert.match(reserved.error, /reserved for a built-in model/);
+  const mismatch = await importModel({ id: 'wrong-base', baseModel: 'small' });
+  assert.match(mismatch.error, /does not match the file's architecture \(tiny\)/);
+}));
+
+test('models that fail ggml validation are reported and never used or installed', withHost(async (host) => {
+  const modelsDir = path.join(host.home, '.whooptido', 'models');
+  fs.mkdirSync(modelsDir, { recursive: true });
+  fs.writeFileSync(path.join(modelsDir, 'ggml-tiny.bin'), MODEL.subarray(0, 60));
+  const audioPath = path.join(host.home, 'speech.wav');
+  fs.writeFileSync(audioPath, buildWav([['fmt ', fmtBody({})], ['data', encodePcm16(buildSamples([['tone', 1, 0.3]]))]]));
+
+  const status = await host.request({ type: 'status' }, 'status');
+  const tiny = status.models.find((model) => model.id === 'tiny');
+  assert.strictEqual(tiny.valid, false);
+  assert.match(tiny.invalidReason, /^truncated/);
+  assert.strictEqual(status.activeModelId, null);
+
+  const result = await host.request({ type: 'transcribe', id: 'v1', audioPath, modelId: 'tiny' }, (message) => message.id === 'v1');
+  assert.strictEqual(result.type, 'transcription_error');
+  assert.match(result.error, /^Model "tiny" is not a usable whisper model: truncated/);
+
+  // A download that is not a ggml model never replaces the installed file
+  fs.writeFileSync(path.join(modelsDir, 'ggml-tiny.bin'), MODEL);
+  const gguf = Buffer.concat([Buffer.from('GGUF'), Buffer.alloc(64)]);
+  const { server, url } = await startModelServer({ body: gguf, pieces: 1 });
+  try {
+    const sha256 = crypto.createHash('sha256').update(gguf).digest('hex');
+    const download = await host.request({ type: 'download_model', modelId: 'tiny', url, sha256 }, (message) => /^download_(complete|error)$/.test(message.type));
+    assert.strictEqual(download.type, 'download_error');
+    assert.strictEqual(download.error, 'Downloaded file is not a usable whisper model: GGUF files are not whisper.cpp models');
+  } finally {
+    server.close();
+  }
+  assert.ok(fs.readFileSync(path.join(modelsDir, 'ggml-tiny.bin')).equals(MODEL));
+  assert.ok(!fs.existsSync(path.join(modelsDir, 'ggml-tiny.bin.part')));
+}));
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizePostProcessingOptions, postProcessSegments } = require('../native-host.js');
+
+const OPTIONS = normalizePostProcessingOptions(true);
+
+function segment(text, confidence, extra = {}) {
+  const words = text.trim().split(' ').map((word, i) => ({ word, start: i, end: i + 0.5, confidence }));
+  return { start: 0, end: words.length, text: ` ${text}`, words, ...extra };
+}
+
+test('flags a low-confidence segment without a no-speech probability instead of dropping it', () => {
+  const { segments, report } = postProcessSegments([segment('mumbled words here', 0.1)], OPTIONS);
+
+  assert.strictEqual(segments.length, 1);
+  assert.strictEqual(segments[0].possibleNonSpeech, true);
+  assert.deepStrictEqual(report.removed, []);
+  assert.strictEqual(report.flaggedSegments.length, 1);
+  assert.strictEqual(report.flaggedSegments[0].reason, 'possible_non_speech');
+  assert.strictEqual(report.flaggedSegments[0].noSpeechProb, null);
+});
+
+test('drops a low-confidence segment whisper reports as likely non-speech', () => {
+  const { segments, report } = postProcessSegments([segment('hmm', 0.1, { noSpeechProb: 0.9 })], OPTIONS);
+
+  assert.deepStrictEqual(segments, []);
+  assert.strictEqual(report.removed[0].reason, 'non_speech');
+  assert.deepStrictEqual(report.flaggedSegments, []);
+});
+
+test('keeps a low-confidence segment whisper reports as speech', () => {
+  const { segments, report } = postProcessSegments([segment('quiet speech', 0.1, { noSpeechProb: 0.05 })], OPTIONS);
+
+  assert.strictEqual(segments.length, 1);
+  assert.strictEqual(segments[0].possibleNonSpeech, undefined);
+  assert.deepStrictEqual(report.flaggedSegments, []);
+});
+
+test('flags low-confidence words and collapses repeated words', () => {
+  const input = segment('the the the the the end', 0.9);
+  input.words[5].confidence = 0.2;
+
+  const { segments, report } = postProcessSegments([input], OPTIONS);
+
+  assert.strictEqual(segments[0].text, ' the end');
+  assert.strictEqual(report.removed[0].reason, 'repeated_phrase');
+  assert.deepStrictEqual(report.flaggedWords.map((word) => word.word), ['end']);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeGlossary, buildWhisperPrompt } = require('../native-host.js');
+
+const MAX_PROMPT_CHARS = 600;
+
+function words(prefix, count) {
+  return Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+}
+
+test('joins prompt, glossary and tail when they fit', () => {
+  const glossary = normalizeGlossary(['Kubernetes', { term: 'etcd', aliases: ['et cetera d'] }]);
+
+  assert.strictEqual(
+    buildWhisperPrompt('A talk about clusters.', glossary, 'so we   scaled it'),
+    'A talk about clusters. Kubernetes, etcd so we scaled it'
+  );
+  assert.strictEqual(buildWhisperPrompt(null, null, ''), null);
+});
+
+test('trims the carried-over tail before the prompt', () => {
+  const prompt = words('prompt', 50);
+  const tail = words('tail', 200);
+
+  const built = buildWhisperPrompt(prompt, null, tail);
+  assert.ok(built.length <= MAX_PROMPT_CHARS);
+  assert.ok(built.startsWith(`${prompt} `));
+  assert.ok(built.endsWith('tail199'));
+});
+
+test('leaves out glossary terms that no longer fit instead of cutting the prompt', () => {
+  const prompt = words('prompt', 60);
+  const glossary = normalizeGlossary(Array.from({ length: 40 }, (_, i) => `Term${i}`));
+
+  const built = buildWhisperPrompt(prompt, glossary, 'tail words');
+  assert.ok(built.length <= MAX_PROMPT_CHARS);
+  assert.ok(built.startsWith(`${prompt} Term0, Term1,`));
+  assert.ok(!built.includes('Term39'));
+});
+
+test('keeps the end of a prompt that is too long on its own', () => {
+  const prompt = words('prompt', 100);
+
+  const built = buildWhisperPrompt(prompt, normalizeGlossary(['Kubernetes']));
+  assert.ok(built.length <= MAX_PROMPT_CHARS);
+  assert.ok(built.endsWith('prompt99'));
+  assert.ok(!built.includes('Kubernetes'));
+});
@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startHost } = require('./helpers/host');
+const { PCM16_MONO, buildSamples, encodePcm16, fmtBody, buildWav } = require('./helpers/audio');
+
+// The fake engine emits one segment of these words per 2 s of audio
+const FAKE_TEXT = 'alpha beta gamma delta';
+
+function buildSpeechWav(seconds) {
+  return buildWav([['fmt ', fmtBody({})], ['data', encodePcm16(buildSamples([['tone', seconds, 0.3]]))]]);
+}
+
+function withHost(run, env = {}) {
+  return async () => {
+    const host = startHost({ env: { WHOOPTIDO_FAKE_ENGINE: '1', ...env } });
+    try {
+      await run(host);
+    } finally {
+      await host.stop();
+    }
+  };
+}
+
+test('transcribe returns the fake engine transcript', withHost(async (host) => {
+  const audioPath = path.join(host.home, 'speech.wav');
+  fs.writeFileSync(audioPath, buildSpeechWav(4));
+
+  const result = await host.request(
+    { type: 'transcribe', id: 't1', audioPath, engine: 'fake', format: 'srt' },
+    (message) => message.id === 't1'
+  );
+
+  assert.strictEqual(result.type, 'transcription');
+  assert.strictEqual(result.engine, 'fake');
+  assert.strictEqual(result.segments.length, 2);
+  assert.strictEqual(result.text, `${FAKE_TEXT} ${FAKE_TEXT}`);
+  assert.match(result.captions.content, /^1\n00:00:00,000 --> /);
+}));
+
+test('transcribe rejects an unknown mode before decoding', withHost(async (host) => {
+  const audioPath = path.join(host.home, 'speech.wav');
+  fs.writeFileSync(audioPath, buildSpeechWav(2));
+
+  const result = await host.request(
+    { type: 'transcribe', id: 't2', audioPath, engine: 'fake', mode: 'turbo' },
+    (message) => message.id === 't2'
+  );
+
+  assert.strictEqual(result.type, 'transcription_error');
+  assert.strictEqual(result.code, 'invalid_decoding_options');
+  assert.deepStrictEqual(result.details.map((issue) => issue.field), ['mode']);
+}));
+
+test('chunked upload acks each chunk and completes with the whole transcript', withHost(async (host) => {
+  const wav = buildSpeechWav(8);
+  const chunkBytes = 44 + 4 * PCM16_MONO.byteRate;
+  const chunks = [wav.subarray(0, chunkBytes), wav.subarray(chunkBytes)];
+
+  const init = await host.request({
+    type: 'transcribe_init',
+    id: 'c1',
+    engine: 'fake',
+    totalBytes: wav.length,
+    totalChunks: chunks.length,
+    chunkBytes,
+    cache: false
+  }, 'transcribe_init_ack');
+  assert.strictEqual(init.success, true);
+
+  for (const [index, chunk] of chunks.entries()) {
+    const ack = await host.request({
+      type: 'transcribe_chunk',
+      id: 'c1',
+      index,
+      totalChunks: chunks.length,
+      byteLength: chunk.length,
+      data: chunk.toString('base64')
+    }, 'transcribe_chunk_ack');
+    assert.strictEqual(ack.success, true, ack.error);
+    assert.ok(ack.segments.length > 0);
+  }
+
+  const result = await host.request({ type: 'transcribe_complete', id: 'c1' }, (message) => message.id === 'c1');
+  assert.strictEqual(result.type, 'transcription');
+  // Stitched across the chunk boundary: in time order, covering all 8 s
+  const { segments } = result;
+  assert.strictEqual(segments[0].start, 0);
+  assert.strictEqual(segments[segments.length - 1].end, 8);
+  assert.ok(segments.every((segment, i) => i === 0 || segment.start >= segments[i - 1].end));
+  assert.ok(result.text.startsWith(FAKE_TEXT));
+}));
+
+test('live session streams hypotheses and finishes on stop', withHost(async (host) => {
+  const start = await host.request({ type: 'live_start', id: 'l1', engine: 'fake', stepSeconds: 0.25 }, 'live_start_ack');
+  assert.strictEqual(start.success, true, start.error);
+
+  const frame = encodePcm16(buildSamples([['tone', 0.5, 0.3]])).toString('base64');
+  for (let i = 0; i < 8; i++) {
+    host.send({ type: 'live_audio', id: 'l1', audio: frame });
+  }
+  const hypothesis = await host.next((message) => message.id === 'l1' && /^live_(partial|final)$/.test(message.type));
+  assert.ok(hypothesis.text || hypothesis.segments);
+
+  const status = await host.request({ type: 'transcribe_status', id: 'l1' }, 'transcribe_status_ack');
+  assert.strictEqual(status.mode, 'live');
+
+  const stop = await host.request({ type: 'live_stop', id: 'l1' }, 'live_stop_ack');
+  assert.strictEqual(stop.success, true, stop.error);
+  assert.strictEqual(stop.duration, 4000);
+  assert.ok(stop.text.startsWith('alpha beta'));
+}));
+
+test('cancel ends live sessions too', withHost(async (host) => {
+  await host.request({ type: 'live_start', id: 'l2', engine: 'fake' }, 'live_start_ack');
+
+  const cancel = await host.request({ type: 'transcribe_cancel' }, 'transcribe_cancel_ack');
+  assert.deepStrictEqual(cancel.cancelled, ['l2']);
+
+  const status = await host.request({ type: 'transcribe_status' }, 'transcribe_status_ack');
+  assert.deepStrictEqual(status.live, []);
+}));
+
+test('pause reports a running decode that cannot be stopped', withHost(async (host) => {
+  const audioPath = path.join(host.home, 'speech.wav');
+  fs.writeFileSync(audioPath, buildSpeechWav(2));
+
+  const transcription = host.next((message) => message.id === 'p1' && message.type === 'transcription');
+  host.send({ type: 'transcribe', id: 'p1', audioPath, engine: 'fake', cache: false });
+  await new Promise((resolve) => setTimeout(resolve, 300));
+
+  const pause = await host.request({ type: 'transcribe_pause', id: 'p1' }, 'transcribe_pause_ack');
+  assert.deepStrictEqual(pause.paused, ['p1']);
+  assert.deepStrictEqual(pause.pauseUnsupported, ['p1']);
+
+  host.send({ type: 'transcribe_resume', id: 'p1' });
+  assert.strictEqual((await transcription).text, FAKE_TEXT);
+}, { WHOOPTIDO_FAKE_ENGINE_DELAY_MS: '1000' }));
+
+test('set_config refuses command engines and leaves the stored config alone', withHost(async (host) => {
+  const engine = { id: 'evil', command: '/bin/sh', args: ['-c', 'true'] };
+
+  const ack = await host.request({ type: 'set_config', config: { maxConcurrentJobs: 2, engines: [engine] } }, 'set_config_ack');
+  assert.strictEqual(ack.success, false);
+  assert.match(ack.error, /engines can only be changed by editing .*config\.json/);
+  assert.deepStrictEqual(ack.config.engines, []);
+  assert.strictEqual(ack.config.maxConcurrentJobs, 1);
+}));
+
+test('command engines are loaded from config.json on disk', async () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'whooptido-host-'));
+  fs.mkdirSync(path.join(home, '.whooptido'));
+  const engines = [{ id: 'local-asr', command: process.execPath, args: ['asr.js'] }];
+  fs.writeFileSync(path.join(home, '.whooptido', 'config.json'), JSON.stringify({ engines }));
+
+  const host = startHost({ home });
+  try {
+    const { config } = await host.request({ type: 'get_config' }, 'config');
+    assert.deepStrictEqual(config.engines.map((engine) => engine.id), ['local-asr']);
+  } finally {
+    await host.stop();
+  }
+});
+
+test('chunked upload detects the language per chunk and locks onto it', withHost(async (host) => {
+  const wav = buildSpeechWav(8);
+  const chunkBytes = 44 + 4 * PCM16_MONO.byteRate;
+  const chunks = [wav.subarray(0, chunkBytes), wav.subarray(chunkBytes)];
+  const upload = async (id, fields) => {
+    await host.request({ type: 'transcribe_init', id, engine: 'fake', totalBytes: wav.length, totalChunks: chunks.length, chunkBytes, cache: false, ...fields }, 'transcribe_init_ack');
+    const acks = [];
+    for (const [index, chunk] of chunks.entries()) {
+      acks.push(await host.request({ type: 'transcribe_chunk', id, index, totalChunks: chunks.length, byteLength: chunk.length, data: chunk.toString('base64') }, 'transcribe_chunk_ack'));
+    }
+    const result = await host.request({ type: 'transcribe_complete', id }, (message) => message.id === id);
+    return { acks, result };
+  };
+
+  const locked = await upload('d1', { language: 'auto' });
+  assert.deepStrictEqual(locked.acks.map((ack) => [ack.detectedLanguage?.language ?? null, ack.language, ack.languageLocked]), [
+    ['de', 'de', true],
+    [null, 'de', true]
+  ]);
+  assert.strictEqual(locked.result.detectedLanguage.language, 'de');
+  assert.strictEqual(locked.result.languageLocked, true);
+
+  const unlocked = await upload('d2', { language: 'auto', lockLanguage: false });
+  assert.deepStrictEqual(unlocked.acks.map((ack) => [ack.detectedLanguage?.language ?? null, ack.language, ack.languageLocked]), [
+    ['de', 'auto', false],
+    ['de', 'auto', false]
+  ]);
+
+  const fixed = await upload('d3', { language: 'fr' });
+  assert.deepStrictEqual(fixed.acks.map((ack) => ack.detectedLanguage), [null, null]);
+  assert.strictEqual(fixed.result.detectedLanguage, null);
+}, { WHOOPTIDO_FAKE_ENGINE_LANGUAGE: 'de' }));
+
+test('transcribe_init reports every invalid decoding field before any audio is sent', withHost(async (host) => {
+  const init = (id, decoding) => host.request({ type: 'transcribe_init', id, engine: 'fake', totalBytes: 1024, totalChunks: 1, decoding }, 'transcribe_init_ack');
+
+  const rejected = await init('o1', { beamSize: 0, temperature: 'hot', splitOnWord: 1, greedy: true });
+  assert.ok(!rejected.success);
+  assert.strictEqual(rejected.code, 'invalid_decoding_options');
+  assert.deepStrictEqual(rejected.details, [
+    { field: 'decoding.beamSize', message: 'must be between 1 and 16', value: 0 },
+    { field: 'decoding.temperature', message: 'must be a number', value: 'hot' },
+    { field: 'decoding.splitOnWord', message: 'must be a boolean', value: 1 },
+    { field: 'decoding.greedy', message: 'is not a supported option' }
+  ]);
+  const status = await host.request({ type: 'transcribe_status', id: 'o1' }, 'transcribe_status_ack');
+  assert.strictEqual(status.status, 'not-found');
+
+  const notAnObject = await init('o2', [5]);
+  assert.deepStrictEqual(notAnObject.details, [{ field: 'decoding', message: 'must be an object' }]);
+
+  const accepted = await init('o3', { beamSize: 5, temperature: 0.2, splitOnWord: true });
+  assert.strictEqual(accepted.success, true, accepted.error);
+}));
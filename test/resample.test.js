@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createResampler } = require('../native-host.js');
+
+const TARGET_RATE = 16000;
+
+function tone(frequency, sampleRate, seconds, amplitude = 0.5) {
+  const samples = new Float32Array(Math.round(sampleRate * seconds));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+  }
+  return samples;
+}
+
+function concat(parts) {
+  const output = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
+
+// Feeds the input in chunks of the given sizes (cycling), then flushes
+function resample(input, fromRate, chunkSizes = [input.length]) {
+  const resampler = createResampler(fromRate, TARGET_RATE);
+  const parts = [];
+  for (let offset = 0, i = 0; offset < input.length; i++) {
+    const size = chunkSizes[i % chunkSizes.length];
+    parts.push(resampler.process(input.subarray(offset, offset + size)));
+    offset += size;
+  }
+  parts.push(resampler.flush());
+  return concat(parts);
+}
+
+function countZeroCrossings(samples) {
+  let count = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if ((samples[i - 1] < 0) !== (samples[i] < 0)) count++;
+  }
+  return count;
+}
+
+function rms(samples) {
+  return Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+}
+
+for (const fromRate of [44100, 48000]) {
+  test(`resamples a ${fromRate} Hz tone to 16 kHz without changing its pitch`, () => {
+    const output = resample(tone(440, fromRate, 1), fromRate);
+
+    assert.strictEqual(output.length, TARGET_RATE);
+    // 440 Hz crosses zero 880 times a second; allow for the filter edges
+    const crossings = countZeroCrossings(output);
+    assert.ok(Math.abs(crossings - 880) <= 2, `${crossings} zero crossings`);
+    const steady = output.subarray(1000, output.length - 1000);
+    assert.ok(Math.abs(rms(steady) - 0.5 / Math.SQRT2) < 0.01);
+  });
+
+  test(`chunked ${fromRate} Hz input resamples the same as one block`, () => {
+    const input = tone(440, fromRate, 1);
+    const whole = resample(input, fromRate);
+    const chunked = resample(input, fromRate, [1, 37, 441, 4096, 7]);
+
+    assert.strictEqual(chunked.length, whole.length);
+    for (let i = 0; i < whole.length; i++) {
+      assert.ok(Math.abs(chunked[i] - whole[i]) < 1e-6, `sample ${i} differs`);
+    }
+  });
+
+  test(`filters content above 8 kHz at ${fromRate} Hz, across chunk boundaries too`, () => {
+    // 12 kHz would alias to 4 kHz if any chunk edge skipped the filter
+    const output = resample(tone(12000, fromRate, 1), fromRate, [160, 1, 999]);
+
+    const steady = output.subarray(1000, output.length - 1000);
+    assert.ok(rms(steady) < 0.005, `rms ${rms(steady)}`);
+  });
+}
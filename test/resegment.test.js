@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeWhisperSegments,
+  normalizeResegmentOptions,
+  resegmentTranscript
+} = require('../native-host.js');
+const podcast = require('./fixtures/whisper-ojf-podcast.json');
+
+const OPTIONS = normalizeResegmentOptions(true);
+
+function summarize(segments) {
+  return segments.map((segment) => [segment.start, segment.end, segment.text]);
+}
+
+test('splits whisper -ojf output at sentence and clause ends', () => {
+  const segments = resegmentTranscript(normalizeWhisperSegments(podcast.transcription), OPTIONS);
+
+  assert.deepStrictEqual(summarize(segments), [
+    [0, 1.4, ' Welcome back to the show.'],
+    [2.1, 5.61, ' Today we are talking about Kubernetes, container scheduling,'],
+    [5.7, 8, ' and why it matters so much to small teams.'],
+    [9.5, 12.1, ' My guest has run platform teams for a decade.'],
+    [12.2, 12.8, ' Welcome!'],
+    [13.9, 15.2, ' Thanks for having me.'],
+    [15.3, 19.6, ' Honestly, the first thing I tell people is that you probably don\'t need it yet.']
+  ]);
+});
+
+test('gives the same blocks however the input was segmented', () => {
+  const segments = normalizeWhisperSegments(podcast.transcription);
+  const words = segments.flatMap((segment) => segment.words);
+  const oneSegment = [{ start: 0, end: 19.6, text: '', words }];
+  const perWord = words.map((word) => ({ start: word.start, end: word.end, text: ` ${word.word}`, words: [word] })).reverse();
+
+  const expected = summarize(resegmentTranscript(segments, OPTIONS));
+  assert.deepStrictEqual(summarize(resegmentTranscript(oneSegment, OPTIONS)), expected);
+  assert.deepStrictEqual(summarize(resegmentTranscript(perWord, OPTIONS)), expected);
+});
+
+test('respects the character and duration limits', () => {
+  const segments = resegmentTranscript(normalizeWhisperSegments(podcast.transcription), normalizeResegmentOptions({ maxChars: 30, maxDuration: 2 }));
+
+  for (const segment of segments) {
+    assert.ok(segment.text.trim().length <= 30, segment.text);
+    assert.ok(segment.end - segment.start <= 2, `${segment.start}-${segment.end}`);
+  }
+  const words = (list) => list.flatMap((segment) => segment.words.map((word) => word.word));
+  assert.deepStrictEqual(words(segments), words(normalizeWhisperSegments(podcast.transcription)));
+});
+
+test('never lets a block span a speaker change', () => {
+  const word = (text, start, speaker) => ({ word: text, start, end: start + 0.3, speaker });
+  const segments = resegmentTranscript([{
+    start: 0,
+    end: 2,
+    text: '',
+    words: [word('so', 0, 'SPEAKER_0'), word('yes', 0.4, 'SPEAKER_0'), word('right', 0.8, 'SPEAKER_1'), word('ok', 1.2, 'SPEAKER_1')]
+  }], OPTIONS);
+
+  assert.deepStrictEqual(segments.map((segment) => [segment.speaker, segment.text]), [
+    ['SPEAKER_0', ' so yes'],
+    ['SPEAKER_1', ' right ok']
+  ]);
+});
+
+test('keeps words that are missing a start or end', () => {
+  const segments = resegmentTranscript([{
+    start: 0,
+    end: 2,
+    text: ' one two three four',
+    words: [
+      { word: 'one', start: 0, end: 0.4 },
+      { word: 'two', start: 0.5 },
+      { word: 'three' },
+      { word: 'four.', start: 1.5, end: 2 }
+    ]
+  }, {
+    start: 3,
+    end: 4,
+    text: ' five six',
+    words: [{ word: 'five' }, { word: 'six.', start: 3.5, end: 4 }]
+  }], OPTIONS);
+
+  assert.deepStrictEqual(segments.map((segment) => segment.words.map((word) => [word.word, word.start, word.end])), [
+    [['one', 0, 0.4], ['two', 0.5, 1.5], ['three', 1.5, 1.5], ['four.', 1.5, 2]],
+    [['five', 3.5, 3.5], ['six.', 3.5, 4]]
+  ]);
+});
+
+test('keeps segments without any timed word in time order', () => {
+  const untimed = { start: 1, end: 2, text: ' [music]', words: [] };
+  const segments = resegmentTranscript([
+    { start: 0, end: 0.5, text: ' hi.', words: [{ word: 'hi.', start: 0, end: 0.5 }] },
+    untimed,
+    { start: 3, end: 3.5, text: ' bye.', words: [{ word: 'bye.', start: 3, end: 3.5 }] }
+  ], OPTIONS);
+
+  assert.deepStrictEqual(segments.map((segment) => segment.text), [' hi.', ' [music]', ' bye.']);
+  assert.strictEqual(segments[1], untimed);
+});
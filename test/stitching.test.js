@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { stitchOverlappingSegments, shiftSegments } = require('../native-host.js');
+
+// One segment per call, one word per [word, start, end] triple
+function segment(words) {
+  return {
+    start: words[0][1],
+    end: words[words.length - 1][2],
+    text: ' ' + words.map(([word]) => word).join(' '),
+    words: words.map(([word, start, end]) => ({ word, start, end, probability: 0.9 }))
+  };
+}
+
+function wordsOf(segments) {
+  return segments.flatMap((s) => s.words.map((w) => w.word));
+}
+
+test('drops the duplicated words of an aligned overlap', () => {
+  const previous = [segment([['the', 7.0, 7.3], ['quick', 7.4, 7.8], ['brown', 8.0, 8.4], ['fox', 8.6, 8.9], ['jum', 9.2, 9.5]])];
+  const next = [segment([['quick', 7.45, 7.8], ['brown', 8.05, 8.4], ['fox', 8.6, 8.9], ['jumps', 9.2, 9.6], ['over', 9.8, 10.1]])];
+
+  const result = stitchOverlappingSegments(previous, next, 7.5, 9.5);
+
+  assert.deepStrictEqual(wordsOf(result.segments), ['the', 'quick', 'brown', 'fox', 'jumps', 'over']);
+  assert.strictEqual(result.matchedWords, 3);
+  assert.strictEqual(result.cutTime, 8.6);
+  assert.deepStrictEqual(wordsOf(result.added), ['fox', 'jumps', 'over']);
+});
+
+test('keeps the new chunk\'s version of a word truncated at the chunk edge', () => {
+  const previous = [segment([['we', 0, 0.2], ['went', 0.3, 0.6], ['to', 0.7, 0.8], ['the', 0.9, 1.0], ['stat', 1.3, 1.5]])];
+  const next = [segment([['to', 0.7, 0.8], ['the', 0.9, 1.0], ['station', 1.3, 1.8]])];
+
+  const result = stitchOverlappingSegments(previous, next, 0.5, 1.5);
+
+  assert.deepStrictEqual(wordsOf(result.segments), ['we', 'went', 'to', 'the', 'station']);
+});
+
+test('ignores punctuation and case when aligning', () => {
+  const previous = [segment([['Hello,', 1.0, 1.3], ['World.', 1.5, 1.9]])];
+  const next = [segment([['hello', 1.05, 1.3], ['world', 1.5, 1.9], ['again', 2.1, 2.4]])];
+
+  const result = stitchOverlappingSegments(previous, next, 0.8, 2.0);
+
+  assert.deepStrictEqual(wordsOf(result.segments), ['Hello,', 'world', 'again']);
+  assert.strictEqual(result.matchedWords, 2);
+});
+
+test('does not align equal words that are too far apart in time', () => {
+  const previous = [segment([['no', 4.0, 4.2], ['no', 4.9, 5.1]])];
+  const next = [segment([['no', 6.0, 6.2]])];
+
+  const result = stitchOverlappingSegments(previous, next, 4.0, 6.0, { tolerance: 0.2 });
+
+  assert.strictEqual(result.matchedWords, 0);
+  assert.strictEqual(result.cutTime, 5);
+  assert.deepStrictEqual(wordsOf(result.segments), ['no', 'no', 'no']);
+});
+
+test('cuts at the overlap midpoint when nothing aligns', () => {
+  const previous = [segment([['alpha', 10.0, 10.4], ['beta', 10.6, 11.0]])];
+  const next = [segment([['gamma', 10.2, 10.5], ['delta', 11.2, 11.6]])];
+
+  const result = stitchOverlappingSegments(previous, next, 10.0, 11.0);
+
+  assert.strictEqual(result.matchedWords, 0);
+  assert.strictEqual(result.cutTime, 10.5);
+  assert.deepStrictEqual(wordsOf(result.segments), ['alpha', 'delta']);
+});
+
+test('splits a segment that straddles the cut and keeps the trimmed times', () => {
+  const previous = [segment([['one', 0, 0.4], ['two', 0.5, 0.9], ['three', 1.0, 1.4]])];
+  const next = [segment([['two', 0.5, 0.9], ['three', 1.0, 1.4], ['four', 1.5, 1.9]])];
+
+  const result = stitchOverlappingSegments(previous, next, 0.5, 1.5);
+
+  assert.strictEqual(result.cutTime, 1.0);
+  assert.strictEqual(result.segments.length, 2);
+  assert.deepStrictEqual(result.segments[0], {
+    start: 0,
+    end: 0.9,
+    text: ' one two',
+    words: [
+      { word: 'one', start: 0, end: 0.4, probability: 0.9 },
+      { word: 'two', start: 0.5, end: 0.9, probability: 0.9 }
+    ]
+  });
+  assert.strictEqual(result.segments[1].start, 1.0);
+  assert.strictEqual(result.segments[1].text, ' three four');
+});
+
+test('appends without stitching when there is no overlap or no previous text', () => {
+  const previous = [segment([['a', 0, 0.5]])];
+  const next = [segment([['b', 1, 1.5]])];
+
+  assert.deepStrictEqual(stitchOverlappingSegments(previous, next, 1, 1), {
+    segments: [...previous, ...next],
+    added: next,
+    cutTime: null,
+    matchedWords: 0
+  });
+  assert.deepStrictEqual(stitchOverlappingSegments([], next, 0, 1).segments, next);
+});
+
+test('shiftSegments moves segment and word times by the chunk offset', () => {
+  const [shifted] = shiftSegments([segment([['hi', 0.5, 1]])], 30);
+  assert.strictEqual(shifted.start, 30.5);
+  assert.deepStrictEqual(shifted.words.map((w) => [w.start, w.end]), [[30.5, 31]]);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeVadOptions,
+  createVadState,
+  hasVoiceActivity,
+  isSkippableSilence,
+  findLastPauseOffset
+} = require('../native-host.js');
+const { PCM16_MONO, buildSamples, encodePcm16 } = require('./helpers/audio');
+
+// About -46 dBFS speech over -70 dBFS room tone: quieter than the 0.01 cap
+const QUIET_SPEECH = 0.005;
+const ROOM_TONE = 0.0003;
+
+function seconds(offset) {
+  return offset / PCM16_MONO.byteRate;
+}
+
+test('defaults never skip whisper, even on digital silence', () => {
+  const options = normalizeVadOptions(undefined);
+  const silence = encodePcm16(buildSamples([['silence', 2]]));
+
+  assert.strictEqual(options.skipSilence, false);
+  assert.strictEqual(hasVoiceActivity(silence, PCM16_MONO, options), false);
+  assert.strictEqual(isSkippableSilence(silence, PCM16_MONO, options), false);
+  assert.strictEqual(isSkippableSilence(silence, PCM16_MONO, null), false);
+});
+
+test('skipSilence skips spans without voice activity', () => {
+  const options = normalizeVadOptions({ skipSilence: true });
+  const silence = encodePcm16(buildSamples([['noise', 2, ROOM_TONE]]));
+  const speech = encodePcm16(buildSamples([['noise', 1, ROOM_TONE], ['tone', 0.5, 0.3]]));
+
+  assert.strictEqual(isSkippableSilence(silence, PCM16_MONO, options), true);
+  assert.strictEqual(isSkippableSilence(speech, PCM16_MONO, options), false);
+});
+
+test('low-gain speech counts as voice relative to the noise floor', () => {
+  const options = normalizeVadOptions({ skipSilence: true });
+  const pcm = encodePcm16(buildSamples([['noise', 0.5, ROOM_TONE], ['tone', 1, QUIET_SPEECH]]));
+
+  assert.strictEqual(hasVoiceActivity(pcm, PCM16_MONO, options), true);
+  assert.strictEqual(isSkippableSilence(pcm, PCM16_MONO, options), false);
+});
+
+test('finds the pause between quiet phrases', () => {
+  const options = normalizeVadOptions(undefined);
+  const pcm = encodePcm16(buildSamples([
+    ['tone', 1, QUIET_SPEECH],
+    ['noise', 0.6, ROOM_TONE],
+    ['tone', 1, QUIET_SPEECH]
+  ]));
+
+  const offset = findLastPauseOffset(pcm, PCM16_MONO, options, createVadState());
+
+  assert.notStrictEqual(offset, null);
+  assert.strictEqual(offset % PCM16_MONO.blockAlign, 0);
+  assert.ok(seconds(offset) > 1 && seconds(offset) < 1.6, `cut at ${seconds(offset)} s`);
+});
+
+test('returns no pause when nothing in the buffer is voiced', () => {
+  const options = normalizeVadOptions(undefined);
+  const silence = encodePcm16(buildSamples([['silence', 2]]));
+
+  assert.strictEqual(findLastPauseOffset(silence, PCM16_MONO, options), null);
+});
+
+test('remembers the session noise floor across buffers', () => {
+  const options = normalizeVadOptions({ skipSilence: true });
+  const state = createVadState();
+  const pause = encodePcm16(buildSamples([['noise', 1, ROOM_TONE]]));
+  // A buffer of nothing but quiet speech has no floor of its own to compare against
+  const speechOnly = encodePcm16(buildSamples([['tone', 1, QUIET_SPEECH * 0.5]]));
+
+  assert.strictEqual(isSkippableSilence(pause, PCM16_MONO, options, state), true);
+  assert.ok(state.noiseFloor > 0 && state.noiseFloor < ROOM_TONE);
+  assert.strictEqual(isSkippableSilence(speechOnly, PCM16_MONO, options, state), false);
+});
+
+test('ignores invalid option values', () => {
+  assert.strictEqual(normalizeVadOptions(false), null);
+  assert.deepStrictEqual(normalizeVadOptions({ energyThreshold: -1, noiseFloorRatio: 'x', skipSilence: 'yes' }), {
+    energyThreshold: 0.01,
+    noiseFloorRatio: 4,
+    zcrThreshold: 0.3,
+    minSilenceSeconds: 0.35,
+    minSpeechSeconds: 0.1,
+    skipSilence: false
+  });
+});
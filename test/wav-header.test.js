@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWavHeader, buildWavHeader } = require('../native-host.js');
+const { fmtBody, buildWav } = require('./helpers/audio');
+
+const PCM = Buffer.alloc(64);
+
+test('parses the canonical 44-byte header', () => {
+  const format = parseWavHeader(buildWav([['fmt ', fmtBody({})], ['data', PCM]]));
+
+  assert.deepStrictEqual(format, {
+    formatTag: 1,
+    sampleFormat: 'pcm',
+    channels: 1,
+    sampleRate: 16000,
+    bitsPerSample: 16,
+    blockAlign: 2,
+    byteRate: 32000,
+    headerSize: 44,
+    dataSize: 64
+  });
+});
+
+test('round-trips the header written for whisper chunks', () => {
+  const format = { sampleFormat: 'float', channels: 2, sampleRate: 48000, bitsPerSample: 32 };
+  const parsed = parseWavHeader(buildWavHeader(format, 4096));
+
+  assert.strictEqual(parsed.sampleFormat, 'float');
+  assert.strictEqual(parsed.blockAlign, 8);
+  assert.strictEqual(parsed.headerSize, 44);
+  assert.strictEqual(parsed.dataSize, 4096);
+});
+
+test('skips LIST and fact chunks before the data chunk', () => {
+  const list = Buffer.from('INFOISFT\x0e\x00\x00\x00Lavf60.16.100\x00', 'latin1');
+  const wav = buildWav([
+    ['LIST', list],
+    ['fmt ', fmtBody({ channels: 2, sampleRate: 44100 })],
+    ['fact', Buffer.from([0x10, 0, 0, 0])],
+    ['data', PCM]
+  ]);
+
+  const format = parseWavHeader(wav);
+
+  assert.strictEqual(format.channels, 2);
+  assert.strictEqual(format.sampleRate, 44100);
+  assert.strictEqual(format.headerSize, wav.length - PCM.length);
+  assert.strictEqual(wav.toString('ascii', format.headerSize - 8, format.headerSize - 4), 'data');
+});
+
+test('honours the pad byte after odd-sized chunks', () => {
+  const wav = buildWav([['fmt ', fmtBody({})], ['junk', Buffer.from('odd')], ['data', PCM]]);
+
+  assert.strictEqual(parseWavHeader(wav).headerSize, 12 + 24 + 12 + 8);
+});
+
+test('reads the real format from WAVE_FORMAT_EXTENSIBLE', () => {
+  const pcm24 = parseWavHeader(buildWav([['fmt ', fmtBody({ extensible: true, bitsPerSample: 24, channels: 2 })], ['data', PCM]]));
+  assert.strictEqual(pcm24.formatTag, 1);
+  assert.strictEqual(pcm24.sampleFormat, 'pcm');
+  assert.strictEqual(pcm24.bitsPerSample, 24);
+  assert.strictEqual(pcm24.blockAlign, 6);
+
+  const float = parseWavHeader(buildWav([['fmt ', fmtBody({ extensible: true, formatTag: 3, bitsPerSample: 32 })], ['data', PCM]]));
+  assert.strictEqual(float.sampleFormat, 'float');
+});
+
+test('parses 32-bit IEEE float', () => {
+  const format = parseWavHeader(buildWav([['fmt ', fmtBody({ formatTag: 3, bitsPerSample: 32, sampleRate: 48000 })], ['data', PCM]]));
+
+  assert.strictEqual(format.formatTag, 3);
+  assert.strictEqual(format.sampleFormat, 'float');
+  assert.strictEqual(format.byteRate, 192000);
+});
+
+test('derives blockAlign and byteRate instead of trusting the header', () => {
+  const body = fmtBody({ channels: 2 });
+  body.writeUInt32LE(1, 8);
+  body.writeUInt16LE(1, 12);
+
+  const format = parseWavHeader(buildWav([['fmt ', body], ['data', PCM]]));
+
+  assert.strictEqual(format.blockAlign, 4);
+  assert.strictEqual(format.byteRate, 64000);
+});
+
+test('accepts a data chunk that extends past the buffer', () => {
+  const wav = buildWav([['fmt ', fmtBody({})], ['data', PCM]]);
+  wav.writeUInt32LE(10 * 1024 * 1024, 40);
+
+  assert.strictEqual(parseWavHeader(wav.subarray(0, 48)).dataSize, 10 * 1024 * 1024);
+});
+
+test('rejects unsupported layouts', () => {
+  const cases = [
+    [Buffer.alloc(8), /too short/],
+    [Buffer.from('RIFX\0\0\0\0WAVE'), /not a RIFF\/WAVE file/],
+    [buildWav([['fmt ', fmtBody({ formatTag: 0x55 })], ['data', PCM]]), /Unsupported WAV format tag 0x0055/],
+    [buildWav([['fmt ', fmtBody({ extensible: true, formatTag: 0x55 })], ['data', PCM]]), /Unsupported WAV format tag 0x0055/],
+    [buildWav([['fmt ', fmtBody({ bitsPerSample: 12 })], ['data', PCM]]), /bit depth for PCM: 12/],
+    [buildWav([['fmt ', fmtBody({ formatTag: 3, bitsPerSample: 16 })], ['data', PCM]]), /bit depth for float: 16/],
+    [buildWav([['fmt ', fmtBody({ channels: 9 })], ['data', PCM]]), /channel count: 9/],
+    [buildWav([['fmt ', fmtBody({ sampleRate: 0 })], ['data', PCM]]), /sample rate is zero/],
+    [buildWav([['fmt ', fmtBody({}).subarray(0, 12)], ['data', PCM]]), /fmt chunk is truncated/],
+    [buildWav([['fmt ', fmtBody({ extensible: true }).subarray(0, 18)], ['data', PCM]]), /extensible fmt chunk is truncated/],
+    [buildWav([['data', PCM], ['fmt ', fmtBody({})]]), /data chunk appears before the fmt chunk/],
+    [buildWav([['fmt ', fmtBody({})]]), /data chunk not found/],
+    [buildWav([['LIST', Buffer.alloc(4)]]), /fmt chunk not found/]
+  ];
+
+  for (const [wav, error] of cases) {
+    assert.throws(() => parseWavHeader(wav), error);
+  }
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startHost } = require('./helpers/host');
+const { buildStubModel, installWhisperStubs } = require('./helpers/whisper-stubs');
+const { buildSamples, encodePcm16, fmtBody, buildWav } = require('./helpers/audio');
+
+// Runtime detection here expects a Linux CUDA install
+const skip = process.platform !== 'linux' && 'whisper stubs only cover Linux';
+
+function withStubbedHost(run, { env = {}, config = { transcriptionBackend: 'server' } } = {}) {
+  return async () => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'whooptido-host-'));
+    const stubs = installWhisperStubs(path.join(home, 'stubs'));
+    const modelsDir = path.join(home, '.whooptido', 'models');
+    fs.mkdirSync(modelsDir, { recursive: true });
+    fs.writeFileSync(path.join(modelsDir, 'ggml-tiny.bin'), buildStubModel());
+    const audioPath = path.join(home, 'speech.wav');
+    fs.writeFileSync(audioPath, buildWav([['fmt ', fmtBody({})], ['data', encodePcm16(buildSamples([['tone', 1, 0.3]]))]]));
+
+    const host = startHost({ home, env: { ...stubs.env, ...env } });
+    try {
+      const ack = await host.request({ type: 'set_config', config }, 'set_config_ack');
+      assert.strictEqual(ack.success, true, ack.error);
+      let count = 0;
+      const transcribe = () => {
+        const id = `s${++count}`;
+        return host.request({ type: 'transcribe', id, audioPath, cache: false }, (message) => message.id === id, 20000);
+      };
+      await run({ host, stubs, transcribe });
+    } finally {
+      await host.stop();
+    }
+  };
+}
+
+test('server backend keeps one whisper-server for consecutive requests', { skip }, withStubbedHost(async ({ stubs, transcribe }) => {
+  const first = await transcribe();
+  const second = await transcribe();
+
+  assert.strictEqual(first.type, 'transcription', first.error);
+  assert.strictEqual(first.text.trim(), 'from server');
+  assert.strictEqual(second.text.trim(), 'from server');
+  assert.deepStrictEqual(stubs.readLog(), ['START', 'INFER', 'INFER']);
+}));
+
+test('a whisper-server that dies mid-request is restarted and the request retried', { skip }, withStubbedHost(async ({ stubs, transcribe }) => {
+  fs.writeFileSync(stubs.crashPath, '');
+
+  const result = await transcribe();
+
+  assert.strictEqual(result.type, 'transcription', result.error);
+  assert.strictEqual(result.text.trim(), 'from server');
+  assert.deepStrictEqual(stubs.readLog(), ['START', 'INFER', 'START', 'INFER']);
+}));
+
+test('falls back to whisper-cli when whisper-server is missing', { skip }, withStubbedHost(async ({ stubs, transcribe }) => {
+  const result = await transcribe();
+
+  assert.strictEqual(result.type, 'transcription', result.error);
+  assert.strictEqual(result.text.trim(), 'from cli');
+  assert.deepStrictEqual(stubs.readLog(), ['CLI']);
+}, { env: { WHOOPTIDO_WHISPER_SERVER: path.join(os.tmpdir(), 'whooptido-missing', 'whisper-server') } }));
+
+test('cli backend never starts a whisper-server', { skip }, withStubbedHost(async ({ stubs, transcribe }) => {
+  const result = await transcribe();
+
+  assert.strictEqual(result.text.trim(), 'from cli');
+  assert.deepStrictEqual(stubs.readLog(), ['CLI']);
+}, { config: { transcriptionBackend: 'cli' } }));
+
+test('live sessions decode on whisper-server even with the cli backend', { skip }, withStubbedHost(async ({ host, stubs }) => {
+  const start = await host.request({ type: 'live_start', id: 'l1', stepSeconds: 0.25 }, 'live_start_ack');
+  assert.strictEqual(start.success, true, start.error);
+  assert.strictEqual(start.warnings, undefined);
+
+  host.send({ type: 'live_audio', id: 'l1', audio: encodePcm16(buildSamples([['tone', 1, 0.3]])).toString('base64') });
+  const stop = await host.request({ type: 'live_stop', id: 'l1' }, 'live_stop_ack', 20000);
+
+  assert.strictEqual(stop.success, true, stop.error);
+  assert.ok(stubs.readLog().includes('INFER'));
+  assert.ok(!stubs.readLog().includes('CLI'));
+}, { config: { transcriptionBackend: 'cli' } }));
+
+test('live_start warns when there is no whisper-server', { skip }, withStubbedHost(async ({ host }) => {
+  const start = await host.request({ type: 'live_start', id: 'l1' }, 'live_start_ack');
+
+  assert.strictEqual(start.success, true, start.error);
+  assert.deepStrictEqual(start.warnings, ['whisper-server not found: every live step runs whisper-cli and reloads the model']);
+}, { env: { WHOOPTIDO_WHISPER_SERVER: path.join(os.tmpdir(), 'whooptido-missing', 'whisper-server') } }));